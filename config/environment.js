@@ -17,6 +17,11 @@ if (missingVars.length > 0) {
   throw new Error(`Missing required environment variables: ${missingVars.join(', ')}`);
 }
 
+// The built-in admin key has no safe default
+if (process.env.NODE_ENV === 'production' && !process.env.API_KEY_SECRET) {
+  throw new Error('API_KEY_SECRET must be set in production');
+}
+
 export const config = {
   nodeEnv: process.env.NODE_ENV || 'development',
   port: parseInt(process.env.PORT || '3000', 10),
@@ -42,6 +47,20 @@ export const config = {
     language: process.env.WHISPER_LANGUAGE || 'en',
     beamSize: parseInt(process.env.WHISPER_BEAM_SIZE || '5', 10),
     bestOf: parseInt(process.env.WHISPER_BEST_OF || '5', 10),
+    // Chunked mode: long audio is split on silences and chunks are transcribed in parallel
+    chunking: {
+      enabled: process.env.WHISPER_CHUNKING === 'true',
+      minSeconds: parseInt(process.env.WHISPER_CHUNK_MIN_SECONDS || '1200', 10),
+      chunkSeconds: parseInt(process.env.WHISPER_CHUNK_SECONDS || '600', 10),
+      overlapSeconds: parseFloat(process.env.WHISPER_CHUNK_OVERLAP_SECONDS || '2'),
+      parallel: parseInt(process.env.WHISPER_CHUNK_PARALLEL || '2', 10),
+    },
+  },
+  
+  diarization: {
+    // Local pyannote pipeline config.yaml (models must be on disk - no downloads at runtime)
+    modelPath: process.env.DIARIZATION_MODEL_PATH || undefined,
+    maxSpeakers: parseInt(process.env.DIARIZATION_MAX_SPEAKERS || '0', 10),
   },
   
   ytdlp: {
@@ -53,9 +72,49 @@ export const config = {
   },
   
   api: {
-    keySecret: process.env.API_KEY_SECRET || 'dev-secret',
+    // Built-in admin key; without it there is none (see api-keys.js)
+    keySecret: process.env.API_KEY_SECRET || null,
     rateLimitWindowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS || '900000', 10),
-    rateLimitMaxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS || '100', 10),
+    rateLimitMaxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS || '100', 10), // per IP
+    rateLimitKeyMaxRequests: parseInt(process.env.RATE_LIMIT_KEY_MAX_REQUESTS || '1000', 10), // per API key
+    // Whisper minutes a client may queue per window (see chargeWhisperMinutes)
+    whisperWindowMs: parseInt(process.env.WHISPER_RATE_LIMIT_WINDOW_MS || '3600000', 10),
+    whisperMaxMinutes: parseFloat(process.env.WHISPER_RATE_LIMIT_MINUTES || '120'), // per IP
+    whisperKeyMaxMinutes: parseFloat(process.env.WHISPER_RATE_LIMIT_KEY_MINUTES || '1200'), // per API key
+  },
+
+  access: {
+    // private | public-read | open (see middleware/access.js); open keeps the web UI usable in development
+    policy: process.env.ACCESS_POLICY || (process.env.NODE_ENV === 'production' ? 'private' : 'open'),
+    // Route groups anonymous requests may use, overriding the policy's preset
+    publicRoutes: process.env.ACCESS_PUBLIC_ROUTES !== undefined
+      ? process.env.ACCESS_PUBLIC_ROUTES.split(',').map(group => group.trim()).filter(Boolean)
+      : undefined,
+  },
+  
+  webhooks: {
+    secret: process.env.WEBHOOK_SECRET || undefined,
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5', 10),
+    backoffDelayMs: parseInt(process.env.WEBHOOK_BACKOFF_DELAY_MS || '5000', 10),
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10),
+    // How long finished deliveries (and their attempt logs) are kept
+    retentionSeconds: parseInt(process.env.WEBHOOK_RETENTION_SECONDS || '604800', 10), // 7 days
+  },
+  
+  batch: {
+    defaultVideos: parseInt(process.env.BATCH_DEFAULT_VIDEOS || '50', 10),
+    maxVideos: parseInt(process.env.BATCH_MAX_VIDEOS || '200', 10),
+    retentionSeconds: parseInt(process.env.BATCH_RETENTION_SECONDS || '604800', 10), // 7 days
+  },
+
+  media: {
+    // Uploaded files and media URL downloads (POST /api/transcribe/media)
+    maxBytes: parseInt(process.env.MEDIA_MAX_MB || '500', 10) * 1024 * 1024,
+    downloadTimeoutMs: parseInt(process.env.MEDIA_DOWNLOAD_TIMEOUT_MS || '600000', 10),
+  },
+
+  history: {
+    retentionSeconds: parseInt(process.env.JOB_HISTORY_RETENTION_SECONDS || '2592000', 10), // 30 days
   },
   
   logging: {
@@ -64,10 +123,14 @@ export const config = {
   },
   
   worker: {
-    concurrency: parseInt(process.env.WORKER_CONCURRENCY || '1', 10),
+    concurrency: parseInt(process.env.WORKER_CONCURRENCY || '1', 10), // Whisper lane
+    captionsConcurrency: parseInt(process.env.CAPTIONS_CONCURRENCY || '4', 10),
     timeoutMs: parseInt(process.env.WORKER_TIMEOUT_MS || '3600000', 10),
     maxAttempts: parseInt(process.env.WORKER_MAX_ATTEMPTS || '2', 10),
     jobRemovalDelayMs: parseInt(process.env.JOB_REMOVAL_DELAY_MS || '3600000', 10),
+    // false = server.js only queues jobs; run worker.js to process them
+    runInServer: process.env.RUN_WORKER !== 'false',
+    heartbeatIntervalMs: parseInt(process.env.WORKER_HEARTBEAT_INTERVAL_MS || '10000', 10),
   },
   
   features: {
@@ -74,5 +74,6 @@ else
   echo "WARNING: Cookies file not found"
 fi
 
-echo "=== ENTRYPOINT: Starting Node.js ==="
-exec node /app/server.js
+# First argument picks the process: server.js (default) or worker.js
+echo "=== ENTRYPOINT: Starting Node.js (${1:-server.js}) ==="
+exec node "/app/${1:-server.js}"
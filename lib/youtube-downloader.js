@@ -12,15 +12,18 @@
  * - Cookie age monitoring for health checks
  * - Graceful fallback if cookies unavailable
  * - User-friendly error messages
- * - Proper shell escaping with consistent quote handling
+ * - yt-dlp runs without a shell: arguments (URLs included) are passed as-is
  */
 
-import { exec } from 'child_process';
+import { exec, execFile, spawn } from 'child_process';
+import { createInterface } from 'readline';
 import { promisify } from 'util';
 import { existsSync, statSync, readFileSync } from 'fs';
 import logger from '../utils/logger.js';
+import { killOnAbort, createCancelledError } from '../utils/cancellation.js';
 
 const execPromise = promisify(exec);
+const execFilePromise = promisify(execFile);
 
 // Cookie configuration
 const COOKIES_PATH = process.env.YOUTUBE_COOKIES_PATH || '/app/cookies/youtube_cookies.txt';
@@ -153,7 +156,7 @@ export function getCookieArgs() {
   const validation = validateCookies();
   
   if (validation.valid && validation.exists) {
-    // Return array without quotes - the executeYtdlp() function handles all quoting
+    // Return array without quotes - executeYtdlp() passes arguments as they are
     const args = ['--cookies', COOKIES_PATH];
     logger.info('🔐 Injecting YouTube cookies into yt-dlp command', {
       cookieCount: validation.cookieCount,
@@ -216,44 +219,24 @@ export function parseBotDetectionError(error) {
   };
 }
 
-/**
- * Safely escape shell argument
- * Handles spaces and special characters
- */
-function escapeShellArg(arg) {
-  // If arg is already quoted, return as-is
-  if ((arg.startsWith('"') && arg.endsWith('"')) || (arg.startsWith("'") && arg.endsWith("'"))) {
-    return arg;
-  }
-  
-  // If arg contains spaces or special shell chars, quote it
-  if (/[\s"'$`\\|&;<>]/.test(arg)) {
-    // Use single quotes for safety, but escape any single quotes in the content
-    const escaped = arg.replace(/'/g, "'\\''");
-    return `'${escaped}'`;
-  }
-  
-  // Safe argument, no quoting needed
-  return arg;
-}
-
 /**
  * Execute yt-dlp command with cookies and error handling
  * 
- * FIXED: v1.2 - Better quote handling, safer command construction
+ * yt-dlp is run directly, not through a shell, so arguments must not be
+ * quoted: each is passed to yt-dlp exactly as given.
  * 
  * @param {string[]} args - Array of yt-dlp arguments (unquoted)
  * @param {object} options - Execution options (timeout, maxBuffer)
+ * @param {function} [options.onOutputLine] - Called with each stdout line as it
+ *   is printed (e.g. --progress-template output)
+ * @param {AbortSignal} [options.signal] - Kills yt-dlp (and its ffmpeg) when aborted;
+ *   the promise then rejects with JOB_CANCELLED
  * @returns {Promise<{stdout: string, stderr: string}>}
  */
 export async function executeYtdlp(args, options = {}) {
   const cookieArgs = getCookieArgs();
   const allArgs = [...cookieArgs, ...args];
-  
-  // Build command with proper shell escaping
-  // Each argument is escaped individually to handle spaces and special chars
-  const escapedArgs = allArgs.map(escapeShellArg);
-  const command = `yt-dlp ${escapedArgs.join(' ')}`;
+  const command = `yt-dlp ${allArgs.join(' ')}`;
   
   const execOptions = {
     timeout: options.timeout || 30000,
@@ -270,12 +253,18 @@ export async function executeYtdlp(args, options = {}) {
   });
 
   try {
-    const result = await execPromise(command, execOptions);
+    const result = options.onOutputLine || options.signal
+      ? await execWithOutputLines(allArgs, execOptions, options)
+      : await execFilePromise('yt-dlp', allArgs, execOptions);
     logger.debug('yt-dlp execution succeeded', {
       stderrLength: result.stderr?.length || 0,
     });
     return result;
   } catch (error) {
+    if (options.signal?.aborted) {
+      throw createCancelledError();
+    }
+
     const parsed = parseBotDetectionError(error);
     
     if (parsed.isBotDetection || parsed.isExpiredCookies) {
@@ -304,6 +293,84 @@ export async function executeYtdlp(args, options = {}) {
   }
 }
 
+/**
+ * execFile() of yt-dlp that also reports stdout line by line while it runs and
+ * can be aborted. Resolves/rejects like the promisified execFile (errors carry
+ * code, signal, stdout and stderr).
+ *
+ * Uses spawn, since execFile() doesn't pass `detached` through: yt-dlp leads
+ * its own process group, so it and the ffmpeg it runs are killed together.
+ */
+function execWithOutputLines(args, execOptions, { onOutputLine, signal }) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('yt-dlp', args, {
+      detached: true,
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    let stdout = '';
+    let stderr = '';
+    let failure = null;
+
+    const killGroup = reason => {
+      failure = failure || reason;
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch {
+        // Already exited
+      }
+    };
+
+    const timer = setTimeout(() => killGroup('timed out'), execOptions.timeout);
+    const removeAbortListener = killOnAbort(child, signal, { processGroup: true });
+
+    child.stdout.on('data', chunk => {
+      stdout += chunk;
+      if (stdout.length > execOptions.maxBuffer) {
+        killGroup('stdout maxBuffer length exceeded');
+      }
+    });
+    child.stderr.on('data', chunk => {
+      stderr += chunk;
+    });
+
+    if (onOutputLine) {
+      createInterface({ input: child.stdout }).on('line', line => {
+        try {
+          onOutputLine(line);
+        } catch (error) {
+          logger.debug('yt-dlp output handler failed', {
+            error: error.message,
+          });
+        }
+      });
+    }
+
+    child.on('error', error => {
+      clearTimeout(timer);
+      removeAbortListener();
+      reject(error);
+    });
+
+    child.on('close', (code, exitSignal) => {
+      clearTimeout(timer);
+      removeAbortListener();
+
+      if (code === 0 && !failure) {
+        resolve({ stdout, stderr });
+        return;
+      }
+
+      const error = new Error(`Command failed: yt-dlp ${args.join(' ')}${failure ? ` (${failure})` : ''}\n${stderr}`);
+      error.code = code;
+      error.signal = exitSignal;
+      error.killed = Boolean(failure) || Boolean(signal?.aborted);
+      error.stdout = stdout;
+      error.stderr = stderr;
+      reject(error);
+    });
+  });
+}
+
 /**
  * Get yt-dlp version for health checks
  */
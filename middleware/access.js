@@ -0,0 +1,103 @@
+import config from '../config/environment.js';
+import { authMiddleware } from './auth.js';
+import { HttpError } from './errorHandler.js';
+
+/**
+ * Route access policy
+ *
+ * Every API route belongs to an access group. Requests made with an API key
+ * need the group's scope; anonymous requests are only let into the groups the
+ * policy makes public. ACCESS_POLICY picks a preset and ACCESS_PUBLIC_ROUTES
+ * (comma-separated groups) overrides it.
+ */
+
+// Route group → scope an API key needs to use it
+export const ACCESS_GROUPS = {
+  submit: 'submit', // POST /api/transcribe, POST /api/transcribe/media, POST /api/batch, DELETE /api/jobs/:jobId
+  read: 'read', // GET /api/status/*, GET /api/batch/:batchId
+  transcripts: 'read', // GET /api/transcript/:videoId, GET /api/search
+  history: 'read', // GET /api/jobs (every client's jobs)
+  ops: 'admin', // GET /api/cookie-status (cookie file path and age)
+  admin: 'admin', // /api/admin/*
+};
+
+// Groups anonymous requests may use under each ACCESS_POLICY
+export const ACCESS_POLICIES = {
+  // Every API route needs a key
+  private: [],
+  // Anyone can fetch finished transcripts; submitting and job status need a key
+  'public-read': ['transcripts'],
+  // Anyone can submit and read (the bundled web UI works without a key)
+  open: ['submit', 'read', 'transcripts'],
+};
+
+// Never public, whatever the configuration says
+const KEY_ONLY_GROUPS = ['admin'];
+
+const publicGroups = resolvePublicGroups(config.access);
+
+function resolvePublicGroups({ policy, publicRoutes }) {
+  if (!ACCESS_POLICIES[policy]) {
+    throw new Error(`ACCESS_POLICY must be one of ${Object.keys(ACCESS_POLICIES).join(', ')} (got "${policy}")`);
+  }
+
+  const groups = publicRoutes ?? ACCESS_POLICIES[policy];
+  const unknown = groups.filter(group => !ACCESS_GROUPS[group]);
+  if (unknown.length > 0) {
+    throw new Error(`ACCESS_PUBLIC_ROUTES has unknown route groups: ${unknown.join(', ')}`);
+  }
+
+  return groups.filter(group => !KEY_ONLY_GROUPS.includes(group));
+}
+
+/**
+ * Whether anonymous requests may use a route group
+ */
+export function isPublicGroup(group) {
+  return publicGroups.includes(group);
+}
+
+/**
+ * Enforce the access policy for a route group
+ * Public groups let anonymous requests through; anything else - and any
+ * request that sends an Authorization header - needs a valid key with the
+ * group's scope. Rejections are 401/403 HttpErrors.
+ */
+export function requireAccess(group) {
+  const scope = ACCESS_GROUPS[group];
+  if (!scope) {
+    throw new Error(`Unknown access group: ${group}`);
+  }
+
+  return (req, res, next) => {
+    if (!req.authenticated && !req.headers.authorization && isPublicGroup(group)) {
+      return next();
+    }
+
+    authMiddleware(req, res, error => {
+      if (error) {
+        return next(error);
+      }
+
+      if (!req.apiKey.scopes.includes(scope)) {
+        return next(new HttpError(403, `API key does not have the "${scope}" scope`, 'INSUFFICIENT_SCOPE', {
+          requiredScope: scope,
+        }));
+      }
+
+      next();
+    });
+  };
+}
+
+/**
+ * The effective policy, for startup logs
+ */
+export function describeAccessPolicy() {
+  return {
+    policy: config.access.policy,
+    publicRoutes: publicGroups,
+  };
+}
+
+export default { ACCESS_GROUPS, ACCESS_POLICIES, isPublicGroup, requireAccess, describeAccessPolicy };
@@ -1,9 +1,12 @@
-import config from '../config/environment.js';
 import logger from '../utils/logger.js';
+import { resolveApiKey } from '../utils/api-keys.js';
+import { HttpError } from './errorHandler.js';
 
 /**
  * API Key authentication middleware
- * Validates Bearer token for Shadow integration
+ * Validates the Bearer token against the stored API keys (and API_KEY_SECRET)
+ * and sets req.authenticated, req.apiKey (the key record) and req.apiKeyId.
+ * Rejections go to the error handler as 401/403 HttpErrors.
  */
 export function authMiddleware(req, res, next) {
   // Skip auth for public endpoints
@@ -12,76 +15,75 @@ export function authMiddleware(req, res, next) {
     return next();
   }
 
+  // Already resolved by optionalAuthMiddleware
+  if (req.authenticated) {
+    return next();
+  }
+
   const authHeader = req.headers.authorization;
 
   if (!authHeader) {
-    logger.warn('Missing authorization header', {
-      path: req.path,
-      ip: req.ip,
-    });
-    return res.status(401).json({
-      error: 'Missing authorization header',
-      code: 'MISSING_AUTH_HEADER',
-    });
+    return next(new HttpError(401, 'Missing authorization header', 'MISSING_AUTH_HEADER'));
   }
 
   // Extract token from "Bearer <token>"
-  const parts = authHeader.split(' ');
-  if (parts.length !== 2 || parts[0] !== 'Bearer') {
-    logger.warn('Invalid authorization header format', {
-      path: req.path,
-      ip: req.ip,
-      format: authHeader.substring(0, 20) + '...',
-    });
-    return res.status(401).json({
-      error: 'Invalid authorization header format',
-      code: 'INVALID_AUTH_FORMAT',
-    });
+  const token = parseBearerToken(authHeader);
+  if (!token) {
+    return next(new HttpError(401, 'Invalid authorization header format', 'INVALID_AUTH_FORMAT'));
   }
 
-  const token = parts[1];
+  resolveApiKey(token)
+    .then(key => {
+      if (!key) {
+        return next(new HttpError(403, 'Invalid API key', 'INVALID_API_KEY'));
+      }
 
-  // Validate token against configured secret
-  // In production, this would check against a database of valid API keys
-  if (token !== config.api.keySecret) {
-    logger.warn('Invalid API key', {
-      path: req.path,
-      ip: req.ip,
-      token: token.substring(0, 10) + '...',
-    });
-    return res.status(403).json({
-      error: 'Invalid API key',
-      code: 'INVALID_API_KEY',
-    });
-  }
+      if (key.revokedAt) {
+        return next(new HttpError(403, 'API key has been revoked', 'API_KEY_REVOKED', { keyId: key.id }));
+      }
 
-  logger.debug('API key validated', {
-    path: req.path,
-    ip: req.ip,
-  });
+      logger.debug('API key validated', {
+        path: req.path,
+        ip: req.ip,
+        keyId: key.id,
+      });
 
-  next();
+      setApiKey(req, key);
+      next();
+    })
+    .catch(next);
 }
 
 /**
  * Optional auth middleware - allows requests with or without auth
- * Used for public endpoints that can also accept auth
+ * Identifies the caller for the access policy (middleware/access.js), which
+ * rejects unknown and revoked keys on the routes they are used on
  */
 export function optionalAuthMiddleware(req, res, next) {
-  const authHeader = req.headers.authorization;
+  const token = parseBearerToken(req.headers.authorization);
+  if (!token) {
+    return next();
+  }
 
-  if (authHeader) {
-    const parts = authHeader.split(' ');
-    if (parts.length === 2 && parts[0] === 'Bearer') {
-      const token = parts[1];
-      if (token === config.api.keySecret) {
-        req.authenticated = true;
-        req.apiKey = token;
+  resolveApiKey(token)
+    .then(key => {
+      if (key && !key.revokedAt) {
+        setApiKey(req, key);
       }
-    }
-  }
+      next();
+    })
+    .catch(next);
+}
+
+function parseBearerToken(authHeader) {
+  const parts = (authHeader || '').split(' ');
+  return parts.length === 2 && parts[0] === 'Bearer' && parts[1] ? parts[1] : null;
+}
 
-  next();
+function setApiKey(req, key) {
+  req.authenticated = true;
+  req.apiKey = key;
+  req.apiKeyId = key.id;
 }
 
 export default { authMiddleware, optionalAuthMiddleware };
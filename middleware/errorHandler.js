@@ -1,5 +1,19 @@
 import logger from '../utils/logger.js';
 
+/**
+ * Error with an HTTP status, for middleware and routes to pass to next()
+ * `details` are added to the response body (e.g. { requiredScope: 'admin' })
+ */
+export class HttpError extends Error {
+  constructor(statusCode, message, code, details = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
 /**
  * Global error handler middleware
  * Catches and formats all errors consistently
@@ -12,22 +26,40 @@ export function errorHandler(err, req, res, next) {
   const errorCode = err.code || 'INTERNAL_ERROR';
   const message = err.message || 'An internal error occurred';
 
-  // Log the error
-  logger.error('Request error', {
-    errorId,
-    statusCode,
-    errorCode,
-    message,
-    path: req.path,
-    method: req.method,
-    ip: req.ip,
-    stack: err.stack,
-  });
+  // Log the error - rejected requests (HttpError 4xx) are expected, so no stack
+  if (err instanceof HttpError && statusCode < 500) {
+    logger.warn('Request rejected', {
+      errorId,
+      statusCode,
+      errorCode,
+      message,
+      path: req.path,
+      method: req.method,
+      ip: req.ip,
+      keyId: req.apiKeyId,
+    });
+  } else {
+    logger.error('Request error', {
+      errorId,
+      statusCode,
+      errorCode,
+      message,
+      path: req.path,
+      method: req.method,
+      ip: req.ip,
+      stack: err.stack,
+    });
+  }
+
+  if (statusCode === 401) {
+    res.set('WWW-Authenticate', 'Bearer');
+  }
 
   // Send error response
   res.status(statusCode).json({
     error: message,
     code: errorCode,
+    ...err.details,
     errorId, // For debugging
     timestamp: new Date().toISOString(),
   });
@@ -54,4 +86,4 @@ export function asyncHandler(fn) {
   };
 }
 
-export default { errorHandler, notFoundHandler, asyncHandler };
+export default { HttpError, errorHandler, notFoundHandler, asyncHandler };
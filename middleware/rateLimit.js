@@ -1,38 +1,122 @@
 import rateLimit from 'express-rate-limit';
 import config from '../config/environment.js';
 import logger from '../utils/logger.js';
+import { getRedisClient } from '../utils/redis.js';
+
+// Counters live in Redis so limits survive restarts and are shared by every instance
+const RATE_LIMIT_KEY_PREFIX = 'ratelimit:';
+
+// Increment a fixed-window counter, starting the window on the first hit
+const INCREMENT_SCRIPT = `
+local hits = redis.call('INCR', KEYS[1])
+if hits == 1 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+end
+return { hits, redis.call('PTTL', KEYS[1]) }
+`;
+
+// Add to a window's Whisper minutes unless that would exceed the limit
+// Returns { allowed (1/0), minutes used (string), ms until the window resets }
+const CHARGE_SCRIPT = `
+local used = tonumber(redis.call('GET', KEYS[1]) or '0')
+local cost = tonumber(ARGV[1])
+local limit = tonumber(ARGV[2])
+if used > 0 and used + cost > limit then
+  return { 0, tostring(used), redis.call('PTTL', KEYS[1]) }
+end
+used = redis.call('INCRBYFLOAT', KEYS[1], cost)
+if redis.call('PTTL', KEYS[1]) < 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[3])
+end
+return { 1, tostring(used), redis.call('PTTL', KEYS[1]) }
+`;
+
+/**
+ * express-rate-limit store backed by the shared Redis client
+ * Each limiter needs its own store (prefix)
+ */
+export function createRedisStore(name) {
+  let windowMs;
+  const prefix = `${RATE_LIMIT_KEY_PREFIX}${name}:`;
+
+  return {
+    prefix,
+    localKeys: false,
+
+    init(options) {
+      windowMs = options.windowMs;
+    },
+
+    async increment(key) {
+      const [totalHits, ttlMs] = await getRedisClient().eval(INCREMENT_SCRIPT, {
+        keys: [`${prefix}${key}`],
+        arguments: [String(windowMs)],
+      });
+
+      return {
+        totalHits,
+        resetTime: new Date(Date.now() + (ttlMs > 0 ? ttlMs : windowMs)),
+      };
+    },
+
+    async decrement(key) {
+      await getRedisClient().decr(`${prefix}${key}`);
+    },
+
+    async resetKey(key) {
+      await getRedisClient().del(`${prefix}${key}`);
+    },
+  };
+}
+
+/**
+ * Who a request is counted against: its API key, or its IP when anonymous
+ */
+function getClientKey(req) {
+  return req.authenticated ? `key:${req.apiKeyId}` : `ip:${req.ip}`;
+}
+
+/**
+ * The parts of a request the limits are keyed on, to store with a job that is
+ * charged once it runs (see chargeWhisperMinutes)
+ */
+export function getRateLimitClient(req) {
+  return {
+    authenticated: Boolean(req.authenticated),
+    apiKeyId: req.apiKeyId || null,
+    ip: req.ip,
+  };
+}
 
 /**
  * Rate limiter for transcription endpoint
  * Prevents abuse and ensures fair resource allocation
+ * Requests with an API key are counted per key (RATE_LIMIT_KEY_MAX_REQUESTS),
+ * anonymous ones per IP (RATE_LIMIT_MAX_REQUESTS)
  */
 export const transcribeRateLimiter = rateLimit({
   windowMs: config.api.rateLimitWindowMs,
-  max: config.api.rateLimitMaxRequests,
-  message: {
-    error: 'Too many transcription requests, please try again later',
-    code: 'RATE_LIMIT_EXCEEDED',
-    retryAfter: config.api.rateLimitWindowMs / 1000,
-  },
+  limit: req => (req.authenticated ? config.api.rateLimitKeyMaxRequests : config.api.rateLimitMaxRequests),
+  keyGenerator: getClientKey,
+  store: createRedisStore('transcribe'),
+  // A Redis outage shouldn't take submissions down with it
+  passOnStoreError: true,
   standardHeaders: true, // Return rate limit info in RateLimit-* headers
   legacyHeaders: false,
-  handler: (req, res) => {
+  handler: (req, res, next, options) => {
     logger.warn('Rate limit exceeded', {
       ip: req.ip,
+      keyId: req.apiKeyId,
       path: req.path,
       windowMs: config.api.rateLimitWindowMs,
-      limit: config.api.rateLimitMaxRequests,
+      limit: req.rateLimit?.limit,
     });
-    res.status(429).json({
+    res.status(options.statusCode).json({
       error: 'Too many requests, please try again later',
       code: 'RATE_LIMIT_EXCEEDED',
-      retryAfter: config.api.rateLimitWindowMs / 1000,
+      retryAfter: Math.ceil(config.api.rateLimitWindowMs / 1000),
     });
   },
-  skip: (req) => {
-    // Skip rate limiting for authenticated requests (Shadow)
-    return req.headers.authorization?.startsWith('Bearer ');
-  },
 });
 
 /**
@@ -42,6 +126,8 @@ export const transcribeRateLimiter = rateLimit({
 export const globalRateLimiter = rateLimit({
   windowMs: 60000, // 1 minute
   max: 100, // 100 requests per minute
+  store: createRedisStore('global'),
+  passOnStoreError: true,
   standardHeaders: true,
   legacyHeaders: false,
   skip: (req) => {
@@ -50,4 +136,57 @@ export const globalRateLimiter = rateLimit({
   },
 });
 
-export default { transcribeRateLimiter, globalRateLimiter };
+/**
+ * Cost-based limit on Whisper work
+ * Charges a job's video duration (minutes) against the client's budget for
+ * the current window (WHISPER_RATE_LIMIT_KEY_MINUTES per API key,
+ * WHISPER_RATE_LIMIT_MINUTES per anonymous IP), so one 3-hour video costs
+ * what 180 one-minute videos do. The first job of a window is always let
+ * through, even if it is longer than the whole budget.
+ *
+ * Jobs the API can't charge - media URLs, videos that fall back from
+ * captions to Whisper, videos whose length can't be looked up - are charged
+ * by the worker when they reach Whisper, against the getRateLimitClient()
+ * stored with the job.
+ *
+ * @param {object} req - Express request, or getRateLimitClient() of one (identifies the client)
+ * @param {number} durationSeconds - Video duration
+ * @returns {Promise<{ allowed: boolean, limit: number, used: number, retryAfter: number }>}
+ *   `retryAfter` is seconds until the window resets
+ */
+export async function chargeWhisperMinutes(req, durationSeconds) {
+  const { whisperWindowMs, whisperMaxMinutes, whisperKeyMaxMinutes } = config.api;
+  const limit = req.authenticated ? whisperKeyMaxMinutes : whisperMaxMinutes;
+  const cost = (durationSeconds || 0) / 60;
+
+  const [allowed, used, ttlMs] = await getRedisClient().eval(CHARGE_SCRIPT, {
+    keys: [`${RATE_LIMIT_KEY_PREFIX}whisper:${getClientKey(req)}`],
+    arguments: [String(cost), String(limit), String(whisperWindowMs)],
+  });
+
+  const result = {
+    allowed: allowed === 1,
+    limit,
+    used: Math.round(Number(used) * 10) / 10,
+    retryAfter: Math.ceil((ttlMs > 0 ? ttlMs : whisperWindowMs) / 1000),
+  };
+
+  if (!result.allowed) {
+    logger.warn('Whisper rate limit exceeded', {
+      ip: req.ip,
+      keyId: req.apiKeyId,
+      requestedMinutes: Math.round(cost),
+      ...result,
+    });
+  }
+
+  return result;
+}
+
+export default {
+  createRedisStore,
+  transcribeRateLimiter,
+  globalRateLimiter,
+  getRateLimitClient,
+  chargeWhisperMinutes,
+};
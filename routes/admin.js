@@ -0,0 +1,139 @@
+import express from 'express';
+import logger from '../utils/logger.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { requireAccess } from '../middleware/access.js';
+import {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  getWhisperQuota,
+  toPublicKey,
+} from '../utils/api-keys.js';
+
+/**
+ * Admin endpoints - every route needs an API key with the "admin" scope
+ */
+export function createAdminRouter() {
+  const router = express.Router();
+
+  router.use('/api/admin', requireAccess('admin'));
+
+  /**
+   * POST /api/admin/keys
+   * Create an API key
+   *
+   * Request body:
+   * {
+   *   "name": "acme-backend",
+   *   "scopes": ["submit", "read"] (optional, any of submit, read, admin; default submit, read),
+   *   "dailyWhisperMinutes": 600 (optional, null = unlimited),
+   *   "maxPriority": "normal" (optional, highest job priority: high, normal, low)
+   * }
+   *
+   * Response (201) - the key is only ever returned here:
+   * {
+   *   "key": "ytt_...",
+   *   "id": "key_3f9a1c0b7d2e",
+   *   "name": "acme-backend",
+   *   "scopes": ["submit", "read"],
+   *   "dailyWhisperMinutes": 600,
+   *   "maxPriority": "normal",
+   *   "createdAt": "2026-02-18T10:00:00.000Z",
+   *   "revokedAt": null
+   * }
+   */
+  router.post(
+    '/api/admin/keys',
+    asyncHandler(async (req, res) => {
+      const { name, scopes, dailyWhisperMinutes, maxPriority } = req.body;
+
+      let created;
+      try {
+        created = await createApiKey({ name, scopes, dailyWhisperMinutes, maxPriority });
+      } catch (error) {
+        if (!error.code?.startsWith('INVALID_')) {
+          throw error;
+        }
+        return res.status(400).json({
+          error: error.message,
+          code: error.code,
+        });
+      }
+
+      logger.info('API key created', {
+        keyId: created.key.id,
+        name: created.key.name,
+        scopes: created.key.scopes,
+        createdBy: req.apiKeyId,
+      });
+
+      res.status(201).json({
+        key: created.token,
+        ...toPublicKey(created.key),
+      });
+    })
+  );
+
+  /**
+   * GET /api/admin/keys
+   * List API keys (including revoked ones) with today's Whisper usage
+   *
+   * Response:
+   * {
+   *   "keys": [{ "id": "key_3f9a1c0b7d2e", "name": "acme-backend", "scopes": ["submit", "read"],
+   *              "dailyWhisperMinutes": 600, "createdAt": "...", "revokedAt": null,
+   *              "whisperQuota": { "limit": 600, "used": 42.5, "remaining": 557.5, "resetsAt": "..." } }],
+   *   "count": 1
+   * }
+   */
+  router.get(
+    '/api/admin/keys',
+    asyncHandler(async (req, res) => {
+      const keys = [];
+      for (const key of await listApiKeys()) {
+        keys.push({
+          ...toPublicKey(key),
+          whisperQuota: await getWhisperQuota(key.id),
+        });
+      }
+
+      res.json({
+        keys,
+        count: keys.length,
+      });
+    })
+  );
+
+  /**
+   * DELETE /api/admin/keys/:keyId
+   * Revoke an API key; requests using it get 403 API_KEY_REVOKED
+   * Jobs it submitted keep running and stay attributed to it.
+   */
+  router.delete(
+    '/api/admin/keys/:keyId',
+    asyncHandler(async (req, res) => {
+      const { keyId } = req.params;
+
+      const key = await revokeApiKey(keyId);
+      if (!key) {
+        return res.status(404).json({
+          error: 'API key not found',
+          code: 'KEY_NOT_FOUND',
+          keyId,
+        });
+      }
+
+      logger.info('API key revoked', {
+        keyId,
+        name: key.name,
+        revokedBy: req.apiKeyId,
+      });
+
+      res.json(toPublicKey(key));
+    })
+  );
+
+  return router;
+}
+
+export default createAdminRouter;
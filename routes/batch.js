@@ -0,0 +1,422 @@
+import express from 'express';
+import config from '../config/environment.js';
+import logger from '../utils/logger.js';
+import { parseCollectionUrl } from '../utils/videoId.js';
+import { expandPlaylist } from '../utils/ytdlp.js';
+import { parseJobOptions, resolvePriority, isWhisperOnly } from '../utils/job-options.js';
+import { createBatchId, saveBatch, getBatch } from '../utils/batches.js';
+import { getTranscriptResult } from '../utils/transcript-index.js';
+import { getProgressPercent } from '../utils/job-progress.js';
+import { getCancellation } from '../utils/cancellation.js';
+import { getWhisperQuota } from '../utils/api-keys.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { transcribeRateLimiter, chargeWhisperMinutes, getRateLimitClient } from '../middleware/rateLimit.js';
+import { requireAccess } from '../middleware/access.js';
+
+export function createBatchRouter(transcriptionQueue) {
+  const router = express.Router();
+
+  /**
+   * POST /api/batch
+   * Transcribe every video in a playlist, or a channel's latest uploads
+   *
+   * Request body:
+   * {
+   *   "url": "https://www.youtube.com/playlist?list=PL..." | "https://www.youtube.com/@channel",
+   *   "limit": 50 (optional, first N videos; max BATCH_MAX_VIDEOS),
+   *   ...any /api/transcribe option (forceWhisper, language, translate,
+   *      wordTimestamps, diarize, callbackUrl, callbackSecret, priority, refresh), applied to every video
+   * }
+   *
+   * Response (202):
+   * {
+   *   "batchId": "batch_1739883000123_abc123",
+   *   "source": { "type": "playlist", "id": "PL...", "title": "..." },
+   *   "total": 12,
+   *   "queued": 9,
+   *   "deduplicated": 3,
+   *   "statusUrl": "/api/batch/batch_1739883000123_abc123"
+   * }
+   *
+   * Needs the "submit" scope when made with an API key; Whisper quotas and
+   * rate limits apply as for /api/transcribe, charged for the whole playlist.
+   */
+  router.post(
+    '/api/batch',
+    transcribeRateLimiter,
+    requireAccess('submit'),
+    asyncHandler(async (req, res) => {
+      const { url, limit = config.batch.defaultVideos } = req.body;
+
+      if (!url || typeof url !== 'string') {
+        return res.status(400).json({
+          error: 'URL is required and must be a string',
+          code: 'INVALID_URL',
+        });
+      }
+
+      const collection = parseCollectionUrl(url);
+      if (!collection) {
+        return res.status(400).json({
+          error: 'URL must be a YouTube playlist or channel',
+          code: 'INVALID_PLAYLIST_URL',
+          hint: 'Submit single videos to POST /api/transcribe',
+        });
+      }
+
+      if (!Number.isInteger(limit) || limit < 1 || limit > config.batch.maxVideos) {
+        return res.status(400).json({
+          error: `limit must be an integer between 1 and ${config.batch.maxVideos}`,
+          code: 'INVALID_LIMIT',
+        });
+      }
+
+      let options;
+      try {
+        options = parseJobOptions(req.body);
+      } catch (error) {
+        return res.status(400).json({
+          error: error.message,
+          code: error.code,
+        });
+      }
+
+      const { refresh, ...jobOptions } = options;
+
+      try {
+        jobOptions.priority = resolvePriority(options.priority, req.apiKey);
+      } catch (error) {
+        return res.status(403).json({
+          error: error.message,
+          code: error.code,
+        });
+      }
+
+      if (isWhisperOnly(jobOptions) && req.authenticated) {
+        const quota = await getWhisperQuota(req.apiKeyId);
+        if (quota.remaining === 0) {
+          return res.status(429).json({
+            error: 'Daily Whisper quota for this API key is used up',
+            code: 'WHISPER_QUOTA_EXCEEDED',
+            quota,
+          });
+        }
+      }
+
+      logger.info('Batch request received', {
+        url,
+        type: collection.type,
+        collectionId: collection.id,
+        limit,
+        languages: jobOptions.languages,
+        ip: req.ip,
+      });
+
+      let playlist;
+      try {
+        playlist = await expandPlaylist(collection.url, { limit });
+      } catch (error) {
+        if (error.code === 'BOT_DETECTION' || error.code === 'COOKIES_EXPIRED') {
+          return res.status(503).json({
+            error: error.message,
+            code: error.code,
+          });
+        }
+
+        logger.error('Failed to expand batch URL', {
+          url,
+          error: error.message,
+          ip: req.ip,
+        });
+        return res.status(422).json({
+          error: 'Could not list the videos in this playlist or channel',
+          code: 'PLAYLIST_UNAVAILABLE',
+        });
+      }
+
+      if (playlist.videos.length === 0) {
+        return res.status(422).json({
+          error: 'Playlist or channel has no available videos',
+          code: 'EMPTY_PLAYLIST',
+        });
+      }
+
+      // Videos of unknown length (flat listings often have none), and every
+      // video of a job that may fall back to Whisper, are charged by the worker
+      const whisperOnly = isWhisperOnly(jobOptions);
+      if (whisperOnly) {
+        const durationSeconds = playlist.videos.reduce((total, video) => total + (video.durationSeconds || 0), 0);
+        const charge = await chargeWhisperMinutes(req, durationSeconds);
+        if (!charge.allowed) {
+          res.set('Retry-After', String(charge.retryAfter));
+          return res.status(429).json({
+            error: 'Too much Whisper audio submitted, please try again later',
+            code: 'WHISPER_RATE_LIMIT_EXCEEDED',
+            limitMinutes: charge.limit,
+            usedMinutes: charge.used,
+            retryAfter: charge.retryAfter,
+          });
+        }
+      }
+
+      const batchId = createBatchId();
+      const videos = [];
+      // Jobs queued for this batch (not reused ones), cancelled if it can't be saved
+      const queuedJobIds = [];
+
+      try {
+        // One child job per video, reusing transcripts and in-flight jobs like /api/transcribe
+        for (const video of playlist.videos) {
+          const existing = refresh
+            ? null
+            : await transcriptionQueue.findExistingTranscription(video.url, jobOptions);
+
+          if (existing?.type === 'completed') {
+            videos.push({
+              videoId: video.videoId,
+              url: video.url,
+              title: video.title,
+              jobId: existing.result.jobId,
+              status: 'complete',
+              resultsUrl: buildResultsUrl(existing.result),
+            });
+            continue;
+          }
+
+          const { job, deduplicated } = existing?.type === 'in-flight'
+            ? { job: existing.job, deduplicated: true }
+            : await transcriptionQueue.addTranscriptionJob(video.url, {
+              ...jobOptions,
+              batchId,
+              submittedBy: req.apiKeyId,
+              deferredCharge: whisperOnly && video.durationSeconds ? null : getRateLimitClient(req),
+              refresh,
+            });
+
+          if (!deduplicated) {
+            queuedJobIds.push(job.id);
+          }
+
+          videos.push({
+            videoId: video.videoId,
+            url: video.url,
+            title: video.title,
+            jobId: job.id,
+          });
+        }
+      } catch (error) {
+        await cancelQueuedJobs(transcriptionQueue, batchId, queuedJobIds);
+        throw error;
+      }
+
+      const batch = {
+        batchId,
+        source: {
+          type: collection.type,
+          id: playlist.id || collection.id,
+          url: collection.url,
+          title: playlist.title,
+          channel: playlist.channel,
+        },
+        options: {
+          forceWhisper: jobOptions.forceWhisper,
+          languages: jobOptions.languages,
+          translate: jobOptions.translate,
+          wordTimestamps: jobOptions.wordTimestamps,
+          diarize: jobOptions.diarize,
+          callbackUrl: jobOptions.callbackUrl || null,
+          priority: jobOptions.priority,
+        },
+        createdAt: new Date().toISOString(),
+        videos,
+      };
+
+      try {
+        await saveBatch(batch);
+      } catch (error) {
+        await cancelQueuedJobs(transcriptionQueue, batchId, queuedJobIds);
+        throw error;
+      }
+
+      const deduplicated = videos.filter(video => video.status === 'complete').length;
+
+      logger.info('Batch queued', {
+        batchId,
+        total: videos.length,
+        deduplicated,
+      });
+
+      res.status(202).json({
+        batchId,
+        source: batch.source,
+        total: videos.length,
+        queued: videos.length - deduplicated,
+        deduplicated,
+        statusUrl: `/api/batch/${batchId}`,
+      });
+    })
+  );
+
+  /**
+   * GET /api/batch/:batchId
+   * Aggregated progress and per-video results for a batch
+   *
+   * Response:
+   * {
+   *   "batchId": "batch_1739883000123_abc123",
+   *   "status": "queued|processing|complete|partial|failed|cancelled",
+   *   "progress": { "total": 12, "complete": 5, "failed": 1, "cancelled": 0, "processing": 1, "queued": 5, "percent": 52 },
+   *   "videos": [
+   *     { "videoId": "...", "title": "...", "jobId": "...", "status": "complete", "resultsUrl": "..." }
+   *   ]
+   * }
+   */
+  router.get(
+    '/api/batch/:batchId',
+    requireAccess('read'),
+    asyncHandler(async (req, res) => {
+      const { batchId } = req.params;
+
+      const batch = await getBatch(batchId);
+      if (!batch) {
+        return res.status(404).json({
+          error: 'Batch not found',
+          code: 'BATCH_NOT_FOUND',
+          batchId,
+        });
+      }
+
+      const videos = [];
+      for (const video of batch.videos) {
+        videos.push(await getVideoStatus(transcriptionQueue, batch, video));
+      }
+
+      const progress = {
+        total: videos.length,
+        complete: videos.filter(video => video.status === 'complete').length,
+        failed: videos.filter(video => video.status === 'failed').length,
+        cancelled: videos.filter(video => video.status === 'cancelled').length,
+        processing: videos.filter(video => video.status === 'processing').length,
+        queued: videos.filter(video => video.status === 'queued').length,
+      };
+      progress.percent = Math.round(
+        videos.reduce((sum, video) => sum + video.progress, 0) / (videos.length || 1)
+      );
+
+      res.json({
+        batchId,
+        status: getBatchState(progress),
+        source: batch.source,
+        options: batch.options,
+        createdAt: batch.createdAt,
+        progress,
+        videos,
+      });
+    })
+  );
+
+  return router;
+}
+
+/**
+ * Resolve the current status of one video in a batch
+ * Completed jobs may have been removed from the queue (JOB_REMOVAL_DELAY_MS),
+ * in which case the transcript index says whether it finished
+ */
+async function getVideoStatus(transcriptionQueue, batch, video) {
+  const entry = {
+    videoId: video.videoId,
+    title: video.title,
+    jobId: video.jobId,
+  };
+
+  if (video.status === 'complete') {
+    return { ...entry, status: 'complete', progress: 100, resultsUrl: video.resultsUrl };
+  }
+
+  if (await getCancellation(video.jobId)) {
+    return { ...entry, status: 'cancelled', progress: 100 };
+  }
+
+  const job = await transcriptionQueue.getTranscriptionJob(video.jobId);
+  const state = job ? await job.getState() : null;
+
+  if (state === 'completed') {
+    return { ...entry, status: 'complete', progress: 100, resultsUrl: buildResultsUrl(job.returnvalue) };
+  }
+
+  if (state === 'failed') {
+    return { ...entry, status: 'failed', progress: 100, error: job.failedReason || 'Unknown error' };
+  }
+
+  if (state === 'active') {
+    return { ...entry, status: 'processing', progress: getProgressPercent(job.progress()) };
+  }
+
+  if (state) {
+    return { ...entry, status: 'queued', progress: 0 };
+  }
+
+  const result = await getTranscriptResult(video.videoId, {
+    languages: batch.options.languages,
+    translated: batch.options.translate,
+  });
+
+  if (result) {
+    return { ...entry, status: 'complete', progress: 100, resultsUrl: buildResultsUrl(result) };
+  }
+
+  return { ...entry, status: 'failed', progress: 100, error: 'Job no longer available' };
+}
+
+/**
+ * Overall batch state from the per-video counts
+ */
+function getBatchState(progress) {
+  const finished = progress.complete + progress.failed + progress.cancelled;
+
+  if (finished === progress.total) {
+    if (progress.complete === 0 && progress.failed === 0) {
+      return 'cancelled';
+    }
+    if (progress.failed === 0 && progress.cancelled === 0) {
+      return 'complete';
+    }
+    return progress.complete > 0 ? 'partial' : 'failed';
+  }
+
+  return finished > 0 || progress.processing > 0 ? 'processing' : 'queued';
+}
+
+function buildResultsUrl(result) {
+  return result.variant
+    ? `/api/transcript/${result.videoId}?lang=${result.variant}`
+    : `/api/transcript/${result.videoId}`;
+}
+
+/**
+ * Cancel the child jobs of a batch that failed to be created, so no job is
+ * left running for a batch nobody can look up
+ */
+async function cancelQueuedJobs(transcriptionQueue, batchId, jobIds) {
+  for (const jobId of jobIds) {
+    try {
+      await transcriptionQueue.cancelJob(jobId);
+    } catch (error) {
+      logger.error('Failed to cancel job of unsaved batch', {
+        batchId,
+        jobId,
+        error: error.message,
+      });
+    }
+  }
+
+  if (jobIds.length > 0) {
+    logger.warn('Batch could not be created, its queued jobs were cancelled', {
+      batchId,
+      cancelled: jobIds.length,
+    });
+  }
+}
+
+export default createBatchRouter;
@@ -0,0 +1,293 @@
+import express from 'express';
+import logger from '../utils/logger.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { requireAccess } from '../middleware/access.js';
+import { isValidSourceId } from '../utils/sources.js';
+import { listJobHistory, getJobHistoryEntry } from '../utils/job-history.js';
+import { getProgressPercent } from '../utils/job-progress.js';
+
+const JOB_STATUSES = ['queued', 'processing', 'complete', 'failed', 'cancelled'];
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_PAGE_SIZE = 20;
+
+// Bull state → status reported by the API
+const STATUS_BY_STATE = {
+  waiting: 'queued',
+  delayed: 'queued',
+  paused: 'queued',
+  active: 'processing',
+  completed: 'complete',
+  failed: 'failed',
+};
+
+export function createJobsRouter(transcriptionQueue) {
+  const router = express.Router();
+
+  /**
+   * GET /api/jobs
+   * List jobs the service has run, newest first (requires an API key with the "read" scope)
+   *
+   * Query parameters (all optional):
+   *   status      - queued, processing, complete, failed, cancelled (comma-separated)
+   *   videoId     - 11-character YouTube video ID, or a media ID (media_...)
+   *   tier        - 1 (YouTube captions) or 2 (Whisper)
+   *   from, to    - Submission time range (ISO 8601)
+   *   submittedBy - API key ID (key_...), or "me" for the calling key
+   *   limit       - Page size, 1-100 (default 20)
+   *   cursor      - nextCursor from the previous page
+   *
+   * Response:
+   * {
+   *   "jobs": [{ "jobId": "...", "videoId": "...", "status": "complete", "lane": "whisper", "tier": 2,
+   *              "title": "...", "channel": "...", "duration": "1:58:00",
+   *              "processTime": "21.4 min", "error": null, ... }],
+   *   "count": 20,
+   *   "nextCursor": "eyJ0byI6..."
+   * }
+   */
+  router.get(
+    '/api/jobs',
+    requireAccess('history'),
+    asyncHandler(async (req, res) => {
+      let filters;
+      try {
+        filters = parseListFilters(req.query, req.apiKeyId);
+      } catch (error) {
+        return res.status(400).json({
+          error: error.message,
+          code: error.code,
+        });
+      }
+
+      const { entries, nextOffset } = await listJobHistory(filters);
+      const jobs = [];
+      for (const entry of entries) {
+        jobs.push(await toJobSummary(transcriptionQueue, entry));
+      }
+
+      res.json({
+        jobs,
+        count: jobs.length,
+        nextCursor: nextOffset === null ? null : encodeCursor({ to: filters.to, offset: nextOffset }),
+      });
+    })
+  );
+
+  /**
+   * DELETE /api/jobs/:jobId
+   * Cancel a transcription job
+   *
+   * Queued jobs are removed from the queue. Running jobs are stopped: yt-dlp,
+   * ffmpeg and faster-whisper are killed and temporary audio is deleted.
+   * Status responses report the job as "cancelled" afterwards.
+   * Needs the "submit" scope when made with an API key, and only the key that
+   * submitted the job (or an admin key) may cancel it.
+   *
+   * Response (200):
+   * {
+   *   "jobId": "job_1739883000123_abc123",
+   *   "status": "cancelled",
+   *   "previousState": "active",
+   *   "cancelledAt": "2026-02-18T10:05:00.000Z"
+   * }
+   */
+  router.delete(
+    '/api/jobs/:jobId',
+    requireAccess('submit'),
+    asyncHandler(async (req, res) => {
+      const { jobId } = req.params;
+
+      // Queued jobs are removed when cancelled; their history still names the submitter
+      const job = await transcriptionQueue.getTranscriptionJob(jobId);
+      const entry = job ? null : await getJobHistoryEntry(jobId);
+      if ((job || entry) && !canCancelJob(req, job ? job.data.submittedBy : entry.submittedBy)) {
+        return res.status(403).json({
+          error: 'Only the API key that submitted the job, or an admin key, can cancel it',
+          code: 'NOT_JOB_OWNER',
+          jobId,
+        });
+      }
+
+      const outcome = await transcriptionQueue.cancelJob(jobId);
+
+      if (!outcome) {
+        return res.status(404).json({
+          error: 'Job not found',
+          code: 'JOB_NOT_FOUND',
+          jobId,
+        });
+      }
+
+      if (!outcome.cancelled) {
+        return res.status(409).json({
+          error: `Job already ${outcome.state}`,
+          code: 'JOB_ALREADY_FINISHED',
+          jobId,
+          status: outcome.state === 'completed' ? 'complete' : outcome.state,
+        });
+      }
+
+      logger.info('Job cancellation requested', {
+        jobId,
+        previousState: outcome.cancellation.previousState,
+        ip: req.ip,
+      });
+
+      res.json({
+        jobId,
+        status: 'cancelled',
+        previousState: outcome.cancellation.previousState,
+        cancelledAt: outcome.cancellation.cancelledAt,
+      });
+    })
+  );
+
+  return router;
+}
+
+/**
+ * Whether a request may cancel a job: made with the API key that submitted
+ * it, or with an admin key (anonymous jobs can only be cancelled by admins)
+ */
+function canCancelJob(req, submittedBy) {
+  if (req.apiKey?.scopes.includes('admin')) {
+    return true;
+  }
+  return Boolean(submittedBy) && submittedBy === req.apiKeyId;
+}
+
+/**
+ * Validate GET /api/jobs query parameters
+ * Throws an error with a `code` for a 400 response
+ */
+function parseListFilters(query, apiKeyId) {
+  const filters = {};
+
+  if (query.status !== undefined) {
+    filters.statuses = String(query.status).split(',').map(status => status.trim());
+    if (filters.statuses.some(status => !JOB_STATUSES.includes(status))) {
+      throw createQueryError(`status must be one of ${JOB_STATUSES.join(', ')}`, 'INVALID_STATUS');
+    }
+  }
+
+  if (query.videoId !== undefined) {
+    if (!isValidSourceId(query.videoId)) {
+      throw createQueryError('videoId must be a YouTube video ID, a <provider>:<id> source ID or a media ID', 'INVALID_VIDEO_ID');
+    }
+    filters.videoId = query.videoId;
+  }
+
+  if (query.tier !== undefined) {
+    filters.tier = Number(query.tier);
+    if (filters.tier !== 1 && filters.tier !== 2) {
+      throw createQueryError('tier must be 1 or 2', 'INVALID_TIER');
+    }
+  }
+
+  if (query.submittedBy !== undefined) {
+    filters.submittedBy = query.submittedBy === 'me' ? apiKeyId : query.submittedBy;
+    if (!/^key_[a-z0-9]+$/.test(filters.submittedBy || '')) {
+      throw createQueryError('submittedBy must be an API key ID (key_...) or "me"', 'INVALID_SUBMITTED_BY');
+    }
+  }
+
+  filters.limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(filters.limit) || filters.limit < 1 || filters.limit > MAX_PAGE_SIZE) {
+    throw createQueryError(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`, 'INVALID_LIMIT');
+  }
+
+  const from = query.from === undefined ? null : Date.parse(query.from);
+  const to = query.to === undefined ? null : Date.parse(query.to);
+  if (Number.isNaN(from) || Number.isNaN(to) || (from !== null && to !== null && from > to)) {
+    throw createQueryError('from and to must be ISO 8601 dates, with from before to', 'INVALID_DATE_RANGE');
+  }
+  if (from !== null) {
+    filters.from = from;
+  }
+
+  // The cursor pins the end of the range, so jobs submitted meanwhile don't shift pages
+  if (query.cursor !== undefined) {
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      throw createQueryError('cursor is invalid', 'INVALID_CURSOR');
+    }
+    filters.to = cursor.to;
+    filters.offset = cursor.offset;
+  } else {
+    filters.to = to ?? Date.now();
+  }
+
+  return filters;
+}
+
+/**
+ * Public summary of a history entry
+ * Jobs still in the queue take their status from Bull, which is more current
+ */
+async function toJobSummary(transcriptionQueue, entry) {
+  const summary = {
+    jobId: entry.jobId,
+    videoId: entry.videoId,
+    url: entry.url,
+    status: entry.status,
+    lane: entry.lane || null,
+    tier: entry.tier,
+    source: entry.source,
+    title: entry.title,
+    channel: entry.channel,
+    duration: entry.duration,
+    durationSeconds: entry.durationSeconds,
+    processTime: entry.processTime,
+    error: entry.error || null,
+    options: entry.options,
+    submittedBy: entry.submittedBy,
+    batchId: entry.batchId,
+    createdAt: entry.createdAt,
+    startedAt: entry.startedAt,
+    finishedAt: entry.finishedAt,
+    statusUrl: `/api/status/${entry.jobId}`,
+  };
+
+  if (entry.status === 'queued' || entry.status === 'processing') {
+    const job = await transcriptionQueue.getTranscriptionJob(entry.jobId);
+    if (job) {
+      const state = await job.getState();
+      summary.lane = transcriptionQueue.getJobLane(job);
+      summary.status = STATUS_BY_STATE[state] || summary.status;
+      if (state === 'active') {
+        summary.progress = getProgressPercent(job.progress());
+      }
+    }
+  }
+
+  if (summary.status === 'complete' && entry.videoId) {
+    summary.resultsUrl = entry.variant
+      ? `/api/transcript/${entry.videoId}?lang=${entry.variant}`
+      : `/api/transcript/${entry.videoId}`;
+  }
+
+  return summary;
+}
+
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(value) {
+  try {
+    const cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString());
+    return Number.isFinite(cursor.to) && Number.isInteger(cursor.offset) && cursor.offset >= 0
+      ? cursor
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+function createQueryError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+export default createJobsRouter;
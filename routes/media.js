@@ -0,0 +1,296 @@
+import express from 'express';
+import multer from 'multer';
+import os from 'os';
+import { rm } from 'fs/promises';
+import config from '../config/environment.js';
+import logger from '../utils/logger.js';
+import { asyncHandler, HttpError } from '../middleware/errorHandler.js';
+import { transcribeRateLimiter, chargeWhisperMinutes, getRateLimitClient } from '../middleware/rateLimit.js';
+import { requireAccess } from '../middleware/access.js';
+import { parseJobOptions, resolvePriority } from '../utils/job-options.js';
+import { getWhisperQuota } from '../utils/api-keys.js';
+import { isValidMediaUrl, getMediaDuration, storeUploadedMedia } from '../utils/media.js';
+
+// Multipart fields arrive as strings; these are parsed as booleans
+const BOOLEAN_FIELDS = ['forceWhisper', 'translate', 'wordTimestamps', 'diarize', 'refresh'];
+
+const upload = multer({
+  dest: os.tmpdir(),
+  limits: {
+    fileSize: config.media.maxBytes,
+    files: 1,
+  },
+});
+
+/**
+ * Accept a single "file" part, turning multer errors into 4xx HttpErrors
+ * (requests that aren't multipart pass straight through)
+ */
+function receiveUpload(req, res, next) {
+  upload.single('file')(req, res, error => {
+    if (!error) {
+      return next();
+    }
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return next(new HttpError(413, `File is larger than ${config.media.maxBytes / 1024 / 1024} MB`, 'MEDIA_TOO_LARGE'));
+    }
+
+    if (error instanceof multer.MulterError) {
+      return next(new HttpError(400, `Invalid upload: ${error.message}`, 'INVALID_UPLOAD', {
+        hint: 'Send one file in a multipart field named "file"',
+      }));
+    }
+
+    next(error);
+  });
+}
+
+/**
+ * Multipart form fields → the JSON body parseJobOptions expects
+ * ("true"/"false" become booleans; repeat "language" for a preference list)
+ */
+function parseFormFields(body) {
+  const fields = { ...body };
+  for (const field of BOOLEAN_FIELDS) {
+    if (fields[field] === 'true' || fields[field] === 'false') {
+      fields[field] = fields[field] === 'true';
+    }
+  }
+  return fields;
+}
+
+export function createMediaRouter(transcriptionQueue) {
+  const router = express.Router();
+
+  /**
+   * POST /api/transcribe/media
+   * Transcribe an uploaded recording or a direct media URL with Whisper
+   *
+   * Request, either:
+   *   multipart/form-data with a "file" part (audio or video, up to MEDIA_MAX_MB)
+   *   or a JSON (or form) body with "mediaUrl": "https://example.com/talk.mp3"
+   * plus the options of POST /api/transcribe (language, translate,
+   * wordTimestamps, diarize, callbackUrl, callbackSecret, priority, refresh)
+   *
+   * Response (new job, 202):
+   * {
+   *   "jobId": "job_1739883000123_abc123",
+   *   "videoId": "media_3f9a1c0b7d2e4a5b8c6d9e0f1a2b3c4d" (null for a media URL until it is downloaded),
+   *   "status": "queued",
+   *   "tier": 2,
+   *   "lane": "whisper",
+   *   "priority": "normal",
+   *   "languages": ["en"],
+   *   "statusUrl": "/api/status/job_1739883000123_abc123"
+   * }
+   *
+   * Uploads are identified by their content (media_<sha256>): uploading the
+   * same file again returns its transcript (200) or running job (202,
+   * "deduplicated": true) like POST /api/transcribe does for a video. Media
+   * URLs are downloaded by the worker, so only a running job for the same URL
+   * is reused. Whisper quotas and rate limits apply as for Whisper-only videos.
+   */
+  router.post(
+    '/api/transcribe/media',
+    transcribeRateLimiter,
+    requireAccess('submit'),
+    receiveUpload,
+    asyncHandler(async (req, res) => {
+      const { file } = req;
+
+      try {
+        const { mediaUrl } = req.body;
+
+        if (!file && mediaUrl === undefined) {
+          return res.status(400).json({
+            error: 'Upload a file (multipart field "file") or send a mediaUrl',
+            code: 'MEDIA_REQUIRED',
+          });
+        }
+
+        if (file && mediaUrl !== undefined) {
+          return res.status(400).json({
+            error: 'Send either a file or a mediaUrl, not both',
+            code: 'INVALID_MEDIA_REQUEST',
+          });
+        }
+
+        if (mediaUrl !== undefined && !isValidMediaUrl(mediaUrl)) {
+          return res.status(400).json({
+            error: 'mediaUrl must be an absolute http(s) URL on a public host',
+            code: 'INVALID_MEDIA_URL',
+          });
+        }
+
+        let options;
+        try {
+          options = parseJobOptions(req.is('multipart/form-data') ? parseFormFields(req.body) : req.body);
+        } catch (error) {
+          return res.status(400).json({
+            error: error.message,
+            code: error.code,
+          });
+        }
+
+        let priority;
+        try {
+          priority = resolvePriority(options.priority, req.apiKey);
+        } catch (error) {
+          return res.status(403).json({
+            error: error.message,
+            code: error.code,
+          });
+        }
+
+        // Uploads are checked and stored now; media URLs are fetched by the worker
+        let media;
+        let durationSeconds = null;
+        if (file) {
+          try {
+            durationSeconds = await getMediaDuration(file.path);
+          } catch (error) {
+            if (error.code !== 'INVALID_MEDIA') {
+              throw error;
+            }
+            return res.status(400).json({
+              error: 'The file is not an audio or video file ffmpeg can read',
+              code: 'INVALID_MEDIA',
+            });
+          }
+
+          const { mediaId } = await storeUploadedMedia(file.path, { contentType: file.mimetype });
+          media = {
+            type: 'upload',
+            mediaId,
+            filename: file.originalname,
+            contentType: file.mimetype,
+          };
+        } else {
+          media = { type: 'url', url: mediaUrl };
+        }
+
+        const {
+          forceWhisper,
+          languages,
+          translate,
+          wordTimestamps,
+          diarize,
+          callbackUrl,
+          callbackSecret,
+          refresh,
+        } = options;
+
+        logger.info('Media transcription request received', {
+          type: media.type,
+          mediaId: media.mediaId,
+          mediaUrl,
+          size: file?.size,
+          durationSeconds,
+          languages,
+          translate,
+          diarize,
+          hasCallback: Boolean(callbackUrl),
+          priority,
+          refresh,
+          ip: req.ip,
+        });
+
+        const jobOptions = {
+          forceWhisper,
+          languages,
+          translate,
+          wordTimestamps,
+          diarize,
+          callbackUrl,
+          callbackSecret,
+          media,
+        };
+
+        const existing = refresh
+          ? null
+          : await transcriptionQueue.findExistingTranscription(null, jobOptions);
+
+        if (existing?.type === 'completed') {
+          return res.status(200).json({
+            jobId: existing.result.jobId,
+            videoId: media.mediaId,
+            status: 'complete',
+            deduplicated: true,
+            tier: existing.result.metadata?.tier,
+            language: existing.result.metadata?.language,
+            resultsUrl: `/api/transcript/${media.mediaId}?lang=${existing.result.variant || existing.result.metadata?.language}`,
+            hint: 'Submit with "refresh": true to re-transcribe',
+          });
+        }
+
+        if (req.authenticated && existing?.type !== 'in-flight') {
+          const quota = await getWhisperQuota(req.apiKeyId);
+          if (quota.remaining === 0) {
+            return res.status(429).json({
+              error: 'Daily Whisper quota for this API key is used up',
+              code: 'WHISPER_QUOTA_EXCEEDED',
+              quota,
+            });
+          }
+        }
+
+        // A media URL's length isn't known yet - the worker checks the quota
+        // and charges its minutes once it has the file
+        if (durationSeconds && existing?.type !== 'in-flight') {
+          const charge = await chargeWhisperMinutes(req, durationSeconds);
+          if (!charge.allowed) {
+            res.set('Retry-After', String(charge.retryAfter));
+            return res.status(429).json({
+              error: 'Too much Whisper audio submitted, please try again later',
+              code: 'WHISPER_RATE_LIMIT_EXCEEDED',
+              limitMinutes: charge.limit,
+              usedMinutes: charge.used,
+              retryAfter: charge.retryAfter,
+            });
+          }
+        }
+
+        const { job, deduplicated } = existing?.type === 'in-flight'
+          ? { job: existing.job, deduplicated: true }
+          : await transcriptionQueue.addTranscriptionJob(media.type === 'url' ? media.url : null, {
+            ...jobOptions,
+            priority,
+            submittedBy: req.apiKeyId,
+            deferredCharge: media.type === 'url' ? getRateLimitClient(req) : null,
+            refresh,
+          });
+
+        const response = {
+          jobId: job.id,
+          videoId: media.mediaId || null,
+          status: 'queued',
+          tier: 2,
+          lane: transcriptionQueue.getJobLane(job),
+          priority: job.data.priority || 'normal',
+          languages,
+          statusUrl: `/api/status/${job.id}`,
+        };
+
+        if (callbackUrl) {
+          response.callbackUrl = callbackUrl;
+        }
+
+        if (deduplicated) {
+          response.deduplicated = true;
+        }
+
+        res.status(202).json(response);
+      } finally {
+        // Stored in Spaces (or rejected) - the local copy isn't needed
+        if (file) {
+          await rm(file.path, { force: true });
+        }
+      }
+    })
+  );
+
+  return router;
+}
+
+export default createMediaRouter;
@@ -0,0 +1,123 @@
+import express from 'express';
+import logger from '../utils/logger.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { requireAccess } from '../middleware/access.js';
+import { searchTranscripts } from '../utils/search-index.js';
+
+const MAX_QUERY_LENGTH = 200;
+const MAX_PAGE_SIZE = 50;
+const DEFAULT_PAGE_SIZE = 10;
+
+/**
+ * Transcript search - readable by whoever may fetch transcripts
+ */
+export function createSearchRouter() {
+  const router = express.Router();
+
+  /**
+   * GET /api/search?q=never+gonna
+   * Find stored transcripts containing every word of q, best matches first
+   *
+   * Query parameters:
+   *   q      - Words to look for (case and accents are ignored)
+   *   limit  - Transcripts per page, 1-50 (default 10)
+   *   offset - Transcripts to skip (default 0)
+   *
+   * Response:
+   * {
+   *   "query": "never gonna",
+   *   "terms": ["never", "gonna"],
+   *   "total": 3,
+   *   "offset": 0,
+   *   "limit": 10,
+   *   "results": [{
+   *     "videoId": "dQw4w9WgXcQ",
+   *     "variant": "en",
+   *     "language": "en",
+   *     "title": "Rick Astley - Never Gonna Give You Up",
+   *     "channel": "Rick Astley",
+   *     "url": "https://www.youtube.com/watch?v=dQw4w9WgXcQ",
+   *     "tier": 1,
+   *     "score": 4.182,
+   *     "resultsUrl": "/api/transcript/dQw4w9WgXcQ?lang=en",
+   *     "matches": [{
+   *       "start": 43.2,
+   *       "duration": 2.1,
+   *       "text": "Never gonna give you up",
+   *       "snippet": "<mark>Never</mark> <mark>gonna</mark> give you up",
+   *       "link": "https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=43"
+   *     }]
+   *   }]
+   * }
+   */
+  router.get(
+    '/api/search',
+    requireAccess('transcripts'),
+    asyncHandler(async (req, res) => {
+      let params;
+      try {
+        params = parseSearchParams(req.query);
+      } catch (error) {
+        return res.status(400).json({
+          error: error.message,
+          code: error.code,
+        });
+      }
+
+      const { query, limit, offset } = params;
+      const { terms, total, results } = await searchTranscripts(query, { limit, offset });
+
+      logger.info('Transcript search', {
+        query,
+        total,
+        returned: results.length,
+        ip: req.ip,
+      });
+
+      res.json({
+        query,
+        terms,
+        total,
+        offset,
+        limit,
+        results: results.map(result => ({
+          ...result,
+          resultsUrl: `/api/transcript/${result.videoId}?lang=${result.variant}`,
+        })),
+      });
+    })
+  );
+
+  return router;
+}
+
+/**
+ * Validate GET /api/search query parameters
+ * Throws an error with a `code` for a 400 response
+ */
+function parseSearchParams(query) {
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  if (!q || q.length > MAX_QUERY_LENGTH) {
+    throw createQueryError(`q must be 1 to ${MAX_QUERY_LENGTH} characters`, 'INVALID_QUERY');
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw createQueryError(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`, 'INVALID_LIMIT');
+  }
+
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw createQueryError('offset must be a non-negative integer', 'INVALID_OFFSET');
+  }
+
+  return { query: q, limit, offset };
+}
+
+function createQueryError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+export default createSearchRouter;
@@ -1,6 +1,11 @@
 import express from 'express';
 import logger from '../utils/logger.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { requireAccess } from '../middleware/access.js';
+import { getPartialSegments } from '../utils/partial-transcripts.js';
+import { getCancellation } from '../utils/cancellation.js';
+import { STAGES, getProgressPercent } from '../utils/job-progress.js';
+import { estimateRemainingSeconds, estimateQueueWaitSeconds, formatEta } from '../utils/job-metrics.js';
 
 export function createStatusRouter(transcriptionQueue) {
   const router = express.Router();
@@ -9,34 +14,69 @@ export function createStatusRouter(transcriptionQueue) {
    * GET /api/status/:jobId
    * Check the status of a transcription job
    *
+   * Response (queued):
+   * {
+   *   "jobId": "job_1739883000123_abc123",
+   *   "status": "queued",
+   *   "lane": "whisper",
+   *   "priority": "normal",
+   *   "position": 3,
+   *   "jobsAhead": { "total": 2, "tier1": 0, "tier2": 2 },
+   *   "activeJobs": 1,
+   *   "estimatedWaitSeconds": 1310,
+   *   "estimatedWait": "~22 minutes"
+   * }
+   *
    * Response (in progress):
    * {
    *   "jobId": "job_1739883000123_abc123",
    *   "status": "processing",
-   *   "progress": 0.45,
-   *   "stage": "transcribing (Whisper 45% done)",
-   *   "estimatedTimeRemaining": "6 minutes"
+   *   "lane": "whisper",
+   *   "progress": 62,
+   *   "stage": "transcribing with Whisper (2840s of 7080s)",
+   *   "stageId": "transcribing",
+   *   "details": { "videoDuration": 7080, "audioSeconds": 2840, "audioDuration": 7080 },
+   *   "estimatedSecondsRemaining": 1060,
+   *   "estimatedTimeRemaining": "~18 minutes"
    * }
    *
    * Response (complete):
    * {
    *   "jobId": "job_1739883000123_abc123",
    *   "status": "complete",
+   *   "lane": "captions",
    *   "videoId": "dQw4w9WgXcQ",
-   *   "resultsUrl": "/api/transcript/dQw4w9WgXcQ"
+   *   "resultsUrl": "/api/transcript/dQw4w9WgXcQ",
+   *   "webhook": {
+   *     "callbackUrl": "https://example.com/hooks/transcription",
+   *     "status": "delivered",
+   *     "attempts": 1,
+   *     "deliveries": [{ "attempt": 1, "success": true, "statusCode": 200 }]
+   *   }
+   * }
+   *
+   * Response (cancelled via DELETE /api/jobs/:jobId):
+   * {
+   *   "jobId": "job_1739883000123_abc123",
+   *   "status": "cancelled",
+   *   "previousState": "active",
+   *   "cancelledAt": "2026-02-18T10:05:00.000Z"
    * }
    *
    * Response (failed):
    * {
    *   "jobId": "job_1739883000123_abc123",
    *   "status": "failed",
+   *   "lane": "whisper",
    *   "error": "Audio download failed after 3 retries",
-   *   "fallbackAttempted": true,
-   *   "fallbackStatus": "processing"
+   *   "attempts": 2,
+   *   "maxAttempts": 2,
+   *   "failedAt": "2026-02-18T10:20:00.000Z"
    * }
    */
   router.get(
     '/api/status/:jobId',
+    requireAccess('read'),
     asyncHandler(async (req, res) => {
       const { jobId } = req.params;
 
@@ -53,9 +93,15 @@ export function createStatusRouter(transcriptionQueue) {
 
       try {
         // Get job from queue
-        const job = await transcriptionQueue.getJob(jobId);
+        const job = await transcriptionQueue.getTranscriptionJob(jobId);
 
         if (!job) {
+          // Cancelled queued jobs are removed from the queue
+          const cancellation = await getCancellation(jobId);
+          if (cancellation) {
+            return res.json(buildCancelledStatus(jobId, cancellation));
+          }
+
           logger.warn('Job not found', {
             jobId,
             ip: req.ip,
@@ -67,92 +113,373 @@ export function createStatusRouter(transcriptionQueue) {
           });
         }
 
-        // Get job status and progress
-        const state = await job.getState();
-        const progress = job.progress();
+        res.json(await buildJobStatus(transcriptionQueue, job));
+      } catch (error) {
+        logger.error('Failed to get job status', {
+          jobId,
+          error: error.message,
+          ip: req.ip,
+        });
 
-        // Determine response based on job state
-        if (state === 'completed') {
-          const result = job.returnvalue;
-          return res.json({
-            jobId,
-            status: 'complete',
-            videoId: result.videoId,
-            resultsUrl: `/api/transcript/${result.videoId}`,
-            completedAt: new Date().toISOString(),
-          });
-        }
+        throw error;
+      }
+    })
+  );
 
-        if (state === 'failed') {
-          const error = job.failedReason || 'Unknown error';
-          return res.json({
-            jobId,
-            status: 'failed',
-            error,
-            attempts: job.attemptsMade,
-            maxAttempts: job.opts.attempts,
-            failedAt: new Date().toISOString(),
-          });
+  /**
+   * GET /api/status/:jobId/events
+   * Stream job status over Server-Sent Events
+   *
+   * Events (data is the same JSON as GET /api/status/:jobId):
+   *   status   - sent on connect and on every state/progress change
+   *   complete - job finished; data also includes "result"
+   *   failed   - job failed after all retries
+   *   cancelled - job was cancelled
+   * The stream closes after complete, failed or cancelled. Comment lines are sent every
+   * 15s to keep proxies from closing an idle connection.
+   */
+  router.get(
+    '/api/status/:jobId/events',
+    requireAccess('read'),
+    asyncHandler(async (req, res) => {
+      const { jobId } = req.params;
+
+      const job = await transcriptionQueue.getTranscriptionJob(jobId);
+      if (!job && !(await getCancellation(jobId))) {
+        return res.status(404).json({
+          error: 'Job not found',
+          code: 'JOB_NOT_FOUND',
+          jobId,
+        });
+      }
+
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no', // Disable nginx/App Platform response buffering
+      });
+      res.flushHeaders();
+      res.write('retry: 5000\n\n');
+
+      let closed = false;
+      let lastPayload = null;
+      let pending = Promise.resolve();
+
+      const send = (event, data) => {
+        const payload = JSON.stringify(data);
+        if (closed || payload === lastPayload) {
+          return;
         }
+        lastPayload = payload;
+        res.write(`event: ${event}\ndata: ${payload}\n\n`);
+      };
 
-        if (state === 'active' || state === 'processing') {
-          // Calculate estimated time remaining
-          let stage = 'initializing';
-          let estimatedTimeRemaining = 'calculating...';
-
-          if (progress >= 0 && progress < 10) {
-            stage = 'downloading video metadata';
-          } else if (progress >= 10 && progress < 40) {
-            stage = 'attempting YouTube native transcript';
-          } else if (progress >= 40 && progress < 50) {
-            stage = 'downloading audio from YouTube';
-          } else if (progress >= 50 && progress < 90) {
-            const remaining = Math.ceil((90 - progress) * 1.5); // Estimate 1.5 min per 10%
-            stage = `transcribing with Whisper (${Math.round(progress)}% done)`;
-            estimatedTimeRemaining = `~${remaining} minutes`;
-          } else if (progress >= 90) {
-            stage = 'uploading to storage';
-          }
+      const heartbeat = setInterval(() => {
+        if (!closed) {
+          res.write(': ping\n\n');
+        }
+      }, 15000);
 
-          return res.json({
-            jobId,
-            status: 'processing',
-            state,
-            progress,
-            stage,
-            estimatedTimeRemaining,
-          });
+      const finish = () => {
+        if (closed) {
+          return;
         }
+        closed = true;
+        clearInterval(heartbeat);
+        unsubscribe();
+        res.end();
+      };
 
-        if (state === 'waiting' || state === 'delayed') {
-          return res.json({
-            jobId,
-            status: 'queued',
-            state,
-            position: await transcriptionQueue.getJobCounts().then(c => c.waiting || 0),
-            estimatedWait: '5-15 minutes depending on queue size',
+      // Re-read the job after every event (serialised so events stay in order)
+      const pushStatus = () => {
+        pending = pending
+          .then(async () => {
+            if (closed) {
+              return;
+            }
+
+            const current = await transcriptionQueue.getTranscriptionJob(jobId);
+            if (!current) {
+              const cancellation = await getCancellation(jobId);
+              if (cancellation) {
+                send('cancelled', buildCancelledStatus(jobId, cancellation));
+              } else {
+                send('failed', { jobId, status: 'failed', error: 'Job was removed' });
+              }
+              finish();
+              return;
+            }
+
+            const status = await buildJobStatus(transcriptionQueue, current);
+
+            if (status.status === 'cancelled') {
+              send('cancelled', status);
+              finish();
+            } else if (status.status === 'complete') {
+              send('complete', { ...status, result: current.returnvalue });
+              finish();
+            } else if (status.status === 'failed') {
+              send('failed', status);
+              finish();
+            } else {
+              send('status', status);
+            }
+          })
+          .catch(error => {
+            logger.error('Failed to stream job status', {
+              jobId,
+              error: error.message,
+            });
+            finish();
           });
-        }
+      };
 
-        // Unknown state
-        return res.json({
-          jobId,
-          status: state,
-          progress,
+      // Subscribe before the first read so no transition is missed
+      const unsubscribe = transcriptionQueue.subscribeToJob(jobId, pushStatus);
+      req.on('close', finish);
+
+      logger.debug('Job event stream opened', {
+        jobId,
+        ip: req.ip,
+      });
+
+      pushStatus();
+    })
+  );
+
+  /**
+   * GET /api/status/:jobId/partial
+   * Segments a Whisper job has decoded so far, readable before it completes
+   *
+   * Query parameters:
+   *   from - Index of the first segment to return (optional, default 0).
+   *          Pass the previous response's nextFrom to fetch only new segments.
+   *
+   * Response:
+   * {
+   *   "jobId": "job_1739883000123_abc123",
+   *   "status": "processing",
+   *   "progress": 62,
+   *   "segments": [{ "text": "...", "start": 843.2, "duration": 4.1 }],
+   *   "from": 0,
+   *   "nextFrom": 312,
+   *   "resultsUrl": "/api/transcript/dQw4w9WgXcQ?lang=en" (once complete)
+   * }
+   */
+  router.get(
+    '/api/status/:jobId/partial',
+    requireAccess('read'),
+    asyncHandler(async (req, res) => {
+      const { jobId } = req.params;
+      const from = req.query.from === undefined ? 0 : Number(req.query.from);
+
+      if (!Number.isInteger(from) || from < 0) {
+        return res.status(400).json({
+          error: 'from must be a non-negative integer',
+          code: 'INVALID_FROM',
         });
-      } catch (error) {
-        logger.error('Failed to get job status', {
+      }
+
+      const job = await transcriptionQueue.getTranscriptionJob(jobId);
+      if (!job) {
+        return res.status(404).json({
+          error: 'Job not found',
+          code: 'JOB_NOT_FOUND',
           jobId,
-          error: error.message,
-          ip: req.ip,
         });
-
-        throw error;
       }
+
+      const status = await buildJobStatus(transcriptionQueue, job);
+      const { segments, total } = await getPartialSegments(jobId, from);
+
+      res.json({
+        jobId,
+        status: status.status,
+        progress: getProgressPercent(job.progress()),
+        segments,
+        from,
+        nextFrom: Math.max(total, from),
+        resultsUrl: status.resultsUrl,
+      });
     })
   );
 
   return router;
 }
 
+/**
+ * Build the status response for a job
+ * Shared by the polling endpoint and the event stream
+ * `lane` is the lane the job is in: captions (Tier 1) or whisper (Tier 2)
+ */
+export async function buildJobStatus(transcriptionQueue, job) {
+  const jobId = job.id;
+  const lane = transcriptionQueue.getJobLane(job);
+
+  // A cancelled running job stays in the queue (failed) until it is cleaned up
+  const cancellation = await getCancellation(jobId);
+  if (cancellation) {
+    return buildCancelledStatus(jobId, cancellation);
+  }
+
+  const state = await job.getState();
+  const progress = job.progress();
+  const webhook = await getWebhookStatus(transcriptionQueue, job);
+
+  // Determine response based on job state
+  if (state === 'completed') {
+    const result = job.returnvalue;
+    return {
+      jobId,
+      status: 'complete',
+      lane,
+      videoId: result.videoId,
+      resultsUrl: result.variant
+        ? `/api/transcript/${result.videoId}?lang=${result.variant}`
+        : `/api/transcript/${result.videoId}`,
+      completedAt: new Date(job.finishedOn || Date.now()).toISOString(),
+      webhook,
+    };
+  }
+
+  if (state === 'failed') {
+    const error = job.failedReason || 'Unknown error';
+    return {
+      jobId,
+      status: 'failed',
+      lane,
+      error,
+      attempts: job.attemptsMade,
+      maxAttempts: job.opts.attempts,
+      failedAt: new Date(job.finishedOn || Date.now()).toISOString(),
+      webhook,
+    };
+  }
+
+  if (state === 'active' || state === 'processing') {
+    // ETA from the live rate of the current stage and recent throughput of the rest
+    const estimatedSecondsRemaining = await estimateRemainingSeconds(progress, job.data);
+
+    return {
+      jobId,
+      status: 'processing',
+      lane,
+      state,
+      progress: getProgressPercent(progress),
+      stage: describeStage(progress),
+      stageId: progress?.stage || null,
+      details: getStageDetails(progress),
+      estimatedSecondsRemaining,
+      estimatedTimeRemaining: formatEta(estimatedSecondsRemaining),
+      partialTranscriptUrl: `/api/status/${jobId}/partial`,
+      webhook,
+    };
+  }
+
+  if (state === 'waiting' || state === 'delayed' || state === 'paused') {
+    // Only the job's own lane is ahead of it
+    const queue = await transcriptionQueue.getQueuePosition(job);
+    const estimatedWaitSeconds = await estimateQueueWaitSeconds(
+      queue,
+      await transcriptionQueue.getLaneConcurrency(lane),
+      lane
+    );
+
+    return {
+      jobId,
+      status: 'queued',
+      lane,
+      priority: job.data.priority || 'normal',
+      state,
+      position: queue.position,
+      jobsAhead: queue.jobsAhead,
+      activeJobs: queue.active.length,
+      estimatedWaitSeconds,
+      estimatedWait: formatEta(estimatedWaitSeconds),
+      webhook,
+    };
+  }
+
+  // Unknown state
+  return {
+    jobId,
+    status: state,
+    lane,
+    progress: getProgressPercent(progress),
+  };
+}
+
+function buildCancelledStatus(jobId, cancellation) {
+  return {
+    jobId,
+    status: 'cancelled',
+    videoId: cancellation.videoId,
+    previousState: cancellation.previousState,
+    cancelledAt: cancellation.cancelledAt,
+  };
+}
+
+/**
+ * Human-readable stage, with bytes or audio position when known
+ */
+function describeStage(progress) {
+  const stage = STAGES[progress?.stage];
+  if (!stage) {
+    return 'initializing';
+  }
+
+  if (progress.stage === 'downloading' && progress.bytesDownloaded) {
+    const downloaded = formatMegabytes(progress.bytesDownloaded);
+    return progress.totalBytes
+      ? `${stage.label} (${downloaded} of ${formatMegabytes(progress.totalBytes)})`
+      : `${stage.label} (${downloaded})`;
+  }
+
+  if (progress.stage === 'transcribing' && progress.audioDuration) {
+    return `${stage.label} (${Math.round(progress.audioSeconds || 0)}s of ${Math.round(progress.audioDuration)}s)`;
+  }
+
+  return stage.label;
+}
+
+/**
+ * Raw progress measurements for clients that render their own display
+ */
+function getStageDetails(progress) {
+  if (!progress || typeof progress !== 'object') {
+    return {};
+  }
+
+  const { videoDuration, bytesDownloaded, totalBytes, audioSeconds, audioDuration, stageStartedAt } = progress;
+  return { videoDuration, bytesDownloaded, totalBytes, audioSeconds, audioDuration, stageStartedAt };
+}
+
+function formatMegabytes(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Get webhook delivery status for a job
+ * Returns undefined (omitted from JSON) when no callback was requested
+ */
+async function getWebhookStatus(transcriptionQueue, job) {
+  if (!job.data.callbackUrl) {
+    return undefined;
+  }
+
+  const delivery = await transcriptionQueue.getWebhookDeliveries(job.id);
+
+  if (!delivery) {
+    return {
+      callbackUrl: job.data.callbackUrl,
+      status: 'not_sent',
+      attempts: 0,
+      deliveries: [],
+    };
+  }
+
+  return delivery;
+}
+
 export default createStatusRouter;
@@ -1,9 +1,15 @@
 import express from 'express';
 import logger from '../utils/logger.js';
-import { extractVideoId } from '../utils/videoId.js';
+import { parseCollectionUrl, isYouTubeUrl } from '../utils/videoId.js';
+import { resolveSource } from '../utils/sources.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
-import { transcribeRateLimiter } from '../middleware/rateLimit.js';
+import { transcribeRateLimiter, chargeWhisperMinutes, getRateLimitClient } from '../middleware/rateLimit.js';
+import { requireAccess } from '../middleware/access.js';
 import { getCookieHealth } from '../lib/youtube-downloader.js';
+import { getVideoMetadata } from '../utils/ytdlp.js';
+import { parseJobOptions, parseClipRange, resolvePriority, isWhisperOnly } from '../utils/job-options.js';
+import { getClipDuration } from '../utils/clips.js';
+import { getWhisperQuota } from '../utils/api-keys.js';
 
 export function createTranscribeRouter(transcriptionQueue) {
   const router = express.Router();
@@ -14,31 +20,72 @@ export function createTranscribeRouter(transcriptionQueue) {
    *
    * Request body:
    * {
-   *   "url": "https://www.youtube.com/watch?v=dQw4w9WgXcQ",
-   *   "forceWhisper": false (optional)
+   *   "url": "https://www.youtube.com/watch?v=dQw4w9WgXcQ" (or a Vimeo, X/Twitter,
+   *     podcast or other page yt-dlp supports),
+   *   "forceWhisper": false (optional),
+   *   "language": "es" | ["es", "en"] | "auto" (optional, default WHISPER_LANGUAGE),
+   *   "translate": false (optional, Whisper translation to English),
+   *   "wordTimestamps": false (optional, per-word timings and probabilities on Whisper transcripts),
+   *   "diarize": false (optional, label Whisper segments by speaker),
+   *   "start": 2520 | "42:00" (optional, transcribe from this point; seconds or [HH:]MM:SS),
+   *   "end": 3300 | "55:00" (optional, transcribe up to this point),
+   *   "callbackUrl": "https://example.com/hooks/transcription" (optional),
+   *   "callbackSecret": "shared-secret" (optional, signs the callback with HMAC-SHA256),
+   *   "priority": "normal" (optional, high | normal | low, up to the API key's maxPriority),
+   *   "refresh": false (optional, re-transcribe even if a transcript or job already exists)
    * }
    *
-   * Response:
+   * Response (new job, 202):
    * {
    *   "jobId": "job_1739883000123_abc123",
-   *   "videoId": "dQw4w9WgXcQ",
+   *   "videoId": "dQw4w9WgXcQ" (source ID: vimeo:76979871 for other sites),
    *   "status": "queued",
    *   "estimatedWait": "2 minutes (if Tier 2)",
    *   "tier": "1 (YouTube native) or 2 (Whisper fallback)",
+   *   "lane": "captions" (Tier 1 runs first) or "whisper" (Whisper-only jobs),
+   *   "priority": "normal",
+   *   "clip": { "start": 2520, "end": 3300 } (clips only),
    *   "cookieStatus": "fresh|stale|critical|missing"
    * }
+   *
+   * Response (same video + options already queued or running, 202):
+   *   same shape as a new job, plus "deduplicated": true
+   *
+   * Response (transcript already exists, 200):
+   * {
+   *   "jobId": "job_1739883000123_abc123",
+   *   "videoId": "dQw4w9WgXcQ",
+   *   "status": "complete",
+   *   "deduplicated": true,
+   *   "resultsUrl": "/api/transcript/dQw4w9WgXcQ"
+   * }
+   *
+   * Requests made with an API key need the "submit" scope. Whisper-only jobs
+   * (forceWhisper, translate, diarize) are refused with 429 once the key's
+   * daily Whisper minutes are used up, or when the video's duration doesn't
+   * fit in the client's Whisper budget for the current window. A priority
+   * above the key's maxPriority (normal for anonymous requests) is refused
+   * with 403 PRIORITY_NOT_ALLOWED. URLs yt-dlp can't handle are refused with
+   * 400 UNSUPPORTED_URL.
+   *
+   * With start and/or end only that range is transcribed, with timestamps on
+   * the full video's timeline; it is stored as its own variant
+   * (en-clip-2520-3300). When only end is given, a start time in the URL
+   * (t=2520) is used as the start.
    */
   router.post(
     '/api/transcribe',
     transcribeRateLimiter,
+    requireAccess('submit'),
     asyncHandler(async (req, res) => {
-      const { url, forceWhisper = false } = req.body;
+      const { url } = req.body;
 
       // Validate input
       if (!url || typeof url !== 'string') {
         logger.warn('Invalid transcribe request - missing or invalid URL', {
           ip: req.ip,
-          body: req.body,
+          // Not the body: it can carry callbackSecret
+          urlType: url === null ? 'null' : typeof url,
         });
         return res.status(400).json({
           error: 'URL is required and must be a string',
@@ -46,9 +93,54 @@ export function createTranscribeRouter(transcriptionQueue) {
         });
       }
 
+      let options;
+      try {
+        options = parseJobOptions(req.body);
+      } catch (error) {
+        return res.status(400).json({
+          error: error.message,
+          code: error.code,
+        });
+      }
+
+      let priority;
+      try {
+        priority = resolvePriority(options.priority, req.apiKey);
+      } catch (error) {
+        return res.status(403).json({
+          error: error.message,
+          code: error.code,
+        });
+      }
+
+      const {
+        forceWhisper,
+        languages,
+        translate,
+        wordTimestamps,
+        diarize,
+        callbackUrl,
+        callbackSecret,
+        refresh,
+      } = options;
+
       try {
-        // Extract and validate video ID
-        const videoId = extractVideoId(url);
+        // Identify the site and the media's ID there
+        const source = await resolveSource(url);
+        const videoId = source.sourceId;
+
+        let clip;
+        try {
+          clip = parseClipRange({
+            start: req.body.start ?? (req.body.end !== undefined ? source.startTime ?? undefined : undefined),
+            end: req.body.end,
+          });
+        } catch (error) {
+          return res.status(400).json({
+            error: error.message,
+            code: error.code,
+          });
+        }
         
         // Get cookie status for response
         const cookieHealth = getCookieHealth();
@@ -56,30 +148,123 @@ export function createTranscribeRouter(transcriptionQueue) {
 
         logger.info('Transcription request received', {
           videoId,
+          provider: source.provider,
           url,
           forceWhisper,
+          languages,
+          translate,
+          wordTimestamps,
+          diarize,
+          clip,
+          hasCallback: Boolean(callbackUrl),
+          priority,
+          refresh,
           ip: req.ip,
           cookieStatus,
         });
 
-        // Add job to queue
-        const job = await transcriptionQueue.addTranscriptionJob(url, {
+        const jobOptions = {
           forceWhisper,
-        });
+          languages,
+          translate,
+          wordTimestamps,
+          diarize,
+          callbackUrl,
+          callbackSecret,
+          sourceId: source.sourceId,
+          clip,
+        };
+
+        // Reuse an existing transcript or in-flight job unless a refresh was requested
+        const existing = refresh
+          ? null
+          : await transcriptionQueue.findExistingTranscription(source.url, jobOptions);
+
+        if (existing?.type === 'completed') {
+          return res.status(200).json({
+            jobId: existing.result.jobId,
+            videoId,
+            status: 'complete',
+            deduplicated: true,
+            tier: existing.result.metadata?.tier,
+            language: existing.result.metadata?.language,
+            resultsUrl: `/api/transcript/${videoId}?lang=${existing.result.variant || existing.result.metadata?.language}`,
+            hint: 'Submit with "refresh": true to re-transcribe',
+          });
+        }
+
+        const whisperOnly = isWhisperOnly(jobOptions);
+
+        if (whisperOnly && req.authenticated && existing?.type !== 'in-flight') {
+          const quota = await getWhisperQuota(req.apiKeyId);
+          if (quota.remaining === 0) {
+            return res.status(429).json({
+              error: 'Daily Whisper quota for this API key is used up',
+              code: 'WHISPER_QUOTA_EXCEEDED',
+              quota,
+            });
+          }
+        }
+
+        // Whisper-only jobs are charged by video length, not per request. Jobs
+        // that may fall back to Whisper, and those whose length can't be
+        // looked up now, are charged by the worker once they reach Whisper.
+        let deferredCharge = whisperOnly ? null : getRateLimitClient(req);
+        if (whisperOnly && existing?.type !== 'in-flight') {
+          const charge = await chargeWhisperCost(req, source.url, clip);
+          if (!charge) {
+            deferredCharge = getRateLimitClient(req);
+          } else if (!charge.allowed) {
+            res.set('Retry-After', String(charge.retryAfter));
+            return res.status(429).json({
+              error: 'Too much Whisper audio submitted, please try again later',
+              code: 'WHISPER_RATE_LIMIT_EXCEEDED',
+              limitMinutes: charge.limit,
+              usedMinutes: charge.used,
+              retryAfter: charge.retryAfter,
+            });
+          }
+        }
+
+        // Add job to queue (or reuse the one already running)
+        const { job, deduplicated } = existing?.type === 'in-flight'
+          ? { job: existing.job, deduplicated: true }
+          : await transcriptionQueue.addTranscriptionJob(source.url, {
+            ...jobOptions,
+            priority,
+            submittedBy: req.apiKeyId,
+            deferredCharge,
+            refresh,
+          });
 
         // Build response with cookie status warning if needed
         const response = {
           jobId: job.id,
           videoId,
           status: 'queued',
-          estimatedWait: forceWhisper
+          estimatedWait: whisperOnly
             ? '10-15 minutes (Whisper)'
             : 'varies (YouTube native ~<1s, fallback ~12min)',
-          tier: forceWhisper ? 2 : 'auto (1 → 2)',
+          tier: whisperOnly ? 2 : 'auto (1 → 2)',
+          lane: transcriptionQueue.getJobLane(job),
+          priority: job.data.priority || 'normal',
+          languages,
           statusUrl: `/api/status/${job.id}`,
           cookieStatus,
         };
 
+        if (clip) {
+          response.clip = clip;
+        }
+
+        if (callbackUrl) {
+          response.callbackUrl = callbackUrl;
+        }
+
+        if (deduplicated) {
+          response.deduplicated = true;
+        }
+
         // Add warning if cookies are stale or critical
         if (cookieStatus === 'stale') {
           response.warning = 'Cookies are getting old - refresh soon to avoid bot detection';
@@ -97,10 +282,27 @@ export function createTranscribeRouter(transcriptionQueue) {
           ip: req.ip,
         });
 
-        if (error.message.includes('Could not extract video ID')) {
+        if (error.code === 'UNSUPPORTED_SOURCE') {
+          // Playlists and channels go through the batch endpoint
+          if (parseCollectionUrl(url)) {
+            return res.status(400).json({
+              error: 'Playlist and channel URLs must be submitted as a batch',
+              code: 'INVALID_YOUTUBE_URL',
+              hint: 'POST /api/batch with the same body',
+            });
+          }
+
+          if (isYouTubeUrl(url)) {
+            return res.status(400).json({
+              error: 'Invalid YouTube URL',
+              code: 'INVALID_YOUTUBE_URL',
+            });
+          }
+
           return res.status(400).json({
-            error: 'Invalid YouTube URL',
-            code: 'INVALID_YOUTUBE_URL',
+            error: 'URL is not a video or recording from a site yt-dlp supports',
+            code: 'UNSUPPORTED_URL',
+            hint: 'Upload the file or send a direct link with POST /api/transcribe/media',
           });
         }
 
@@ -112,9 +314,12 @@ export function createTranscribeRouter(transcriptionQueue) {
   /**
    * GET /api/cookie-status
    * Check cookie health status (for monitoring/debugging)
+   * Reveals the cookie file path, so it needs an admin key unless the
+   * "ops" route group is made public
    */
   router.get(
     '/api/cookie-status',
+    requireAccess('ops'),
     asyncHandler(async (req, res) => {
       const cookieHealth = getCookieHealth();
       
@@ -128,6 +333,33 @@ export function createTranscribeRouter(transcriptionQueue) {
   return router;
 }
 
+/**
+ * Charge a Whisper-only submission's video duration (a clip's length for
+ * clips) to the client's Whisper budget
+ * Returns null when the duration can't be looked up - the charge is then
+ * left to the worker (deferredCharge)
+ */
+async function chargeWhisperCost(req, url, clip) {
+  let metadata;
+  try {
+    metadata = await getVideoMetadata(url);
+  } catch (error) {
+    logger.warn('Could not fetch video duration for Whisper rate limit', {
+      url,
+      error: error.message,
+    });
+    return null;
+  }
+
+  const durationSeconds = clip && metadata
+    ? getClipDuration(clip, metadata.durationSeconds)
+    : metadata?.durationSeconds;
+  if (!durationSeconds) {
+    return null;
+  }
+  return chargeWhisperMinutes(req, durationSeconds);
+}
+
 /**
  * Get human-readable recommendation based on cookie status
  */
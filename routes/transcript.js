@@ -1,25 +1,66 @@
 import express from 'express';
 import logger from '../utils/logger.js';
-import { isValidVideoId } from '../utils/videoId.js';
+import { isValidSourceId } from '../utils/sources.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { requireAccess } from '../middleware/access.js';
+import { downloadTranscript, transcriptExists } from '../utils/spaces.js';
+import { SUBTITLE_FORMATS, renderSubtitles } from '../utils/subtitles.js';
+import {
+  getTranscriptResults,
+  selectTranscriptResult,
+  getTranscriptVariant,
+  getTranscriptFilePath,
+} from '../utils/transcript-index.js';
 
 /**
- * In-memory cache for completed transcriptions
- * In production, use Redis or database
+ * Output formats served by GET /api/transcript/:videoId?format=
  */
-const transcriptCache = new Map();
+const TRANSCRIPT_FORMATS = {
+  txt: {
+    filename: 'transcript.txt',
+    contentType: 'text/plain; charset=utf-8',
+  },
+  json: {
+    filename: 'transcript.json',
+    contentType: 'application/json; charset=utf-8',
+  },
+  srt: {
+    ...SUBTITLE_FORMATS.srt,
+    contentType: `${SUBTITLE_FORMATS.srt.contentType}; charset=utf-8`,
+  },
+  vtt: {
+    ...SUBTITLE_FORMATS.vtt,
+    contentType: `${SUBTITLE_FORMATS.vtt.contentType}; charset=utf-8`,
+  },
+  ttml: {
+    ...SUBTITLE_FORMATS.ttml,
+    contentType: `${SUBTITLE_FORMATS.ttml.contentType}; charset=utf-8`,
+  },
+};
 
 export function createTranscriptRouter(transcriptionQueue) {
   const router = express.Router();
 
   /**
    * GET /api/transcript/:videoId
-   * Fetch complete transcription result
+   * Fetch complete transcription result (videoId is any source ID: a YouTube
+   * video ID, <provider>:<id> for other sites, or the media ID of an uploaded
+   * file or media URL)
+   *
+   * Query parameters:
+   *   format - txt | json | srt | vtt | ttml (optional)
+   *            Without it the result metadata below is returned; with it the
+   *            transcript itself is returned in that format
+   *   lang   - Transcript language or variant, e.g. "es", "en-US",
+   *            "en-translated", "en-clip-2520-3300" (optional, defaults to the
+   *            most recent original; clips are only returned by variant)
    *
    * Response:
    * {
    *   "jobId": "job_1739883000123_abc123",
    *   "videoId": "dQw4w9WgXcQ",
+   *   "variant": "en",
+   *   "availableLanguages": ["en", "es"],
    *   "title": "Rick Astley - Never Gonna Give You Up",
    *   "channel": "Rick Astley",
    *   "url": "https://youtube.com/watch?v=dQw4w9WgXcQ",
@@ -28,6 +69,11 @@ export function createTranscriptRouter(transcriptionQueue) {
    *   "processTime": "0.8 seconds",
    *   "transcriptUrl": "https://barkstech-media.sfo3.digitaloceanspaces.com/transcripts/dQw4w9WgXcQ/transcript.txt",
    *   "transcriptJsonUrl": "https://barkstech-media.sfo3.digitaloceanspaces.com/transcripts/dQw4w9WgXcQ/transcript.json",
+   *   "subtitleUrls": {
+   *     "srt": "https://barkstech-media.sfo3.digitaloceanspaces.com/transcripts/dQw4w9WgXcQ/transcript.srt",
+   *     "vtt": "https://barkstech-media.sfo3.digitaloceanspaces.com/transcripts/dQw4w9WgXcQ/transcript.vtt",
+   *     "ttml": "https://barkstech-media.sfo3.digitaloceanspaces.com/transcripts/dQw4w9WgXcQ/transcript.ttml"
+   *   },
    *   "metadata": {
    *     "duration": "3:33",
    *     "language": "en",
@@ -38,10 +84,12 @@ export function createTranscriptRouter(transcriptionQueue) {
    */
   router.get(
     '/api/transcript/:videoId',
+    requireAccess('transcripts'),
     asyncHandler(async (req, res) => {
       const { videoId } = req.params;
+      const { format, lang } = req.query;
 
-      if (!isValidVideoId(videoId)) {
+      if (!isValidSourceId(videoId)) {
         logger.warn('Invalid transcript request - invalid video ID', {
           videoId,
           ip: req.ip,
@@ -52,55 +100,56 @@ export function createTranscriptRouter(transcriptionQueue) {
         });
       }
 
+      if (format !== undefined && !TRANSCRIPT_FORMATS[format]) {
+        return res.status(400).json({
+          error: `Unsupported format. Use one of: ${Object.keys(TRANSCRIPT_FORMATS).join(', ')}`,
+          code: 'INVALID_FORMAT',
+        });
+      }
+
       try {
-        // Check cache first
-        if (transcriptCache.has(videoId)) {
-          logger.debug('Serving transcript from cache', {
-            videoId,
-          });
-          return res.json(transcriptCache.get(videoId));
-        }
+        // Redis index lookup (rebuilt from Spaces if the entry is missing)
+        const results = await getTranscriptResults(videoId);
+        const availableLanguages = results.map(getTranscriptVariant);
 
-        // Search for completed job with this videoId
-        const allJobs = await transcriptionQueue.getJobs(
-          ['completed', 'failed'],
-          0,
-          -1
-        );
-
-        let foundJob = null;
-        for (const job of allJobs) {
-          if (job.returnvalue && job.returnvalue.videoId === videoId && job.returnvalue.transcriptUrl) {
-            foundJob = job;
-            break;
-          }
-        }
+        // ?lang= matches a variant name exactly, else a language ("en" → "en-US")
+        const result = lang
+          ? selectTranscriptResult(results, { variant: lang })
+            || selectTranscriptResult(results, { languages: [lang], translated: false })
+          : selectTranscriptResult(results);
 
-        if (!foundJob) {
+        if (!result) {
           logger.warn('Transcript not found', {
             videoId,
+            lang,
             ip: req.ip,
           });
           return res.status(404).json({
-            error: 'Transcript not found for this video ID',
+            error: lang
+              ? `Transcript not found for this video ID in language: ${lang}`
+              : 'Transcript not found for this video ID',
             code: 'TRANSCRIPT_NOT_FOUND',
             videoId,
+            availableLanguages,
             hint: 'Submit a new transcription job via POST /api/transcribe',
           });
         }
 
-        const result = foundJob.returnvalue;
-
-        // Cache the result
-        transcriptCache.set(videoId, result);
-
         logger.info('Transcript retrieved successfully', {
           videoId,
           source: result.source,
+          format: format || 'result',
           ip: req.ip,
         });
 
-        res.json(result);
+        if (format) {
+          return sendTranscriptFile(res, result, format);
+        }
+
+        res.json({
+          ...result,
+          availableLanguages,
+        });
       } catch (error) {
         logger.error('Failed to retrieve transcript', {
           videoId,
@@ -116,4 +165,42 @@ export function createTranscriptRouter(transcriptionQueue) {
   return router;
 }
 
+/**
+ * Send the transcript itself in the requested format
+ * Subtitle files from jobs that predate subtitle export are rendered on the
+ * fly from transcript.json
+ */
+async function sendTranscriptFile(res, result, format) {
+  const { videoId } = result;
+  const { filename, contentType } = TRANSCRIPT_FORMATS[format];
+  const variant = getTranscriptVariant(result);
+
+  let content;
+  if (await transcriptExists(videoId, getTranscriptFilePath(result, filename))) {
+    content = await downloadTranscript(videoId, getTranscriptFilePath(result, filename));
+  } else if (SUBTITLE_FORMATS[format]) {
+    logger.info('Rendering subtitles from transcript.json', {
+      videoId,
+      variant,
+      format,
+    });
+    const segments = JSON.parse(
+      await downloadTranscript(videoId, getTranscriptFilePath(result, 'transcript.json'))
+    );
+    content = renderSubtitles(format, segments, {
+      language: result.metadata?.language,
+    });
+  } else {
+    return res.status(404).json({
+      error: `Transcript file ${filename} not found in storage`,
+      code: 'TRANSCRIPT_FILE_NOT_FOUND',
+      videoId,
+    });
+  }
+
+  res.set('Content-Type', contentType);
+  res.set('Content-Disposition', `inline; filename="${videoId}.${variant}.${format}"`);
+  res.send(content);
+}
+
 export default createTranscriptRouter;
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+/**
+ * Add stored transcripts to the search index
+ *
+ * Usage:
+ *   node scripts/backfill-search-index.js          (reads from .env)
+ *   node scripts/backfill-search-index.js --force  (re-index transcripts already indexed)
+ *
+ * Walks every transcripts/<videoId>/ prefix in the bucket and indexes each
+ * variant's transcript.json for GET /api/search. The worker indexes new
+ * transcripts itself; this catches up on older ones, including transcripts
+ * indexed before their segments were kept in the index. Safe to re-run.
+ */
+
+import { listTranscriptIds, downloadTranscript, transcriptExists } from '../utils/spaces.js';
+import {
+  getTranscriptResults,
+  getTranscriptVariant,
+  getTranscriptFilePath,
+} from '../utils/transcript-index.js';
+import { indexTranscript, isTranscriptIndexed } from '../utils/search-index.js';
+import { closeRedisClient } from '../utils/redis.js';
+
+const force = process.argv.includes('--force');
+
+async function backfillIndex() {
+  console.log('🔎 Search Index Backfill');
+  console.log('========================\n');
+
+  const videoIds = await listTranscriptIds();
+  console.log(`📦 Found ${videoIds.length} transcript folders in Spaces${force ? ' (re-indexing all)' : ''}\n`);
+
+  let indexed = 0;
+  let skipped = 0;
+  let failed = 0;
+
+  for (const videoId of videoIds) {
+    let results;
+    try {
+      results = await getTranscriptResults(videoId);
+    } catch (error) {
+      failed++;
+      console.error(`   ❌ ${videoId}: ${error.message}`);
+      continue;
+    }
+
+    for (const result of results) {
+      const label = `${videoId}/${getTranscriptVariant(result)}`;
+
+      try {
+        const transcriptPath = getTranscriptFilePath(result, 'transcript.json');
+        if (!force && await isTranscriptIndexed(result)) {
+          skipped++;
+          continue;
+        }
+        if (!(await transcriptExists(videoId, transcriptPath))) {
+          skipped++;
+          console.log(`   ⏭️  ${label} (no transcript.json)`);
+          continue;
+        }
+
+        const transcript = JSON.parse(await downloadTranscript(videoId, transcriptPath));
+        const { terms } = await indexTranscript(result, transcript);
+        indexed++;
+        console.log(`   ✅ ${label} (${transcript.length} segments, ${terms} terms)`);
+      } catch (error) {
+        failed++;
+        console.error(`   ❌ ${label}: ${error.message}`);
+      }
+    }
+  }
+
+  console.log(`\n✅ Indexed: ${indexed}   ⏭️  Skipped: ${skipped}   ❌ Failed: ${failed}`);
+
+  await closeRedisClient();
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+backfillIndex().catch(error => {
+  console.error('❌ Search index backfill failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+/**
+ * Rebuild the Redis transcript index from DigitalOcean Spaces
+ *
+ * Usage:
+ *   node scripts/rebuild-transcript-index.js (reads from .env)
+ *
+ * Walks every transcripts/<videoId>/ prefix in the bucket and rewrites the
+ * transcripts:index:<videoId> entries from each language variant's
+ * result.json (or, for transcripts stored before result.json existed, from
+ * the files present). Safe to re-run.
+ */
+
+import { listTranscriptIds } from '../utils/spaces.js';
+import { rebuildTranscriptIndex, getTranscriptVariant } from '../utils/transcript-index.js';
+import { closeRedisClient } from '../utils/redis.js';
+
+async function rebuildIndex() {
+  console.log('🗂️  Transcript Index Rebuild');
+  console.log('===========================\n');
+
+  const videoIds = await listTranscriptIds();
+  console.log(`📦 Found ${videoIds.length} transcript folders in Spaces\n`);
+
+  let indexed = 0;
+  let skipped = 0;
+  let failed = 0;
+
+  for (const videoId of videoIds) {
+    try {
+      const results = await rebuildTranscriptIndex(videoId);
+      if (results.length > 0) {
+        indexed++;
+        console.log(`   ✅ ${videoId} (${results.map(getTranscriptVariant).join(', ')})`);
+      } else {
+        skipped++;
+        console.log(`   ⏭️  ${videoId} (no transcript files)`);
+      }
+    } catch (error) {
+      failed++;
+      console.error(`   ❌ ${videoId}: ${error.message}`);
+    }
+  }
+
+  console.log(`\n✅ Indexed: ${indexed}   ⏭️  Skipped: ${skipped}   ❌ Failed: ${failed}`);
+
+  await closeRedisClient();
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+rebuildIndex().catch(error => {
+  console.error('❌ Index rebuild failed:', error.message);
+  process.exit(1);
+});
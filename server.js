@@ -2,14 +2,22 @@ import express from 'express';
 import cors from 'cors';
 import config from './config/environment.js';
 import logger from './utils/logger.js';
-import { authMiddleware, optionalAuthMiddleware } from './middleware/auth.js';
+import { optionalAuthMiddleware } from './middleware/auth.js';
+import { describeAccessPolicy } from './middleware/access.js';
 import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
 import { globalRateLimiter } from './middleware/rateLimit.js';
 import createTranscriptionQueue from './workers/transcription-worker.js';
+import createWebhookQueue from './workers/webhook-worker.js';
 import createTranscribeRouter from './routes/transcribe.js';
+import createMediaRouter from './routes/media.js';
 import createStatusRouter from './routes/status.js';
 import createTranscriptRouter from './routes/transcript.js';
+import createSearchRouter from './routes/search.js';
+import createBatchRouter from './routes/batch.js';
+import createJobsRouter from './routes/jobs.js';
+import createAdminRouter from './routes/admin.js';
 import { validateCookies, getCookieHealth, getYtdlpVersion } from './lib/youtube-downloader.js';
+import { closeRedisClient } from './utils/redis.js';
 
 const app = express();
 
@@ -38,8 +46,11 @@ if (cookieValidation.valid) {
 }
 logger.info('================================');
 
-// Initialize transcription queue (persisted to Redis)
-const transcriptionQueue = createTranscriptionQueue();
+// Initialize transcription and webhook queues (persisted to Redis)
+// With RUN_WORKER=false this process only queues jobs; worker.js runs them
+const processJobs = config.worker.runInServer;
+const webhookQueue = createWebhookQueue({ processJobs });
+const transcriptionQueue = createTranscriptionQueue({ webhookQueue, processJobs });
 
 logger.info('YouTube Transcription Service Starting', {
   nodeEnv: config.nodeEnv,
@@ -47,8 +58,14 @@ logger.info('YouTube Transcription Service Starting', {
   redisUrl: config.redis.url,
   whisperModel: config.whisper.model,
   cookieStatus: cookieValidation.status,
+  access: describeAccessPolicy(),
+  mode: processJobs ? 'api+worker' : 'api',
 });
 
+if (!config.api.keySecret) {
+  logger.warn('⚠️ API_KEY_SECRET not set - there is no built-in admin key to create API keys with');
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
@@ -63,11 +80,16 @@ app.get('/health', async (req, res) => {
   try {
     const health = await transcriptionQueue.getQueueHealth();
     const cookieHealth = getCookieHealth();
+    // The cookie file path is only shown on /api/cookie-status, which needs a key
+    const { path: cookiePath, ...publicCookieHealth } = cookieHealth.cookies;
     const ytdlpVersion = await getYtdlpVersion();
     
-    // Determine overall status based on cookie health
+    // Determine overall status based on worker and cookie health
     let overallStatus = 'ok';
-    if (cookieHealth.cookies.status === 'critical') {
+    if (health.workers === 0) {
+      // Jobs are accepted but nothing will run them
+      overallStatus = 'degraded';
+    } else if (cookieHealth.cookies.status === 'critical') {
       overallStatus = 'degraded';
     } else if (cookieHealth.cookies.status === 'missing' || cookieHealth.cookies.status === 'invalid') {
       overallStatus = 'warning';
@@ -79,7 +101,7 @@ app.get('/health', async (req, res) => {
       ...health,
       ytdlp: {
         version: ytdlpVersion,
-        ...cookieHealth,
+        cookies: publicCookieHealth,
       },
       uptime: process.uptime(),
       timestamp: new Date().toISOString(),
@@ -96,11 +118,16 @@ app.get('/health', async (req, res) => {
   }
 });
 
-// API Routes (public for submission, can be protected)
+// API Routes - each route enforces the access policy (ACCESS_POLICY) for its group
 app.use(optionalAuthMiddleware);
 app.use(createTranscribeRouter(transcriptionQueue));
+app.use(createMediaRouter(transcriptionQueue));
 app.use(createStatusRouter(transcriptionQueue));
 app.use(createTranscriptRouter(transcriptionQueue));
+app.use(createSearchRouter());
+app.use(createBatchRouter(transcriptionQueue));
+app.use(createJobsRouter(transcriptionQueue));
+app.use(createAdminRouter());
 
 // Root path - serve web UI
 app.get('/', (req, res) => {
@@ -118,8 +145,10 @@ process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully');
 
   try {
-    await transcriptionQueue.close();
-    logger.info('Queue closed');
+    await transcriptionQueue.closeLanes();
+    await webhookQueue.close();
+    await closeRedisClient();
+    logger.info('Queues closed');
   } catch (error) {
     logger.error('Error closing queue', {
       error: error.message,
@@ -133,8 +162,10 @@ process.on('SIGINT', async () => {
   logger.info('SIGINT received, shutting down gracefully');
 
   try {
-    await transcriptionQueue.close();
-    logger.info('Queue closed');
+    await transcriptionQueue.closeLanes();
+    await webhookQueue.close();
+    await closeRedisClient();
+    logger.info('Queues closed');
   } catch (error) {
     logger.error('Error closing queue', {
       error: error.message,
@@ -0,0 +1,276 @@
+import crypto from 'crypto';
+import config from '../config/environment.js';
+import { getRedisClient } from './redis.js';
+import { PRIORITIES } from './job-options.js';
+
+/**
+ * API keys
+ *
+ * Keys are random tokens shown once, when created; only their SHA-256 hash is
+ * stored. Each key has a record (api:key:<keyId>) with its name, scopes,
+ * daily Whisper quota and highest job priority, a hash lookup (api:keyhash:<sha256> → keyId), and is
+ * listed in the api:keys set. Revoked keys keep their record.
+ *
+ * API_KEY_SECRET is a built-in admin key with no quota. It isn't stored, so
+ * there is always a way in to create the first keys.
+ *
+ * Whisper minutes are counted per key and UTC day (api:usage:<keyId>:<date>).
+ */
+
+export const SCOPES = ['submit', 'read', 'admin'];
+const DEFAULT_SCOPES = ['submit', 'read'];
+
+const KEY_PREFIX = 'api:key:';
+const HASH_KEY_PREFIX = 'api:keyhash:';
+const KEYS_SET = 'api:keys';
+const USAGE_KEY_PREFIX = 'api:usage:';
+
+const TOKEN_PREFIX = 'ytt_';
+const MAX_NAME_LENGTH = 100;
+
+// Usage counters only need to outlive their day
+const USAGE_TTL_SECONDS = 2 * 24 * 60 * 60;
+
+function getKeyRecordKey(keyId) {
+  return `${KEY_PREFIX}${keyId}`;
+}
+
+function getHashKey(token) {
+  return `${HASH_KEY_PREFIX}${hashToken(token)}`;
+}
+
+function getUsageKey(keyId, date = new Date()) {
+  return `${USAGE_KEY_PREFIX}${keyId}:${date.toISOString().slice(0, 10)}`;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * The built-in API_KEY_SECRET key (null when API_KEY_SECRET isn't set)
+ * Its ID is derived from the secret, so jobs stay attributed to it across restarts
+ */
+function getBootstrapKey() {
+  if (!config.api.keySecret) {
+    return null;
+  }
+
+  return {
+    id: `key_${hashToken(config.api.keySecret).substring(0, 12)}`,
+    name: 'API_KEY_SECRET',
+    scopes: SCOPES,
+    dailyWhisperMinutes: null,
+    maxPriority: 'high',
+    builtIn: true,
+  };
+}
+
+function isBootstrapToken(token) {
+  if (!config.api.keySecret) {
+    return false;
+  }
+
+  const expected = Buffer.from(hashToken(config.api.keySecret), 'hex');
+  return crypto.timingSafeEqual(Buffer.from(hashToken(token), 'hex'), expected);
+}
+
+/**
+ * Create an API key
+ *
+ * @param {object} options
+ * @param {string} options.name - Who the key is for
+ * @param {string[]} [options.scopes] - Any of submit, read, admin (default submit, read)
+ * @param {number|null} [options.dailyWhisperMinutes] - Whisper minutes per UTC day (null = unlimited)
+ * @param {string} [options.maxPriority] - Highest job priority the key may use (default normal)
+ * @returns {Promise<{ token: string, key: object }>} The token is not stored and can't be recovered
+ */
+export async function createApiKey({
+  name,
+  scopes = DEFAULT_SCOPES,
+  dailyWhisperMinutes = null,
+  maxPriority = 'normal',
+}) {
+  if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+    throw createApiKeyError(`name is required (at most ${MAX_NAME_LENGTH} characters)`, 'INVALID_KEY_NAME');
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !SCOPES.includes(scope))) {
+    throw createApiKeyError(`scopes must be a non-empty list of ${SCOPES.join(', ')}`, 'INVALID_SCOPES');
+  }
+
+  if (dailyWhisperMinutes !== null && !(typeof dailyWhisperMinutes === 'number' && dailyWhisperMinutes >= 0)) {
+    throw createApiKeyError('dailyWhisperMinutes must be a non-negative number or null', 'INVALID_QUOTA');
+  }
+
+  if (!PRIORITIES[maxPriority]) {
+    throw createApiKeyError(`maxPriority must be one of ${Object.keys(PRIORITIES).join(', ')}`, 'INVALID_PRIORITY');
+  }
+
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  const key = {
+    id: `key_${crypto.randomBytes(6).toString('hex')}`,
+    name: name.trim(),
+    scopes: [...new Set(scopes)],
+    dailyWhisperMinutes,
+    maxPriority,
+    createdAt: new Date().toISOString(),
+    revokedAt: null,
+  };
+
+  await getRedisClient()
+    .multi()
+    .set(getKeyRecordKey(key.id), JSON.stringify(key))
+    .set(getHashKey(token), key.id)
+    .sAdd(KEYS_SET, key.id)
+    .exec();
+
+  return { token, key };
+}
+
+/**
+ * Get a stored key by ID, or null
+ */
+export async function getApiKey(keyId) {
+  const stored = await getRedisClient().get(getKeyRecordKey(keyId));
+  return stored ? JSON.parse(stored) : null;
+}
+
+/**
+ * List stored keys (revoked ones included), oldest first
+ */
+export async function listApiKeys() {
+  const redis = getRedisClient();
+  const keyIds = await redis.sMembers(KEYS_SET);
+  if (keyIds.length === 0) {
+    return [];
+  }
+
+  const stored = await redis.mGet(keyIds.map(getKeyRecordKey));
+  return stored
+    .filter(Boolean)
+    .map(record => JSON.parse(record))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Revoke a key; requests using it are rejected from then on
+ *
+ * @returns {Promise<object|null>} The updated key, or null if there is no such key
+ */
+export async function revokeApiKey(keyId) {
+  const key = await getApiKey(keyId);
+  if (!key) {
+    return null;
+  }
+
+  if (!key.revokedAt) {
+    key.revokedAt = new Date().toISOString();
+    await getRedisClient().set(getKeyRecordKey(keyId), JSON.stringify(key));
+  }
+
+  return key;
+}
+
+/**
+ * Look up the key a bearer token belongs to
+ *
+ * @returns {Promise<object|null>} The key (check `revokedAt`), or null for an unknown token
+ */
+export async function resolveApiKey(token) {
+  if (isBootstrapToken(token)) {
+    return getBootstrapKey();
+  }
+
+  if (!token.startsWith(TOKEN_PREFIX)) {
+    return null;
+  }
+
+  const keyId = await getRedisClient().get(getHashKey(token));
+  return keyId ? getApiKey(keyId) : null;
+}
+
+/**
+ * Whisper minutes a key has used today (UTC)
+ */
+export async function getWhisperUsage(keyId) {
+  const used = await getRedisClient().get(getUsageKey(keyId));
+  return used ? Number(used) : 0;
+}
+
+/**
+ * Add transcribed audio to a key's usage for today
+ *
+ * @param {string} keyId
+ * @param {number} seconds - Audio duration Whisper processed
+ */
+export async function recordWhisperUsage(keyId, seconds) {
+  if (!keyId || !(seconds > 0)) {
+    return;
+  }
+
+  const usageKey = getUsageKey(keyId);
+  await getRedisClient()
+    .multi()
+    .incrByFloat(usageKey, seconds / 60)
+    .expire(usageKey, USAGE_TTL_SECONDS)
+    .exec();
+}
+
+/**
+ * A key's Whisper quota for today
+ *
+ * @param {string} keyId
+ * @returns {Promise<{ limit: number|null, used: number, remaining: number|null, resetsAt: string }>}
+ *   limit and remaining are null for keys without a quota (and unknown keys)
+ */
+export async function getWhisperQuota(keyId) {
+  const bootstrapKey = getBootstrapKey();
+  const key = keyId === bootstrapKey?.id ? bootstrapKey : await getApiKey(keyId);
+  const used = await getWhisperUsage(keyId);
+  const limit = key?.dailyWhisperMinutes ?? null;
+
+  const resetsAt = new Date();
+  resetsAt.setUTCHours(24, 0, 0, 0);
+
+  return {
+    limit,
+    used: Math.round(used * 10) / 10,
+    remaining: limit === null ? null : Math.max(Math.round((limit - used) * 10) / 10, 0),
+    resetsAt: resetsAt.toISOString(),
+  };
+}
+
+/**
+ * Public view of a key (never includes the token or its hash)
+ */
+export function toPublicKey(key) {
+  return {
+    id: key.id,
+    name: key.name,
+    scopes: key.scopes,
+    dailyWhisperMinutes: key.dailyWhisperMinutes,
+    maxPriority: key.maxPriority || 'normal',
+    createdAt: key.createdAt,
+    revokedAt: key.revokedAt,
+  };
+}
+
+function createApiKeyError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+export default {
+  SCOPES,
+  createApiKey,
+  getApiKey,
+  listApiKeys,
+  revokeApiKey,
+  resolveApiKey,
+  getWhisperUsage,
+  recordWhisperUsage,
+  getWhisperQuota,
+  toPublicKey,
+};
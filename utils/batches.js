@@ -0,0 +1,59 @@
+import config from '../config/environment.js';
+import logger from './logger.js';
+import { getRedisClient } from './redis.js';
+
+/**
+ * Batch (playlist/channel) records
+ *
+ * A batch is stored as one JSON document (batch:<batchId>) listing the
+ * videos it expanded to and the child transcription job for each. Progress is
+ * not stored here - it is aggregated from the child jobs when read.
+ * Records expire after BATCH_RETENTION_SECONDS.
+ */
+
+const BATCH_KEY_PREFIX = 'batch:';
+
+function getBatchKey(batchId) {
+  return `${BATCH_KEY_PREFIX}${batchId}`;
+}
+
+/**
+ * Generate a batch ID (same shape as transcription job IDs)
+ */
+export function createBatchId() {
+  return `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Store a batch record
+ *
+ * @param {object} batch
+ * @param {string} batch.batchId
+ * @param {object} batch.source - { type, id, url, title, channel }
+ * @param {object} batch.options - Job options shared by every video (no secrets)
+ * @param {object[]} batch.videos - [{ videoId, url, title, jobId, status?, resultsUrl? }]
+ */
+export async function saveBatch(batch) {
+  await getRedisClient().set(getBatchKey(batch.batchId), JSON.stringify(batch), {
+    EX: config.batch.retentionSeconds,
+  });
+
+  logger.debug('Batch saved', {
+    batchId: batch.batchId,
+    videos: batch.videos.length,
+  });
+}
+
+/**
+ * Get a batch record, or null if it doesn't exist or has expired
+ */
+export async function getBatch(batchId) {
+  const stored = await getRedisClient().get(getBatchKey(batchId));
+  return stored ? JSON.parse(stored) : null;
+}
+
+export default {
+  createBatchId,
+  saveBatch,
+  getBatch,
+};
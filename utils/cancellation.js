@@ -0,0 +1,146 @@
+import logger from './logger.js';
+import { getRedisClient } from './redis.js';
+
+/**
+ * Job cancellation
+ *
+ * A cancelled job gets a tombstone (transcription:cancelled:<jobId>) so status
+ * responses can report it after the Bull job is removed or failed, and its ID
+ * is published on a Redis channel so whichever process is running it can kill
+ * its child processes (yt-dlp, ffmpeg, faster-whisper, pyannote).
+ */
+
+const CANCELLED_KEY_PREFIX = 'transcription:cancelled:';
+const CANCEL_CHANNEL = 'transcription:cancel';
+
+// Keep tombstones as long as anyone is likely to poll for the job
+const CANCELLATION_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+let subscriber = null;
+const cancelHandlers = new Set();
+
+function getCancelledKey(jobId) {
+  return `${CANCELLED_KEY_PREFIX}${jobId}`;
+}
+
+/**
+ * Record that a job was cancelled
+ *
+ * @param {string} jobId
+ * @param {object} details - { previousState, videoId }
+ * @returns {Promise<object>} The stored cancellation record
+ */
+export async function markJobCancelled(jobId, details = {}) {
+  const cancellation = {
+    ...details,
+    cancelledAt: new Date().toISOString(),
+  };
+
+  await getRedisClient().set(getCancelledKey(jobId), JSON.stringify(cancellation), {
+    EX: CANCELLATION_TTL_SECONDS,
+  });
+
+  return cancellation;
+}
+
+/**
+ * Get a job's cancellation record, or null if it was never cancelled
+ */
+export async function getCancellation(jobId) {
+  const stored = await getRedisClient().get(getCancelledKey(jobId));
+  return stored ? JSON.parse(stored) : null;
+}
+
+/**
+ * Tell the process running a job to stop it
+ */
+export async function publishCancellation(jobId) {
+  await getRedisClient().publish(CANCEL_CHANNEL, String(jobId));
+}
+
+/**
+ * Call `handler(jobId)` whenever any process cancels a job
+ * Uses a dedicated connection, since a subscribed client can't run commands
+ */
+export async function subscribeToCancellations(handler) {
+  cancelHandlers.add(handler);
+
+  if (!subscriber) {
+    subscriber = getRedisClient().duplicate();
+    subscriber.on('error', error => {
+      logger.error('Cancellation subscriber error', {
+        error: error.message,
+      });
+    });
+
+    await subscriber.connect();
+    await subscriber.subscribe(CANCEL_CHANNEL, jobId => {
+      cancelHandlers.forEach(cancelHandler => cancelHandler(jobId));
+    });
+  }
+}
+
+/**
+ * Error thrown out of a job that was cancelled mid-run
+ */
+export function createCancelledError() {
+  const error = new Error('Job cancelled');
+  error.code = 'JOB_CANCELLED';
+  return error;
+}
+
+/**
+ * Throw JOB_CANCELLED if the signal has been aborted
+ */
+export function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    throw createCancelledError();
+  }
+}
+
+/**
+ * Kill a child process when `signal` aborts
+ * With `processGroup`, the child must have been spawned with `detached: true`
+ * so it leads its own process group; the whole group is killed, taking
+ * grandchildren (the shell's yt-dlp, yt-dlp's ffmpeg) with it.
+ * Returns a function that removes the abort listener.
+ */
+export function killOnAbort(child, signal, { processGroup = false } = {}) {
+  if (!signal) {
+    return () => {};
+  }
+
+  const kill = () => {
+    try {
+      if (processGroup && child.pid) {
+        process.kill(-child.pid, 'SIGKILL');
+      } else {
+        child.kill('SIGKILL');
+      }
+    } catch (error) {
+      // Already exited
+      logger.debug('Could not kill cancelled process', {
+        pid: child.pid,
+        error: error.message,
+      });
+    }
+  };
+
+  if (signal.aborted) {
+    kill();
+    return () => {};
+  }
+
+  signal.addEventListener('abort', kill, { once: true });
+  return () => signal.removeEventListener('abort', kill);
+}
+
+export default {
+  markJobCancelled,
+  getCancellation,
+  publishCancellation,
+  subscribeToCancellations,
+  createCancelledError,
+  throwIfCancelled,
+  killOnAbort,
+};
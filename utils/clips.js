@@ -0,0 +1,69 @@
+/**
+ * Clips - transcripts of a time range of a video
+ *
+ * A clip is { start, end } in seconds of the original video (end null for
+ * "to the end"). Tier 1 keeps the caption segments inside the range; Tier 2
+ * downloads only that section and shifts Whisper's timings by the start, so
+ * clip transcripts always use the original video's timeline.
+ *
+ * Clip transcripts are stored as their own variant (en-clip-2520-3300) and
+ * never stand in for the full transcript, or for another range.
+ */
+
+/**
+ * Clip label used in variant names and fingerprints: <start>-<end|end>
+ */
+export function getClipLabel(clip) {
+  return `${clip.start}-${clip.end ?? 'end'}`;
+}
+
+/**
+ * Whether two clips (or two full transcripts, null) cover the same range
+ */
+export function isSameClip(a, b) {
+  return (a ? getClipLabel(a) : null) === (b ? getClipLabel(b) : null);
+}
+
+/**
+ * Seconds of audio a clip covers, given the video's length (null when unknown)
+ */
+export function getClipDuration(clip, durationSeconds) {
+  const end = Math.min(clip.end ?? Infinity, durationSeconds ?? Infinity);
+  return Number.isFinite(end) ? Math.max(end - clip.start, 0) : null;
+}
+
+/**
+ * Segments overlapping a clip, with their original timings
+ * (a caption that straddles a clip boundary is kept whole)
+ */
+export function trimSegments(segments, clip) {
+  const end = clip.end ?? Infinity;
+  return segments.filter(segment => segment.start < end && segment.start + segment.duration > clip.start);
+}
+
+/**
+ * A segment (and its words) moved later by offset seconds
+ */
+export function shiftSegment(segment, offset) {
+  const shifted = { ...segment, start: roundSeconds(segment.start + offset) };
+  if (segment.words) {
+    shifted.words = segment.words.map(word => ({
+      ...word,
+      start: roundSeconds(word.start + offset),
+      end: roundSeconds(word.end + offset),
+    }));
+  }
+  return shifted;
+}
+
+function roundSeconds(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+export default {
+  getClipLabel,
+  isSameClip,
+  getClipDuration,
+  trimSegments,
+  shiftSegment,
+};
@@ -0,0 +1,168 @@
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import { existsSync, unlinkSync } from 'fs';
+import { dirname } from 'path';
+import logger from './logger.js';
+import config from '../config/environment.js';
+import { createCancelledError } from './cancellation.js';
+
+const execPromise = promisify(exec);
+
+/**
+ * Speaker diarization with pyannote.audio
+ * Runs on CPU and fully offline: DIARIZATION_MODEL_PATH points at a local
+ * pipeline config.yaml whose model entries are local checkpoint files, so
+ * nothing is fetched from Hugging Face at runtime.
+ *
+ * @param {string} audioFilePath
+ * @param {object} [options]
+ * @param {number} [options.maxSpeakers] - Upper bound on speakers (0 = no limit)
+ * @param {AbortSignal} [options.signal] - Kills ffmpeg/pyannote when aborted (rejects with JOB_CANCELLED)
+ * @returns {Promise<{ turns: { start: number, end: number, speaker: string }[], processTime: string }>}
+ */
+export async function diarizeAudio(audioFilePath, options = {}) {
+  const startTime = Date.now();
+  const { modelPath } = config.diarization;
+  const maxSpeakers = options.maxSpeakers ?? config.diarization.maxSpeakers;
+
+  if (!modelPath || !existsSync(modelPath)) {
+    throw new Error('Diarization model not found - set DIARIZATION_MODEL_PATH to a local pyannote pipeline config');
+  }
+
+  // pyannote reads 16kHz mono WAV reliably; mp3 support depends on the torchaudio backend
+  const wavPath = `${dirname(audioFilePath)}/diarization.wav`;
+
+  try {
+    await execPromise(`ffmpeg -y -loglevel error -i '${audioFilePath}' -ac 1 -ar 16000 '${wavPath}'`, {
+      timeout: 300000,
+      signal: options.signal,
+    });
+
+    const command = `python3 -c "
+from pyannote.audio import Pipeline
+import json
+
+pipeline = Pipeline.from_pretrained('${modelPath}')
+diarization = pipeline('${wavPath}'${maxSpeakers > 0 ? `, max_speakers=${maxSpeakers}` : ''})
+
+turns = [
+    {'start': turn.start, 'end': turn.end, 'speaker': speaker}
+    for turn, _, speaker in diarization.itertracks(yield_label=True)
+]
+
+print(json.dumps({'turns': turns}))
+"`;
+
+    logger.info('Starting speaker diarization', {
+      audioFile: audioFilePath,
+      modelPath,
+      maxSpeakers: maxSpeakers || 'auto',
+    });
+
+    const { stdout } = await execPromise(command, {
+      timeout: config.worker.timeoutMs,
+      maxBuffer: 50 * 1024 * 1024,
+      signal: options.signal,
+    });
+
+    const { turns } = JSON.parse(stdout.trim());
+    const processTime = Date.now() - startTime;
+
+    logger.info('Speaker diarization completed', {
+      turns: turns.length,
+      speakers: new Set(turns.map(turn => turn.speaker)).size,
+      processTime: `${(processTime / 1000).toFixed(1)}s`,
+    });
+
+    return {
+      turns,
+      processTime: `${(processTime / 60000).toFixed(1)} min`,
+    };
+  } catch (error) {
+    if (options.signal?.aborted) {
+      throw createCancelledError();
+    }
+
+    logger.error('Speaker diarization failed', {
+      audioFile: audioFilePath,
+      error: error.message,
+    });
+    throw error;
+  } finally {
+    if (existsSync(wavPath)) {
+      unlinkSync(wavPath);
+    }
+  }
+}
+
+/**
+ * Label transcript segments with the speaker who talks most during each one
+ * Speakers are renamed SPEAKER_1, SPEAKER_2, ... in order of first appearance.
+ * Segments that overlap no speaker turn are left unlabelled.
+ *
+ * @param {object[]} transcript - Segments ({ text, start, duration, ... })
+ * @param {object[]} turns - Speaker turns from diarizeAudio()
+ * @returns {{ transcript: object[], speakers: string[] }}
+ */
+export function assignSpeakers(transcript, turns) {
+  const labels = new Map();
+
+  const labelled = transcript.map(segment => {
+    const start = segment.start;
+    const end = segment.start + segment.duration;
+    const overlapBySpeaker = new Map();
+
+    for (const turn of turns) {
+      const overlap = Math.min(end, turn.end) - Math.max(start, turn.start);
+      if (overlap > 0) {
+        overlapBySpeaker.set(turn.speaker, (overlapBySpeaker.get(turn.speaker) || 0) + overlap);
+      }
+    }
+
+    let speaker = null;
+    let best = 0;
+    for (const [candidate, overlap] of overlapBySpeaker) {
+      if (overlap > best) {
+        speaker = candidate;
+        best = overlap;
+      }
+    }
+
+    if (!speaker) {
+      return segment;
+    }
+
+    if (!labels.has(speaker)) {
+      labels.set(speaker, `SPEAKER_${labels.size + 1}`);
+    }
+
+    return { ...segment, speaker: labels.get(speaker) };
+  });
+
+  return {
+    transcript: labelled,
+    speakers: [...labels.values()],
+  };
+}
+
+/**
+ * Check if pyannote.audio is installed and a model is configured
+ */
+export async function isDiarizationAvailable() {
+  if (!config.diarization.modelPath || !existsSync(config.diarization.modelPath)) {
+    return false;
+  }
+
+  try {
+    await execPromise('python3 -c "from pyannote.audio import Pipeline"', { timeout: 30000 });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export default {
+  diarizeAudio,
+  assignSpeakers,
+  isDiarizationAvailable,
+};
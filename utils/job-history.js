@@ -0,0 +1,209 @@
+import config from '../config/environment.js';
+import logger from './logger.js';
+import { getRedisClient } from './redis.js';
+
+/**
+ * Persistent job history
+ *
+ * Bull drops completed jobs after JOB_REMOVAL_DELAY_MS, so every job is also
+ * recorded here as a JSON summary (job:history:<jobId>) and indexed by
+ * submission time in sorted sets:
+ *   job:history:index              - every job
+ *   job:history:video:<videoId>    - jobs for one video
+ *   job:history:submitter:<keyId>  - jobs submitted with one API key
+ * Entries expire after JOB_HISTORY_RETENTION_SECONDS.
+ *
+ * Callback URLs and secrets are never stored.
+ */
+
+const HISTORY_KEY_PREFIX = 'job:history:';
+const HISTORY_INDEX_KEY = 'job:history:index';
+const VIDEO_INDEX_PREFIX = 'job:history:video:';
+const SUBMITTER_INDEX_PREFIX = 'job:history:submitter:';
+
+// Entries read per round trip while filtering, and at most per request
+const SCAN_BATCH_SIZE = 100;
+const MAX_SCANNED_PER_PAGE = 2000;
+
+function getHistoryKey(jobId) {
+  return `${HISTORY_KEY_PREFIX}${jobId}`;
+}
+
+/**
+ * Record a newly queued job
+ *
+ * @param {object} entry - { jobId, videoId, url, submittedBy, batchId, options }
+ */
+export async function recordJob(entry) {
+  const createdAt = Date.now();
+  const record = {
+    status: 'queued',
+    tier: null,
+    ...entry,
+    createdAt: new Date(createdAt).toISOString(),
+  };
+
+  const retentionSeconds = config.history.retentionSeconds;
+  const cutoff = createdAt - retentionSeconds * 1000;
+  const indexKeys = [HISTORY_INDEX_KEY];
+  // Media URL jobs have no video ID until the worker downloads the media
+  if (entry.videoId) {
+    indexKeys.push(`${VIDEO_INDEX_PREFIX}${entry.videoId}`);
+  }
+  if (entry.submittedBy) {
+    indexKeys.push(`${SUBMITTER_INDEX_PREFIX}${entry.submittedBy}`);
+  }
+
+  const transaction = getRedisClient()
+    .multi()
+    .set(getHistoryKey(entry.jobId), JSON.stringify(record), { EX: retentionSeconds });
+
+  // Indexes expire with their newest entry; older members are pruned on write
+  for (const indexKey of indexKeys) {
+    transaction
+      .zAdd(indexKey, { score: createdAt, value: entry.jobId })
+      .zRemRangeByScore(indexKey, '-inf', cutoff)
+      .expire(indexKey, retentionSeconds);
+  }
+
+  await transaction.exec();
+}
+
+/**
+ * Merge fields into a job's history entry (status changes, results, errors)
+ * Failures are logged - history never fails a job
+ */
+export async function updateJobHistory(jobId, fields) {
+  try {
+    const redis = getRedisClient();
+    const stored = await redis.get(getHistoryKey(jobId));
+    if (!stored) {
+      return;
+    }
+
+    await redis.set(getHistoryKey(jobId), JSON.stringify({ ...JSON.parse(stored), ...fields }), {
+      KEEPTTL: true,
+    });
+  } catch (error) {
+    logger.warn('Failed to update job history', {
+      jobId,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Set the video of a job recorded without one and index the job under it
+ * Failures are logged - history never fails a job
+ */
+export async function setJobVideo(jobId, videoId) {
+  try {
+    const redis = getRedisClient();
+    const stored = await redis.get(getHistoryKey(jobId));
+    if (!stored) {
+      return;
+    }
+
+    const entry = JSON.parse(stored);
+    const indexKey = `${VIDEO_INDEX_PREFIX}${videoId}`;
+    await redis
+      .multi()
+      .set(getHistoryKey(jobId), JSON.stringify({ ...entry, videoId }), { KEEPTTL: true })
+      .zAdd(indexKey, { score: Date.parse(entry.createdAt), value: jobId })
+      .expire(indexKey, config.history.retentionSeconds)
+      .exec();
+  } catch (error) {
+    logger.warn('Failed to set job video', {
+      jobId,
+      videoId,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get one job's history entry, or null
+ */
+export async function getJobHistoryEntry(jobId) {
+  const stored = await getRedisClient().get(getHistoryKey(jobId));
+  return stored ? JSON.parse(stored) : null;
+}
+
+/**
+ * List history entries, newest first
+ *
+ * @param {object} [filters]
+ * @param {string[]} [filters.statuses] - queued, processing, complete, failed, cancelled
+ * @param {string} [filters.videoId]
+ * @param {number} [filters.tier] - 1 or 2
+ * @param {string} [filters.submittedBy] - API key ID
+ * @param {number} [filters.from] - Submitted at or after (ms)
+ * @param {number} [filters.to] - Submitted at or before (ms)
+ * @param {number} [filters.limit]
+ * @param {number} [filters.offset] - Position in the time range to resume from
+ * @returns {Promise<{ entries: object[], nextOffset: number|null }>}
+ *   nextOffset is null once the range is exhausted
+ */
+export async function listJobHistory(filters = {}) {
+  const redis = getRedisClient();
+  const { statuses, videoId, tier, submittedBy, from = '-inf', to = '+inf', limit = 20 } = filters;
+
+  // Narrowest index first; the remaining filters are applied to the entries
+  let indexKey = HISTORY_INDEX_KEY;
+  if (videoId) {
+    indexKey = `${VIDEO_INDEX_PREFIX}${videoId}`;
+  } else if (submittedBy) {
+    indexKey = `${SUBMITTER_INDEX_PREFIX}${submittedBy}`;
+  }
+
+  const matches = entry => entry
+    && (!statuses || statuses.includes(entry.status))
+    && (!videoId || entry.videoId === videoId)
+    && (!tier || entry.tier === tier)
+    && (!submittedBy || entry.submittedBy === submittedBy);
+
+  const entries = [];
+  let offset = filters.offset || 0;
+  let scanned = 0;
+
+  while (entries.length < limit && scanned < MAX_SCANNED_PER_PAGE) {
+    const jobIds = await redis.zRange(indexKey, to, from, {
+      BY: 'SCORE',
+      REV: true,
+      LIMIT: { offset, count: SCAN_BATCH_SIZE },
+    });
+
+    if (jobIds.length === 0) {
+      return { entries, nextOffset: null };
+    }
+
+    const stored = await redis.mGet(jobIds.map(getHistoryKey));
+
+    for (let i = 0; i < jobIds.length; i++) {
+      offset += 1;
+      scanned += 1;
+
+      const entry = stored[i] ? JSON.parse(stored[i]) : null;
+      if (matches(entry)) {
+        entries.push(entry);
+        if (entries.length === limit) {
+          break;
+        }
+      }
+    }
+
+    if (jobIds.length < SCAN_BATCH_SIZE && entries.length < limit) {
+      return { entries, nextOffset: null };
+    }
+  }
+
+  return { entries, nextOffset: offset };
+}
+
+export default {
+  recordJob,
+  updateJobHistory,
+  setJobVideo,
+  getJobHistoryEntry,
+  listJobHistory,
+};
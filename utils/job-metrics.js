@@ -0,0 +1,349 @@
+import config from '../config/environment.js';
+import logger from './logger.js';
+import { getRedisClient } from './redis.js';
+import { STAGES } from './job-progress.js';
+import { isWhisperOnly } from './job-options.js';
+
+/**
+ * Stage throughput history, used for ETAs
+ *
+ * Throughput is measured in seconds of media handled per wall-clock second
+ * (e.g. 4 = a 60-minute video takes 15 minutes), so one sample predicts
+ * videos of any length. Samples are kept per stage, Whisper model and
+ * video length bucket - a capped Redis list each:
+ *   metrics:throughput:<stage>:<model>:<bucket>
+ */
+
+const METRICS_KEY_PREFIX = 'metrics:throughput:';
+
+// Samples kept per list; the median of these is used
+const MAX_SAMPLES = 50;
+
+// Video length buckets (seconds) - long videos run at a different pace
+const LENGTH_BUCKETS = [
+  { name: 'short', maxSeconds: 600 },
+  { name: 'medium', maxSeconds: 3600 },
+  { name: 'long', maxSeconds: Infinity },
+];
+
+// Used until a stage has history (CPU, int8)
+const DEFAULT_THROUGHPUT = {
+  downloading: 60,
+  transcribing: {
+    tiny: 16,
+    base: 10,
+    small: 4,
+    medium: 1.5,
+    large: 0.5,
+  },
+  diarizing: 10,
+};
+
+// Stages that only depend on the network, not the Whisper model
+const MODEL_INDEPENDENT_STAGES = ['downloading'];
+
+// Job durations per tier (seconds a lane spent on a job: captions for Tier 1,
+// Whisper for Tier 2), and the outcome of recent caption attempts
+// ('1' = handed off to Whisper) for the fallback rate
+const JOB_DURATION_KEY_PREFIX = 'metrics:jobs:duration:';
+const FALLBACK_KEY = 'metrics:jobs:fallback';
+
+// Used until there are finished jobs to learn from
+const DEFAULT_JOB_DURATION = { 1: 15, 2: 720 };
+const DEFAULT_FALLBACK_RATE = 0.3;
+
+// The live rate of the running stage wins once it has this much to go on
+const MIN_LIVE_FRACTION = 0.1;
+const MIN_LIVE_SECONDS = 10;
+
+function getLengthBucket(videoDuration) {
+  return LENGTH_BUCKETS.find(bucket => (videoDuration || 0) <= bucket.maxSeconds).name;
+}
+
+function getMetricsKey(stage, model, videoDuration) {
+  const modelKey = MODEL_INDEPENDENT_STAGES.includes(stage) ? 'any' : model;
+  return `${METRICS_KEY_PREFIX}${stage}:${modelKey}:${getLengthBucket(videoDuration)}`;
+}
+
+/**
+ * Record how fast a stage ran for a finished job
+ *
+ * @param {string} stage - Stage id (downloading, transcribing, diarizing)
+ * @param {object} context
+ * @param {string} context.model - Whisper model
+ * @param {number} context.videoDuration - Seconds of media the stage handled
+ * @param {number} elapsedMs - Wall-clock time the stage took
+ */
+export async function recordStageThroughput(stage, { model, videoDuration }, elapsedMs) {
+  if (!videoDuration || !elapsedMs || elapsedMs <= 0) {
+    return;
+  }
+
+  const throughput = videoDuration / (elapsedMs / 1000);
+  const key = getMetricsKey(stage, model, videoDuration);
+
+  try {
+    await getRedisClient()
+      .multi()
+      .lPush(key, String(throughput))
+      .lTrim(key, 0, MAX_SAMPLES - 1)
+      .exec();
+  } catch (error) {
+    logger.warn('Failed to record stage throughput', {
+      stage,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Typical throughput of a stage (median of recent samples)
+ * Falls back to built-in defaults when there is no history yet
+ *
+ * @returns {Promise<number>} Media seconds per wall-clock second
+ */
+export async function getStageThroughput(stage, { model, videoDuration }) {
+  let samples = [];
+  try {
+    samples = await getRedisClient().lRange(getMetricsKey(stage, model, videoDuration), 0, -1);
+  } catch (error) {
+    logger.warn('Failed to read stage throughput', {
+      stage,
+      error: error.message,
+    });
+  }
+
+  if (samples.length > 0) {
+    return median(samples);
+  }
+
+  const fallback = DEFAULT_THROUGHPUT[stage];
+  if (typeof fallback === 'object') {
+    return fallback[model] || fallback.small;
+  }
+  return fallback || null;
+}
+
+/**
+ * Estimate seconds until an active job finishes
+ * Remaining time of the current stage (live rate once it has progressed,
+ * otherwise history) plus the stages still to come.
+ *
+ * @param {object} progress - Structured job progress (see job-progress.js)
+ * @param {object} jobData - Bull job data (forceWhisper, translate, diarize)
+ * @returns {Promise<number|null>} null while the job may still be answered by Tier 1
+ */
+export async function estimateRemainingSeconds(progress, jobData = {}) {
+  if (!progress || typeof progress !== 'object' || !STAGES[progress.stage]) {
+    return null;
+  }
+
+  const videoDuration = progress.audioDuration || progress.videoDuration;
+  if (!videoDuration) {
+    return null;
+  }
+
+  if ((progress.stage === 'metadata' || progress.stage === 'captions') && !isWhisperOnly(jobData)) {
+    // Captions usually answer in seconds; Whisper may never run
+    return null;
+  }
+
+  const pipeline = ['downloading', 'transcribing'];
+  if (jobData.diarize) {
+    pipeline.push('diarizing');
+  }
+
+  const context = {
+    model: progress.model || config.whisper.model,
+    videoDuration,
+  };
+
+  const currentIndex = pipeline.indexOf(progress.stage);
+  if (progress.stage === 'uploading') {
+    return 0;
+  }
+
+  let remaining = 0;
+  const remainingStages = currentIndex === -1 ? pipeline : pipeline.slice(currentIndex);
+
+  for (const stage of remainingStages) {
+    const done = stage === progress.stage ? getStageFraction(progress) : 0;
+    const throughput = stage === progress.stage
+      ? getLiveThroughput(progress, done, videoDuration) || await getStageThroughput(stage, context)
+      : await getStageThroughput(stage, context);
+
+    if (throughput) {
+      remaining += (videoDuration * (1 - done)) / throughput;
+    }
+  }
+
+  return Math.round(remaining);
+}
+
+/**
+ * How much of the current stage is done (0-1)
+ */
+function getStageFraction(progress) {
+  if (progress.stage === 'downloading' && progress.totalBytes) {
+    return Math.min(1, progress.bytesDownloaded / progress.totalBytes);
+  }
+  if (progress.stage === 'transcribing' && progress.audioDuration) {
+    return Math.min(1, progress.audioSeconds / progress.audioDuration);
+  }
+  return 0;
+}
+
+/**
+ * Throughput the running stage has achieved so far, once it is meaningful
+ */
+function getLiveThroughput(progress, fraction, videoDuration) {
+  const elapsedSeconds = (Date.now() - Date.parse(progress.stageStartedAt)) / 1000;
+
+  if (!(elapsedSeconds >= MIN_LIVE_SECONDS) || fraction < MIN_LIVE_FRACTION) {
+    return null;
+  }
+
+  return (videoDuration * fraction) / elapsedSeconds;
+}
+
+/**
+ * Record how long a lane took to finish a job
+ *
+ * @param {number} tier - 1 (captions lane answered it) or 2 (Whisper lane)
+ * @param {number} elapsedMs - Time from the lane starting the job to completion
+ */
+export async function recordJobDuration(tier, elapsedMs) {
+  if (!tier || !(elapsedMs > 0)) {
+    return;
+  }
+
+  await pushSample(`${JOB_DURATION_KEY_PREFIX}tier${tier}`, String(elapsedMs / 1000), { tier });
+}
+
+/**
+ * Record whether a caption attempt had to hand its job to the Whisper lane
+ */
+export async function recordFallback(handedOff) {
+  await pushSample(FALLBACK_KEY, handedOff ? '1' : '0', { handedOff });
+}
+
+async function pushSample(key, value, context) {
+  try {
+    await getRedisClient()
+      .multi()
+      .lPush(key, value)
+      .lTrim(key, 0, MAX_SAMPLES - 1)
+      .exec();
+  } catch (error) {
+    logger.warn('Failed to record job duration', {
+      ...context,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Typical job durations per tier and how often caption attempts fall back to Whisper
+ *
+ * @returns {Promise<{ tier1: number, tier2: number, fallbackRate: number }>}
+ */
+export async function getJobDurationEstimates() {
+  const redis = getRedisClient();
+  let samples = [[], [], []];
+
+  try {
+    samples = await Promise.all([
+      redis.lRange(`${JOB_DURATION_KEY_PREFIX}tier1`, 0, -1),
+      redis.lRange(`${JOB_DURATION_KEY_PREFIX}tier2`, 0, -1),
+      redis.lRange(FALLBACK_KEY, 0, -1),
+    ]);
+  } catch (error) {
+    logger.warn('Failed to read job durations', {
+      error: error.message,
+    });
+  }
+
+  const [tier1, tier2, fallbacks] = samples;
+  return {
+    tier1: median(tier1) ?? DEFAULT_JOB_DURATION[1],
+    tier2: median(tier2) ?? DEFAULT_JOB_DURATION[2],
+    fallbackRate: fallbacks.length > 0
+      ? fallbacks.filter(outcome => outcome === '1').length / fallbacks.length
+      : DEFAULT_FALLBACK_RATE,
+  };
+}
+
+/**
+ * Estimate seconds until a waiting job starts
+ * Replays the lane's queue over `concurrency` worker slots: each slot is busy
+ * with an active job's remaining time, and every job ahead takes the next
+ * free slot for the lane's typical duration (Tier 1 for captions, Tier 2 for
+ * Whisper).
+ *
+ * @param {object} queue
+ * @param {object[]} queue.ahead - Data of the jobs ahead, in start order
+ * @param {object[]} queue.active - Active jobs ({ progress, data, processedOn })
+ * @param {number} concurrency - Jobs the lane processes at once
+ * @param {string} lane - 'captions' or 'whisper'
+ * @returns {Promise<number>}
+ */
+export async function estimateQueueWaitSeconds({ ahead, active }, concurrency, lane) {
+  const durations = await getJobDurationEstimates();
+  const expectedDuration = lane === 'whisper' ? durations.tier2 : durations.tier1;
+
+  const slots = [];
+  for (const job of active) {
+    const eta = await estimateRemainingSeconds(job.progress, job.data);
+    const elapsed = job.processedOn ? (Date.now() - job.processedOn) / 1000 : 0;
+    slots.push(eta ?? Math.max(expectedDuration - elapsed, 0));
+  }
+
+  // More active jobs than the lane's concurrency means more than one worker instance
+  while (slots.length < Math.max(concurrency, 1)) {
+    slots.push(0);
+  }
+  slots.sort((a, b) => a - b);
+
+  for (let i = 0; i < ahead.length; i++) {
+    slots[0] += expectedDuration;
+    slots.sort((a, b) => a - b);
+  }
+
+  return Math.round(slots[0]);
+}
+
+function median(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = values.map(Number).sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Format a number of seconds for display ("~12 minutes", "~40 seconds")
+ */
+export function formatEta(seconds) {
+  if (seconds === null || seconds === undefined) {
+    return 'calculating...';
+  }
+  if (seconds < 60) {
+    return `~${Math.max(seconds, 1)} seconds`;
+  }
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 120) {
+    return `~${minutes} minute${minutes === 1 ? '' : 's'}`;
+  }
+  return `~${(minutes / 60).toFixed(1)} hours`;
+}
+
+export default {
+  recordStageThroughput,
+  getStageThroughput,
+  estimateRemainingSeconds,
+  recordJobDuration,
+  recordFallback,
+  getJobDurationEstimates,
+  estimateQueueWaitSeconds,
+  formatEta,
+};
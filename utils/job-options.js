@@ -0,0 +1,160 @@
+import { isValidCallbackUrl } from './webhook.js';
+import { parseLanguagePreference } from './language.js';
+
+// Submission priority → Bull job priority (lower runs first)
+export const PRIORITIES = {
+  high: 1,
+  normal: 5,
+  low: 10,
+};
+
+/**
+ * Parse and validate the transcription options of a submission
+ * Shared by single-video and batch submissions.
+ * Throws an error with a `code` (INVALID_CALLBACK_URL, INVALID_LANGUAGE, ...)
+ * suitable for a 400 response.
+ *
+ * @returns {{ forceWhisper: boolean, languages: string[], translate: boolean,
+ *   wordTimestamps: boolean, diarize: boolean, callbackUrl?: string,
+ *   callbackSecret?: string, priority?: string, refresh: boolean }}
+ */
+export function parseJobOptions(body = {}) {
+  const {
+    forceWhisper = false,
+    callbackUrl,
+    callbackSecret,
+    refresh = false,
+    language,
+    translate = false,
+    wordTimestamps = false,
+    diarize = false,
+    priority,
+  } = body;
+
+  if (callbackUrl !== undefined && !isValidCallbackUrl(callbackUrl)) {
+    throw createOptionError('callbackUrl must be an absolute http(s) URL on a public host', 'INVALID_CALLBACK_URL');
+  }
+
+  if (callbackSecret !== undefined && (typeof callbackSecret !== 'string' || !callbackSecret)) {
+    throw createOptionError('callbackSecret must be a non-empty string', 'INVALID_CALLBACK_SECRET');
+  }
+
+  const languages = parseLanguagePreference(language);
+
+  if (typeof forceWhisper !== 'boolean') {
+    throw createOptionError('forceWhisper must be a boolean', 'INVALID_FORCE_WHISPER');
+  }
+
+  if (typeof refresh !== 'boolean') {
+    throw createOptionError('refresh must be a boolean', 'INVALID_REFRESH');
+  }
+
+  if (typeof translate !== 'boolean') {
+    throw createOptionError('translate must be a boolean', 'INVALID_TRANSLATE');
+  }
+
+  if (typeof wordTimestamps !== 'boolean') {
+    throw createOptionError('wordTimestamps must be a boolean', 'INVALID_WORD_TIMESTAMPS');
+  }
+
+  if (typeof diarize !== 'boolean') {
+    throw createOptionError('diarize must be a boolean', 'INVALID_DIARIZE');
+  }
+
+  if (priority !== undefined && !PRIORITIES[priority]) {
+    throw createOptionError(`priority must be one of ${Object.keys(PRIORITIES).join(', ')}`, 'INVALID_PRIORITY');
+  }
+
+  return {
+    forceWhisper,
+    languages,
+    translate,
+    wordTimestamps,
+    diarize,
+    callbackUrl,
+    callbackSecret,
+    priority,
+    refresh,
+  };
+}
+
+/**
+ * Parse the clip range of a submission: start/end as seconds (2520) or
+ * [HH:]MM:SS timestamps ("42:00"). Returns null when neither is given; a
+ * missing start is 0 and a missing end is the end of the video.
+ * Throws INVALID_CLIP for unreadable values or an end not after the start.
+ *
+ * @returns {{ start: number, end: number | null } | null}
+ */
+export function parseClipRange({ start, end } = {}) {
+  if (start === undefined && end === undefined) {
+    return null;
+  }
+
+  const clip = {
+    start: start === undefined ? 0 : parseClipTime(start, 'start'),
+    end: end === undefined ? null : parseClipTime(end, 'end'),
+  };
+
+  if (clip.end !== null && clip.end <= clip.start) {
+    throw createOptionError('end must be after start', 'INVALID_CLIP');
+  }
+
+  // The whole video isn't a clip
+  return clip.start === 0 && clip.end === null ? null : clip;
+}
+
+function parseClipTime(value, name) {
+  if (typeof value === 'number' && Number.isFinite(value) && value >= 0) {
+    return value;
+  }
+
+  const match = typeof value === 'string' && value.trim().match(/^(?:(?:(\d+):)?([0-5]?\d):)?(\d+(?:\.\d+)?)$/);
+  if (!match || (match[2] !== undefined && Number(match[3]) >= 60)) {
+    throw createOptionError(`${name} must be a number of seconds or a [HH:]MM:SS timestamp`, 'INVALID_CLIP');
+  }
+
+  const [, hours = 0, minutes = 0, seconds] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+}
+
+/**
+ * The priority a submission runs at
+ * API keys may use priorities up to their maxPriority (normal by default);
+ * anonymous submissions up to normal. Without a requested priority jobs run
+ * at normal, or at the key's maxPriority when that is lower.
+ * Throws PRIORITY_NOT_ALLOWED (a 403) for a priority above the allowance.
+ *
+ * @param {string} [requested] - high, normal or low
+ * @param {object} [apiKey] - The submitting key
+ * @returns {string}
+ */
+export function resolvePriority(requested, apiKey) {
+  const allowed = apiKey?.maxPriority || 'normal';
+
+  if (!requested) {
+    return PRIORITIES[allowed] > PRIORITIES.normal ? allowed : 'normal';
+  }
+
+  if (PRIORITIES[requested] < PRIORITIES[allowed]) {
+    throw createOptionError(`priority "${requested}" is above this client's maximum ("${allowed}")`, 'PRIORITY_NOT_ALLOWED');
+  }
+
+  return requested;
+}
+
+/**
+ * Whether a job skips YouTube captions and always runs on Whisper
+ * (translation and diarization need the audio; uploads and media URLs have no captions)
+ */
+export function isWhisperOnly(options = {}) {
+  return Boolean(options.forceWhisper || options.translate || options.diarize || options.media);
+}
+
+function createOptionError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+export default { PRIORITIES, parseJobOptions, parseClipRange, resolvePriority, isWhisperOnly };
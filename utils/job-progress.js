@@ -0,0 +1,106 @@
+import logger from './logger.js';
+
+/**
+ * Structured job progress
+ *
+ * Workers report progress as an object instead of a bare percentage:
+ * {
+ *   stage: 'transcribing',          // id from STAGES
+ *   percent: 62,                    // overall 0-100, derived from the stage band
+ *   stageStartedAt: '2026-...Z',
+ *   videoDuration: 7080,            // seconds, from metadata
+ *   bytesDownloaded, totalBytes,    // downloading stage (yt-dlp)
+ *   audioSeconds, audioDuration,    // transcribing stage (Whisper)
+ * }
+ */
+
+// Pipeline stages, in order, with the share of overall progress each covers
+export const STAGES = {
+  metadata: { label: 'fetching video metadata', start: 0, end: 5 },
+  captions: { label: 'downloading YouTube captions', start: 5, end: 10 },
+  downloading: { label: 'downloading audio', start: 10, end: 40 },
+  transcribing: { label: 'transcribing with Whisper', start: 40, end: 90 },
+  diarizing: { label: 'identifying speakers', start: 90, end: 95 },
+  uploading: { label: 'uploading to storage', start: 95, end: 100 },
+};
+
+// Publish at most this often within a stage (yt-dlp prints progress many times a second)
+const MIN_PUBLISH_INTERVAL_MS = 1000;
+
+/**
+ * Create a progress reporter for a Bull job
+ *
+ * @param {Job} job
+ * @param {object} [context] - Fields kept on every update (e.g. { videoDuration })
+ * @returns {{ stage: function, update: function, set: function }}
+ *   stage(id, details) enters a stage; update(fraction, details) reports
+ *   progress within it; set(details) adds fields without publishing
+ */
+export function createProgressReporter(job, context = {}) {
+  let current = { ...context };
+  let lastPublishedAt = 0;
+  let lastPercent = null;
+
+  const publish = async (stage, fraction, details, force) => {
+    const band = STAGES[stage];
+    if (!band) {
+      return;
+    }
+
+    const clamped = Math.min(1, Math.max(0, fraction || 0));
+    const percent = Math.floor(band.start + (band.end - band.start) * clamped);
+    const enteringStage = stage !== current.stage;
+
+    current = {
+      ...current,
+      ...details,
+      stage,
+      percent,
+      stageStartedAt: enteringStage ? new Date().toISOString() : current.stageStartedAt,
+    };
+
+    const now = Date.now();
+    if (!force && !enteringStage && percent === lastPercent && now - lastPublishedAt < MIN_PUBLISH_INTERVAL_MS) {
+      return;
+    }
+
+    lastPublishedAt = now;
+    lastPercent = percent;
+
+    try {
+      await job.progress(current);
+    } catch (error) {
+      // Progress is informational - never fail a job over it
+      logger.warn('Failed to publish job progress', {
+        jobId: job.id,
+        stage,
+        error: error.message,
+      });
+    }
+  };
+
+  return {
+    stage: (stage, details = {}) => publish(stage, 0, details, true),
+    update: (fraction, details = {}) => publish(current.stage, fraction, details, false),
+    set: details => {
+      current = { ...current, ...details };
+    },
+  };
+}
+
+/**
+ * Overall percentage from a job's progress
+ * Accepts structured progress or the bare numbers older jobs reported
+ */
+export function getProgressPercent(progress) {
+  if (typeof progress === 'number') {
+    return progress;
+  }
+  return progress && typeof progress.percent === 'number' ? progress.percent : 0;
+}
+
+export default {
+  STAGES,
+  createProgressReporter,
+  getProgressPercent,
+};
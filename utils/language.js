@@ -0,0 +1,91 @@
+import config from '../config/environment.js';
+
+/**
+ * Language preference handling shared by both tiers
+ * A preference is an ordered list of language codes, or ['auto'] to use the
+ * video's spoken language
+ */
+
+export const AUTO_LANGUAGE = 'auto';
+
+// Suffix used for Whisper translate-to-English transcript variants
+export const TRANSLATED_SUFFIX = '-translated';
+
+// BCP 47-style codes as used by YouTube and Whisper (en, en-US, pt-BR, zh-Hans)
+const LANGUAGE_CODE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+/**
+ * Parse the `language` field of a submission
+ * Accepts a code ("es"), an ordered list (["es", "en"]) or "auto".
+ * Defaults to WHISPER_LANGUAGE when omitted.
+ *
+ * @returns {string[]} Ordered language codes, or ['auto']
+ */
+export function parseLanguagePreference(input) {
+  if (input === undefined || input === null || input === '') {
+    return [config.whisper.language];
+  }
+
+  const list = Array.isArray(input) ? input : [input];
+
+  if (list.length === 0 || list.some(code => typeof code !== 'string')) {
+    throw createLanguageError('language must be a language code, a list of codes, or "auto"');
+  }
+
+  if (list.includes(AUTO_LANGUAGE)) {
+    if (list.length > 1) {
+      throw createLanguageError('"auto" cannot be combined with other languages');
+    }
+    return [AUTO_LANGUAGE];
+  }
+
+  const invalid = list.find(code => !LANGUAGE_CODE_PATTERN.test(code));
+  if (invalid) {
+    throw createLanguageError(`Invalid language code: ${invalid}`);
+  }
+
+  return [...new Set(list)];
+}
+
+/**
+ * Check whether a track/transcript language satisfies a requested language
+ * "en" matches "en", "en-US" and "en-GB"; "en-US" only matches "en-US"
+ */
+export function matchesLanguage(candidate, wanted) {
+  if (!candidate || !wanted) {
+    return false;
+  }
+  const a = candidate.toLowerCase();
+  const b = wanted.toLowerCase();
+  return a === b || a.startsWith(`${b}-`);
+}
+
+/**
+ * Strip yt-dlp track suffixes ("en-orig" is the original-language ASR track)
+ */
+export function normalizeLanguageCode(code) {
+  return code ? code.replace(/-orig$/, '') : code;
+}
+
+/**
+ * The single language to force on Whisper, or null to let it detect
+ * Whisper can only take one language, so lists and "auto" use detection
+ */
+export function getWhisperLanguage(languages) {
+  return languages.length === 1 && languages[0] !== AUTO_LANGUAGE ? languages[0] : null;
+}
+
+function createLanguageError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_LANGUAGE';
+  return error;
+}
+
+export default {
+  AUTO_LANGUAGE,
+  TRANSLATED_SUFFIX,
+  parseLanguagePreference,
+  matchesLanguage,
+  normalizeLanguageCode,
+  getWhisperLanguage,
+};
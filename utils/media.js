@@ -0,0 +1,262 @@
+import crypto from 'crypto';
+import { createReadStream, createWriteStream } from 'fs';
+import { mkdir, rm } from 'fs/promises';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import axios from 'axios';
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config/environment.js';
+import logger from './logger.js';
+import { uploadMediaFile, downloadMediaFile, mediaFileExists } from './spaces.js';
+import { createCancelledError } from './cancellation.js';
+import { isPrivateHost, assertPublicUrl, publicRequestOptions, isPrivateAddressError } from './network.js';
+
+const execFilePromise = promisify(execFile);
+
+/**
+ * Uploaded files and media URLs (anything that isn't a YouTube video)
+ *
+ * Media is identified by the SHA-256 of its content (media_<hash>), which
+ * stands in for the YouTube video ID everywhere: transcripts are stored in
+ * transcripts/<mediaId>/, served by GET /api/transcript/<mediaId>, and the
+ * same file submitted twice reuses the first transcript.
+ *
+ * Uploaded files are kept in Spaces (media/<mediaId>/source) so whichever
+ * worker runs the job can fetch them. Media URLs are downloaded by the worker,
+ * so their media ID is only known once the job runs.
+ */
+
+const MEDIA_ID_PREFIX = 'media_';
+const MEDIA_ID_PATTERN = /^media_[a-f0-9]{32}$/;
+
+function getMediaId(hash) {
+  return `${MEDIA_ID_PREFIX}${hash.substring(0, 32)}`;
+}
+
+/**
+ * Whether a string is a media ID (media_ + 32 hex characters)
+ */
+export function isMediaId(id) {
+  return typeof id === 'string' && MEDIA_ID_PATTERN.test(id);
+}
+
+/**
+ * Whether a media URL can be fetched (absolute http(s) URL, not on a private host)
+ */
+export function isValidMediaUrl(mediaUrl) {
+  if (!mediaUrl || typeof mediaUrl !== 'string') {
+    return false;
+  }
+
+  try {
+    const parsed = new URL(mediaUrl);
+    return (parsed.protocol === 'https:' || parsed.protocol === 'http:') && !isPrivateHost(mediaUrl);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * SHA-256 of a file's content (hex)
+ */
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  await pipeline(createReadStream(filePath), hash);
+  return hash.digest('hex');
+}
+
+/**
+ * A fresh /tmp/whisper_* directory, removed by removeDownloadedAudio()
+ */
+async function createMediaTempDir() {
+  const tempDir = `/tmp/whisper_${uuidv4()}`;
+  await mkdir(tempDir, { recursive: true });
+  return tempDir;
+}
+
+/**
+ * Media length in seconds (ffprobe)
+ * Throws INVALID_MEDIA for files ffprobe can't read a duration from
+ */
+export async function getMediaDuration(filePath, signal) {
+  let stdout;
+  try {
+    ({ stdout } = await execFilePromise(
+      'ffprobe',
+      ['-v', 'error', '-show_entries', 'format=duration', '-of', 'default=noprint_wrappers=1:nokey=1', filePath],
+      { timeout: 60000, signal }
+    ));
+  } catch (error) {
+    if (signal?.aborted) {
+      throw createCancelledError();
+    }
+    throw createMediaError(`Could not read media file: ${error.message}`, 'INVALID_MEDIA');
+  }
+
+  const duration = Number(stdout.trim());
+  if (!(duration > 0)) {
+    throw createMediaError('Media file has no readable duration', 'INVALID_MEDIA');
+  }
+  return duration;
+}
+
+/**
+ * Store an uploaded file in Spaces under its media ID
+ * A file that is already stored (same content) isn't uploaded again.
+ *
+ * @param {string} filePath - The upload on local disk (left for the caller to remove)
+ * @param {object} [options]
+ * @param {string} [options.contentType]
+ * @returns {Promise<{ mediaId: string, stored: boolean }>} stored=false when it already was
+ */
+export async function storeUploadedMedia(filePath, { contentType } = {}) {
+  const mediaId = getMediaId(await hashFile(filePath));
+
+  if (await mediaFileExists(mediaId)) {
+    return { mediaId, stored: false };
+  }
+
+  await uploadMediaFile(mediaId, filePath, contentType);
+  return { mediaId, stored: true };
+}
+
+/**
+ * Fetch an uploaded file from Spaces into its own /tmp/whisper_* directory
+ *
+ * @returns {Promise<string>} Local path; callers remove it with removeDownloadedAudio()
+ */
+export async function fetchStoredMedia(mediaId, { signal } = {}) {
+  const tempDir = await createMediaTempDir();
+  const filePath = `${tempDir}/media`;
+
+  try {
+    await downloadMediaFile(mediaId, filePath, { signal });
+    return filePath;
+  } catch (error) {
+    await rm(tempDir, { recursive: true, force: true }).catch(() => {});
+    if (signal?.aborted) {
+      throw createCancelledError();
+    }
+    throw error;
+  }
+}
+
+/**
+ * Download a media URL into its own /tmp/whisper_* directory, hashing it on
+ * the way. Downloads over MEDIA_MAX_MB are stopped (MEDIA_TOO_LARGE), and
+ * URLs (or redirects) to private addresses are refused (PRIVATE_ADDRESS).
+ *
+ * @param {string} mediaUrl
+ * @param {object} [options]
+ * @param {function} [options.onProgress] - Called with { bytesDownloaded, totalBytes }
+ * @param {AbortSignal} [options.signal] - Stops the download when aborted
+ * @returns {Promise<{ path: string, mediaId: string, size: number }>}
+ *   callers remove the file with removeDownloadedAudio()
+ */
+export async function downloadMediaUrl(mediaUrl, options = {}) {
+  const { signal } = options;
+  const tempDir = await createMediaTempDir();
+  const filePath = `${tempDir}/media`;
+  const maxBytes = config.media.maxBytes;
+
+  logger.info('Starting media download', {
+    mediaUrl,
+    outputDir: tempDir,
+  });
+
+  try {
+    await assertPublicUrl(mediaUrl);
+    const response = await axios.get(mediaUrl, {
+      ...publicRequestOptions,
+      responseType: 'stream',
+      timeout: config.media.downloadTimeoutMs,
+      maxContentLength: maxBytes,
+      signal,
+    });
+
+    const totalBytes = Number(response.headers['content-length']) || null;
+    if (totalBytes > maxBytes) {
+      response.data.destroy();
+      throw createMediaError(`Media is larger than ${maxBytes / 1024 / 1024} MB`, 'MEDIA_TOO_LARGE');
+    }
+
+    const hash = crypto.createHash('sha256');
+    let bytesDownloaded = 0;
+    const meter = new Transform({
+      transform(chunk, encoding, callback) {
+        bytesDownloaded += chunk.length;
+        if (bytesDownloaded > maxBytes) {
+          callback(createMediaError(`Media is larger than ${maxBytes / 1024 / 1024} MB`, 'MEDIA_TOO_LARGE'));
+          return;
+        }
+        hash.update(chunk);
+        options.onProgress?.({ bytesDownloaded, totalBytes });
+        callback(null, chunk);
+      },
+    });
+
+    await pipeline(response.data, meter, createWriteStream(filePath), { signal });
+
+    const mediaId = getMediaId(hash.digest('hex'));
+    logger.info('Media downloaded successfully', {
+      mediaUrl,
+      mediaId,
+      size: bytesDownloaded,
+    });
+
+    return { path: filePath, mediaId, size: bytesDownloaded };
+  } catch (error) {
+    await rm(tempDir, { recursive: true, force: true }).catch(() => {});
+
+    if (signal?.aborted) {
+      throw createCancelledError();
+    }
+
+    logger.error('Failed to download media', {
+      mediaUrl,
+      error: error.message,
+    });
+
+    if (error.code === 'MEDIA_TOO_LARGE') {
+      throw error;
+    }
+    if (isPrivateAddressError(error)) {
+      throw createMediaError(`Media URL is not on a public address: ${mediaUrl}`, 'PRIVATE_ADDRESS');
+    }
+    throw createMediaError(`Could not download media: ${error.message}`, 'MEDIA_DOWNLOAD_FAILED');
+  }
+}
+
+/**
+ * A readable title for media: the upload's file name, or the URL's last path segment
+ */
+export function getMediaTitle(media) {
+  if (media.filename) {
+    return media.filename;
+  }
+
+  try {
+    const segment = new URL(media.url).pathname.split('/').filter(Boolean).pop();
+    return segment ? decodeURIComponent(segment) : media.url;
+  } catch {
+    return media.url;
+  }
+}
+
+function createMediaError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+export default {
+  isMediaId,
+  isValidMediaUrl,
+  getMediaDuration,
+  storeUploadedMedia,
+  fetchStoredMedia,
+  downloadMediaUrl,
+  getMediaTitle,
+};
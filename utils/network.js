@@ -0,0 +1,134 @@
+import dns from 'dns/promises';
+import net from 'net';
+
+/**
+ * Requests to client-supplied URLs (media URLs, callback URLs, pages looked
+ * up with yt-dlp)
+ *
+ * Hosts that are, or resolve to, loopback, private, link-local or other
+ * non-public addresses are refused (PRIVATE_ADDRESS), so a client can't reach
+ * internal services or the cloud metadata endpoint through the service.
+ */
+
+const PRIVATE_RANGES = new net.BlockList();
+
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // Carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // Link-local, cloud metadata endpoints
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4], // Multicast
+  ['240.0.0.0', 4], // Reserved, broadcast
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4'));
+
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7], // Unique local
+  ['fe80::', 10], // Link-local
+  ['ff00::', 8], // Multicast
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is outside the public internet
+ * (IPv4-mapped IPv6 addresses are checked as the IPv4 address)
+ */
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (!family) {
+    return false;
+  }
+  return PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * URL host name without the brackets of IPv6 literals
+ */
+function getHostname(url) {
+  return url.hostname.replace(/^\[|\]$/g, '');
+}
+
+/**
+ * Whether a URL's host is known to be private without resolving it:
+ * localhost, or a private IP address
+ * Host names are checked again when the request is made (lookupPublicAddress)
+ */
+export function isPrivateHost(url) {
+  const hostname = getHostname(new URL(url)).toLowerCase();
+  return hostname === 'localhost' || hostname.endsWith('.localhost') || isPrivateAddress(hostname);
+}
+
+/**
+ * Resolve a host name, refusing it if any of its addresses is private
+ * Usable as axios' `lookup` option, so the address checked is the one connected to
+ *
+ * @returns {Promise<{ address: string, family: number }[]>}
+ */
+export async function lookupPublicAddress(hostname) {
+  const addresses = await dns.lookup(hostname, { all: true });
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw createPrivateAddressError(hostname);
+  }
+  return addresses;
+}
+
+/**
+ * Throw PRIVATE_ADDRESS unless a URL's host is public (resolving host names)
+ */
+export async function assertPublicUrl(url) {
+  const hostname = getHostname(new URL(url));
+  if (isPrivateHost(url)) {
+    throw createPrivateAddressError(hostname);
+  }
+  if (!net.isIP(hostname)) {
+    await lookupPublicAddress(hostname);
+  }
+}
+
+/**
+ * axios options that keep a request, and the redirects it follows, on
+ * public addresses: host names are checked as they are resolved, IP
+ * addresses (which aren't resolved) before each redirect
+ */
+export const publicRequestOptions = {
+  lookup: lookupPublicAddress,
+  beforeRedirect(options) {
+    const hostname = options.hostname.replace(/^\[|\]$/g, '');
+    if (isPrivateAddress(hostname)) {
+      throw createPrivateAddressError(hostname);
+    }
+  },
+};
+
+/**
+ * Whether a request failed on a private address (axios wraps the error,
+ * twice for a refused redirect)
+ */
+export function isPrivateAddressError(error) {
+  for (let cause = error; cause; cause = cause.cause) {
+    if (cause.code === 'PRIVATE_ADDRESS') {
+      return true;
+    }
+  }
+  return false;
+}
+
+function createPrivateAddressError(hostname) {
+  const error = new Error(`${hostname} is not a public address`);
+  error.code = 'PRIVATE_ADDRESS';
+  return error;
+}
+
+export default {
+  isPrivateAddress,
+  isPrivateHost,
+  lookupPublicAddress,
+  assertPublicUrl,
+  publicRequestOptions,
+  isPrivateAddressError,
+};
@@ -0,0 +1,62 @@
+import config from '../config/environment.js';
+import { getRedisClient } from './redis.js';
+
+/**
+ * Partial Whisper transcripts
+ *
+ * Segments are appended to a Redis list (transcription:partial:<jobId>) as
+ * faster-whisper decodes them, so a long video can be read before its job
+ * completes. Lists expire with the job (JOB_REMOVAL_DELAY_MS).
+ */
+
+const PARTIAL_KEY_PREFIX = 'transcription:partial:';
+
+function getPartialKey(jobId) {
+  return `${PARTIAL_KEY_PREFIX}${jobId}`;
+}
+
+/**
+ * Append a decoded segment to a job's partial transcript
+ */
+export async function appendPartialSegment(jobId, segment) {
+  const key = getPartialKey(jobId);
+  await getRedisClient()
+    .multi()
+    .rPush(key, JSON.stringify(segment))
+    .pExpire(key, config.worker.jobRemovalDelayMs)
+    .exec();
+}
+
+/**
+ * Get a job's partial segments, starting at index `from`
+ * Pass the number of segments already read to fetch only new ones
+ *
+ * @returns {Promise<{ segments: object[], total: number }>}
+ */
+export async function getPartialSegments(jobId, from = 0) {
+  const redis = getRedisClient();
+  const key = getPartialKey(jobId);
+
+  const [entries, total] = await Promise.all([
+    redis.lRange(key, from, -1),
+    redis.lLen(key),
+  ]);
+
+  return {
+    segments: entries.map(entry => JSON.parse(entry)),
+    total,
+  };
+}
+
+/**
+ * Drop a job's partial transcript (a retried attempt starts over)
+ */
+export async function clearPartialSegments(jobId) {
+  await getRedisClient().del(getPartialKey(jobId));
+}
+
+export default {
+  appendPartialSegment,
+  getPartialSegments,
+  clearPartialSegments,
+};
@@ -0,0 +1,91 @@
+import { createClient } from 'redis';
+import config from '../config/environment.js';
+import logger from './logger.js';
+
+let client = null;
+
+/**
+ * Build Redis configuration for Bull queues
+ * Handles both plain redis:// and TLS rediss:// URLs
+ */
+export function buildRedisConfig(redisUrl) {
+  // For TLS connections (rediss://), we need explicit config
+  // Bull's internal ioredis doesn't auto-configure TLS for all connections
+  if (redisUrl.startsWith('rediss://')) {
+    const url = new URL(redisUrl);
+    logger.info('Configuring Bull with TLS Redis connection', {
+      host: url.hostname,
+      port: url.port || 25061,
+    });
+    return {
+      port: parseInt(url.port, 10) || 25061,
+      host: url.hostname,
+      password: url.password || undefined,
+      username: url.username || 'default',
+      tls: {
+        rejectUnauthorized: false, // Required for DO managed databases (self-signed certs)
+      },
+      maxRetriesPerRequest: null, // Required for Bull v4+ with blocking connections
+      enableReadyCheck: false, // Faster connection, skip CLUSTER check
+    };
+  }
+  
+  // Plain redis:// URL - use as-is
+  return redisUrl;
+}
+
+/**
+ * Get the shared Redis client for service data (indexes, locks, history)
+ * Bull manages its own connections; this one is for everything else.
+ * Commands issued before the connection is ready are queued by node-redis.
+ */
+export function getRedisClient() {
+  if (client) {
+    return client;
+  }
+
+  const options = {
+    url: config.redis.url,
+  };
+
+  if (config.redis.password) {
+    options.password = config.redis.password;
+  }
+
+  if (config.redis.url.startsWith('rediss://')) {
+    options.socket = {
+      tls: true,
+      rejectUnauthorized: false, // Required for DO managed databases (self-signed certs)
+    };
+  }
+
+  client = createClient(options);
+
+  client.on('error', error => {
+    logger.error('Redis client error', {
+      error: error.message,
+      code: error.code,
+    });
+  });
+
+  client.connect().catch(error => {
+    logger.error('Failed to connect Redis client', {
+      error: error.message,
+    });
+  });
+
+  return client;
+}
+
+/**
+ * Close the shared Redis client (graceful shutdown)
+ */
+export async function closeRedisClient() {
+  if (client) {
+    const current = client;
+    client = null;
+    await current.quit();
+  }
+}
+
+export default { buildRedisConfig, getRedisClient, closeRedisClient };
@@ -0,0 +1,346 @@
+import logger from './logger.js';
+import { getRedisClient } from './redis.js';
+import { getTranscriptVariant } from './transcript-index.js';
+import { getSourceLink } from './sources.js';
+
+/**
+ * Full-text search over stored transcripts
+ *
+ * An inverted index in Redis, written by the worker when a job completes
+ * (scripts/backfill-search-index.js indexes transcripts stored before):
+ *   search:term:<term>   - sorted set of the transcripts containing a term,
+ *                          scored 1 + ln(occurrences)
+ *   search:doc:<docId>   - the transcript's metadata and terms (JSON)
+ *   search:segments:<docId> - its segments as [start, duration, text] (JSON)
+ *   search:docs          - every indexed transcript
+ * Transcripts are indexed per variant, as <videoId>/<variant>.
+ *
+ * A query matches transcripts containing all of its terms, ranked by
+ * occurrences weighted by how rare each term is. The matching segments and
+ * their snippets come from the stored segments, so a search doesn't read
+ * transcripts from Spaces.
+ */
+
+const TERM_KEY_PREFIX = 'search:term:';
+const DOC_KEY_PREFIX = 'search:doc:';
+const SEGMENTS_KEY_PREFIX = 'search:segments:';
+const DOCS_KEY = 'search:docs';
+
+// Letters and digits, after lower-casing and stripping accents
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// Scripts written without spaces between words: indexed as overlapping pairs
+// of characters (bigrams) instead of whole runs
+const CJK_RUN_PATTERN = /([\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]+)/u;
+const MIN_TERM_LENGTH = 2;
+const MAX_TERM_LENGTH = 40;
+const MAX_QUERY_TERMS = 10;
+
+// Segments returned per transcript, and snippet length in characters
+const MAX_MATCHES_PER_RESULT = 3;
+const SNIPPET_LENGTH = 160;
+
+function getTermKey(term) {
+  return `${TERM_KEY_PREFIX}${term}`;
+}
+
+function getDocKey(docId) {
+  return `${DOC_KEY_PREFIX}${docId}`;
+}
+
+function getSegmentsKey(docId) {
+  return `${SEGMENTS_KEY_PREFIX}${docId}`;
+}
+
+/**
+ * Index ID of a transcript result: <videoId>/<variant>
+ */
+export function getSearchDocId(result) {
+  return `${result.videoId}/${getTranscriptVariant(result)}`;
+}
+
+/**
+ * Normalise a word for the index (lower case, accents stripped)
+ */
+function normalizeTerm(word) {
+  return word.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Index terms of a text with their position, in order (repeats included)
+ * Single characters and runs longer than 40 characters aren't indexed, except
+ * in Chinese, Japanese and Korean, which are split into character pairs (a
+ * lone character is kept)
+ *
+ * @returns {{ term: string, index: number, length: number }[]}
+ */
+function findTokens(text) {
+  const tokens = [];
+
+  for (const word of String(text).matchAll(TOKEN_PATTERN)) {
+    let index = word.index;
+    for (const part of word[0].split(CJK_RUN_PATTERN)) {
+      if (CJK_RUN_PATTERN.test(part)) {
+        const chars = [...part];
+        let offset = index;
+        for (let i = 0; i < Math.max(chars.length - 1, 1); i++) {
+          const pair = chars.slice(i, i + 2).join('');
+          tokens.push({ term: normalizeTerm(pair), index: offset, length: pair.length });
+          offset += chars[i].length;
+        }
+      } else if (part) {
+        const term = normalizeTerm(part);
+        if (term.length >= MIN_TERM_LENGTH && term.length <= MAX_TERM_LENGTH) {
+          tokens.push({ term, index, length: part.length });
+        }
+      }
+      index += part.length;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Index terms of a text, in order (repeats included) - see findTokens
+ */
+export function tokenize(text) {
+  return findTokens(text).map(({ term }) => term);
+}
+
+/**
+ * Add a completed transcript to the index (replacing an earlier version)
+ *
+ * @param {object} result - The job result saved with the transcript
+ * @param {object[]} transcript - Its segments ({ text, start, duration })
+ * @returns {Promise<{ docId: string, terms: number }>}
+ */
+export async function indexTranscript(result, transcript) {
+  const docId = getSearchDocId(result);
+  const counts = new Map();
+  for (const segment of transcript) {
+    for (const term of tokenize(segment.text)) {
+      counts.set(term, (counts.get(term) || 0) + 1);
+    }
+  }
+
+  const redis = getRedisClient();
+  const previous = await redis.get(getDocKey(docId));
+  const transaction = redis.multi();
+
+  if (previous) {
+    for (const term of JSON.parse(previous).terms) {
+      transaction.zRem(getTermKey(term), docId);
+    }
+  }
+
+  for (const [term, count] of counts) {
+    transaction.zAdd(getTermKey(term), {
+      score: Math.round((1 + Math.log(count)) * 1000) / 1000,
+      value: docId,
+    });
+  }
+
+  transaction
+    .set(getDocKey(docId), JSON.stringify({
+      videoId: result.videoId,
+      // Folder of the transcript files (none for transcripts stored before variants)
+      variant: result.variant || null,
+      language: result.metadata?.language || null,
+      title: result.title || null,
+      channel: result.channel || null,
+      url: result.url || null,
+      tier: result.metadata?.tier ?? null,
+      clip: result.metadata?.clip || null,
+      segments: transcript.length,
+      terms: [...counts.keys()],
+      indexedAt: new Date().toISOString(),
+    }))
+    .set(getSegmentsKey(docId), JSON.stringify(
+      transcript.map(segment => [segment.start, segment.duration, segment.text])
+    ))
+    .sAdd(DOCS_KEY, docId);
+
+  await transaction.exec();
+
+  logger.debug('Transcript added to search index', {
+    docId,
+    terms: counts.size,
+  });
+
+  return { docId, terms: counts.size };
+}
+
+/**
+ * Whether a transcript result is in the index
+ * (transcripts indexed before segments were stored count as not indexed)
+ */
+export async function isTranscriptIndexed(result) {
+  const docId = getSearchDocId(result);
+  return (await getRedisClient().exists([getDocKey(docId), getSegmentsKey(docId)])) === 2;
+}
+
+/**
+ * Search the indexed transcripts
+ *
+ * @param {string} query - Words to look for (all must appear in a transcript)
+ * @param {object} [options]
+ * @param {number} [options.limit] - Transcripts per page (default 10)
+ * @param {number} [options.offset] - Transcripts to skip
+ * @returns {Promise<{ terms: string[], total: number, results: object[] }>}
+ *   results: [{ videoId, variant, language, title, channel, url, tier, clip,
+ *   score, matches: [{ start, duration, text, snippet, link }] }]
+ */
+export async function searchTranscripts(query, { limit = 10, offset = 0 } = {}) {
+  const terms = [...new Set(tokenize(query))].slice(0, MAX_QUERY_TERMS);
+  if (terms.length === 0) {
+    return { terms, total: 0, results: [] };
+  }
+
+  const redis = getRedisClient();
+  const [docCount, ...frequencies] = await Promise.all([
+    redis.sCard(DOCS_KEY),
+    ...terms.map(term => redis.zCard(getTermKey(term))),
+  ]);
+
+  if (frequencies.some(frequency => frequency === 0)) {
+    return { terms, total: 0, results: [] };
+  }
+
+  // Rare terms count for more (inverse document frequency)
+  const weights = frequencies.map(frequency => Math.log(1 + docCount / frequency));
+
+  let total;
+  let page;
+  if (terms.length === 1) {
+    total = frequencies[0];
+    page = (await redis.zRangeWithScores(getTermKey(terms[0]), offset, offset + limit - 1, { REV: true }))
+      .map(({ value, score }) => ({ value, score: score * weights[0] }));
+  } else {
+    const matches = await redis.zInterWithScores(terms.map(getTermKey), { WEIGHTS: weights });
+    matches.sort((a, b) => b.score - a.score);
+    total = matches.length;
+    page = matches.slice(offset, offset + limit);
+  }
+
+  if (page.length === 0) {
+    return { terms, total, results: [] };
+  }
+
+  const [docs, segments] = await Promise.all([
+    redis.mGet(page.map(({ value }) => getDocKey(value))),
+    redis.mGet(page.map(({ value }) => getSegmentsKey(value))),
+  ]);
+  const results = page.map(({ value, score }, index) => {
+    if (!docs[index]) {
+      return null;
+    }
+
+    const doc = JSON.parse(docs[index]);
+    return {
+      videoId: doc.videoId,
+      variant: value.substring(doc.videoId.length + 1),
+      language: doc.language,
+      title: doc.title,
+      channel: doc.channel,
+      url: doc.url,
+      tier: doc.tier,
+      clip: doc.clip || undefined,
+      score: Math.round(score * 1000) / 1000,
+      matches: findMatchingSegments(doc, segments[index], terms),
+    };
+  });
+
+  return { terms, total, results: results.filter(Boolean) };
+}
+
+/**
+ * The segments of a transcript that best match the query terms, in time order
+ * A transcript indexed without its segments is returned without matches
+ * (scripts/backfill-search-index.js re-indexes those)
+ */
+function findMatchingSegments(doc, storedSegments, terms) {
+  if (!storedSegments) {
+    return [];
+  }
+
+  return JSON.parse(storedSegments)
+    .map(([start, duration, text]) => ({ start, duration, text }))
+    .map(segment => ({
+      segment,
+      matched: new Set(tokenize(segment.text).filter(term => terms.includes(term))).size,
+    }))
+    .filter(({ matched }) => matched > 0)
+    .sort((a, b) => b.matched - a.matched || a.segment.start - b.segment.start)
+    .slice(0, MAX_MATCHES_PER_RESULT)
+    .map(({ segment }) => segment)
+    .sort((a, b) => a.start - b.start)
+    .map(segment => ({
+      start: segment.start,
+      duration: segment.duration,
+      text: segment.text,
+      snippet: buildSnippet(segment.text, terms),
+      link: getSourceLink(doc.videoId, doc.url, segment.start),
+    }));
+}
+
+/**
+ * HTML snippet of a segment around its first match, matches wrapped in <mark>
+ */
+export function buildSnippet(text, terms) {
+  const matches = mergeTokens(findTokens(text).filter(({ term }) => terms.includes(term)));
+
+  // Cut at spaces where the text has them, else at the character
+  let from = 0;
+  let to = text.length;
+  if (text.length > SNIPPET_LENGTH) {
+    from = Math.floor(Math.max((matches[0]?.index ?? 0) - SNIPPET_LENGTH / 3, 0));
+    to = Math.min(from + SNIPPET_LENGTH, text.length);
+    const space = text.indexOf(' ', from);
+    from = from > 0 && space !== -1 && space < to ? space + 1 : from;
+    const lastSpace = text.lastIndexOf(' ', to);
+    to = to < text.length && lastSpace > from ? lastSpace : to;
+  }
+
+  let snippet = '';
+  let position = from;
+  for (const { index, length } of matches) {
+    if (index < from || index + length > to) {
+      continue;
+    }
+    snippet += `${escapeHtml(text.slice(position, index))}<mark>${text.slice(index, index + length)}</mark>`;
+    position = index + length;
+  }
+  snippet += escapeHtml(text.slice(position, to));
+
+  return `${from > 0 ? '…' : ''}${snippet.trim()}${to < text.length ? '…' : ''}`;
+}
+
+/**
+ * Merge overlapping tokens (character pairs) into one highlighted range
+ */
+function mergeTokens(tokens) {
+  const merged = [];
+  for (const { index, length } of tokens) {
+    const last = merged[merged.length - 1];
+    if (last && index <= last.index + last.length) {
+      last.length = Math.max(last.length, index + length - last.index);
+    } else {
+      merged.push({ index, length });
+    }
+  }
+  return merged;
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+export default {
+  getSearchDocId,
+  tokenize,
+  indexTranscript,
+  isTranscriptIndexed,
+  searchTranscripts,
+  buildSnippet,
+};
@@ -0,0 +1,226 @@
+import crypto from 'crypto';
+import logger from './logger.js';
+import { parseYouTubeUrl, isYouTubeHost, isValidVideoId } from './videoId.js';
+import { isMediaId } from './media.js';
+import { assertPublicUrl } from './network.js';
+import { executeYtdlp } from '../lib/youtube-downloader.js';
+
+/**
+ * Media sources - which site a URL is on, and the media's ID there
+ *
+ * Every transcript is keyed by a source ID, which also names its folder in
+ * Spaces (transcripts/<sourceId>/):
+ *   - YouTube videos: the 11-character video ID (dQw4w9WgXcQ)
+ *   - other sites yt-dlp supports: <provider>:<id> (vimeo:76979871,
+ *     twitterspaces:1YqKDqDXAbwKV), the provider being yt-dlp's extractor
+ *   - uploads and media URLs: media_<hash> (see media.js)
+ *
+ * Well-known sites are recognised from the URL; any other URL is looked up
+ * with yt-dlp, which reports the extractor and ID it would use. Lookups are
+ * limited to public hosts and to yt-dlp's site extractors: the generic
+ * extractor, which fetches whatever a URL points at, isn't used.
+ */
+
+const SOURCE_ID_PATTERN = /^[a-z0-9]+:[\w.-]{1,64}$/;
+
+// yt-dlp extractors used to identify URLs: every site extractor, not the generic one
+const LOOKUP_EXTRACTORS = 'default,-generic';
+
+// Media IDs kept as they are; anything else (or from the generic extractor,
+// which names media after the URL's file name) is replaced by a URL hash
+const SAFE_ID_PATTERN = /^[\w.-]{1,64}$/;
+
+// Sites recognised without asking yt-dlp - IDs match what yt-dlp reports.
+// The media is fetched from a URL rebuilt from its ID, never the one submitted.
+const KNOWN_SOURCES = [
+  {
+    provider: 'vimeo',
+    pattern: /^https?:\/\/(?:www\.|player\.)?vimeo\.com\/(?:video\/|channels\/[\w-]+\/|groups\/[\w-]+\/videos\/)?(?<id>\d+)(?:[/?#]|$)/,
+    toUrl: ({ id }) => `https://vimeo.com/${id}`,
+  },
+  {
+    provider: 'twitterspaces',
+    pattern: /^https?:\/\/(?:www\.|mobile\.)?(?:twitter|x)\.com\/i\/spaces\/(?<id>\w+)/,
+    toUrl: ({ id }) => `https://x.com/i/spaces/${id}`,
+  },
+  {
+    provider: 'twitter',
+    pattern: /^https?:\/\/(?:www\.|mobile\.)?(?:twitter|x)\.com\/\w+\/status\/(?<id>\d+)/,
+    toUrl: ({ id }) => `https://x.com/i/status/${id}`,
+  },
+  {
+    provider: 'applepodcasts',
+    pattern: /^https?:\/\/podcasts\.apple\.com\/(?<path>(?:[a-z]{2}\/)?podcast\/[\w%-]+\/id\d+)\?(?:.*&)?i=(?<id>\d+)/,
+    toUrl: ({ id, path }) => `https://podcasts.apple.com/${path}?i=${id}`,
+  },
+];
+
+/**
+ * Source ID for media yt-dlp identified
+ *
+ * @param {string} extractorKey - yt-dlp's extractor_key (Youtube, Vimeo, ...)
+ * @param {string} id - yt-dlp's id for the media
+ * @param {string} url - The URL it was identified from
+ */
+export function toSourceId(extractorKey, id, url) {
+  const provider = String(extractorKey).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+  if (provider === 'youtube' && isValidVideoId(id)) {
+    return id;
+  }
+
+  const sourceId = provider !== 'generic' && SAFE_ID_PATTERN.test(String(id))
+    ? String(id)
+    : crypto.createHash('sha256').update(url).digest('hex').substring(0, 32);
+  return `${provider}:${sourceId}`;
+}
+
+/**
+ * Whether a string is a source ID (YouTube video ID, <provider>:<id> or media ID)
+ */
+export function isValidSourceId(sourceId) {
+  return isValidVideoId(sourceId) || isMediaId(sourceId)
+    || (typeof sourceId === 'string' && SOURCE_ID_PATTERN.test(sourceId));
+}
+
+/**
+ * The provider of a source ID: youtube, media, or the yt-dlp extractor
+ */
+export function getSourceProvider(sourceId) {
+  if (isMediaId(sourceId)) {
+    return 'media';
+  }
+  return SOURCE_ID_PATTERN.test(sourceId) ? sourceId.split(':')[0] : 'youtube';
+}
+
+/**
+ * Link to a moment in a source: watch?v=<id>&t=<seconds> for YouTube,
+ * #t=<seconds>s for Vimeo, the page itself for other sites (null for media)
+ *
+ * @param {string} sourceId
+ * @param {string} [url] - The page the media was transcribed from
+ * @param {number} seconds
+ */
+export function getSourceLink(sourceId, url, seconds) {
+  const time = Math.floor(seconds);
+
+  switch (getSourceProvider(sourceId)) {
+    case 'youtube':
+      return `https://www.youtube.com/watch?v=${sourceId}&t=${time}`;
+    case 'vimeo':
+      return `https://vimeo.com/${sourceId.split(':')[1]}#t=${time}s`;
+    case 'media':
+      return null;
+    default:
+      return url || null;
+  }
+}
+
+/**
+ * Identify the media a URL points at
+ * Throws UNSUPPORTED_SOURCE for URLs no yt-dlp extractor handles, for
+ * YouTube URLs that aren't a video, and for playlists (only YouTube playlists
+ * are supported, through POST /api/batch)
+ *
+ * YouTube URLs are normalised to https://www.youtube.com/watch?v=<id>, with
+ * the start time of a t= parameter also reported as startTime.
+ *
+ * @param {string} url
+ * @returns {Promise<{ provider: string, sourceId: string, url: string, startTime?: number | null }>}
+ */
+export async function resolveSource(url) {
+  const trimmed = typeof url === 'string' ? url.trim() : '';
+
+  const video = parseYouTubeUrl(trimmed);
+  if (video) {
+    return { provider: 'youtube', sourceId: video.videoId, url: video.url, startTime: video.startTime };
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(trimmed);
+  } catch {
+    throw createSourceError(`Not a URL: ${trimmed}`);
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    throw createSourceError(`Not an http(s) URL: ${trimmed}`);
+  }
+  // YouTube URLs that aren't a video (playlists, channels) aren't looked up with yt-dlp
+  if (isYouTubeHost(parsed.hostname)) {
+    throw createSourceError(`Not a YouTube video URL: ${trimmed}`);
+  }
+
+  for (const { provider, pattern, toUrl } of KNOWN_SOURCES) {
+    const match = trimmed.match(pattern);
+    if (match) {
+      return { provider, sourceId: `${provider}:${match.groups.id}`, url: toUrl(match.groups) };
+    }
+  }
+
+  return identifyWithYtdlp(trimmed);
+}
+
+/**
+ * Ask yt-dlp which extractor handles a URL and the media's ID there
+ */
+async function identifyWithYtdlp(url) {
+  try {
+    await assertPublicUrl(url);
+  } catch (error) {
+    logger.warn('Refused to look up URL', {
+      url,
+      error: error.message,
+    });
+    throw createSourceError(`Not a public URL: ${url}`);
+  }
+
+  let info;
+  try {
+    const { stdout } = await executeYtdlp(
+      ['--dump-single-json', '--flat-playlist', '--no-warnings', '--use-extractors', LOOKUP_EXTRACTORS, url],
+      { timeout: 30000, maxBuffer: 20 * 1024 * 1024 }
+    );
+    info = JSON.parse(stdout);
+  } catch (error) {
+    if (error.code === 'BOT_DETECTION' || error.code === 'COOKIES_EXPIRED') {
+      throw error;
+    }
+
+    logger.info('yt-dlp could not identify URL', {
+      url,
+      error: error.message,
+    });
+    throw createSourceError(`No yt-dlp extractor supports this URL: ${url}`);
+  }
+
+  if (info._type === 'playlist') {
+    throw createSourceError('Playlists are only supported for YouTube (POST /api/batch)');
+  }
+
+  const sourceId = toSourceId(info.extractor_key, info.id, url);
+  logger.info('Source identified by yt-dlp', {
+    url,
+    extractor: info.extractor_key,
+    sourceId,
+  });
+
+  return {
+    provider: getSourceProvider(sourceId),
+    sourceId,
+    url: info.webpage_url || url,
+  };
+}
+
+function createSourceError(message) {
+  const error = new Error(message);
+  error.code = 'UNSUPPORTED_SOURCE';
+  return error;
+}
+
+export default {
+  toSourceId,
+  isValidSourceId,
+  getSourceProvider,
+  getSourceLink,
+  resolveSource,
+};
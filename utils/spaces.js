@@ -1,4 +1,6 @@
 import AWS from 'aws-sdk';
+import { createReadStream, createWriteStream } from 'fs';
+import { pipeline } from 'stream/promises';
 import config from '../config/environment.js';
 import logger from './logger.js';
 
@@ -135,6 +137,109 @@ export async function deleteTranscript(videoId, filename) {
   }
 }
 
+/**
+ * Upload a media file (an uploaded recording) to Spaces
+ * Stored privately at media/<mediaId>/source - only workers read it back
+ */
+export async function uploadMediaFile(mediaId, filePath, contentType = 'application/octet-stream') {
+  const key = `media/${mediaId}/source`;
+
+  try {
+    await s3.upload({
+      Bucket: config.spaces.bucket,
+      Key: key,
+      Body: createReadStream(filePath),
+      ContentType: contentType,
+    }).promise();
+
+    logger.info('Media uploaded to Spaces', {
+      mediaId,
+      contentType,
+    });
+  } catch (error) {
+    logger.error('Failed to upload media to Spaces', {
+      mediaId,
+      error: error.message,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Download a media file stored by uploadMediaFile to a local path
+ */
+export async function downloadMediaFile(mediaId, filePath, { signal } = {}) {
+  const key = `media/${mediaId}/source`;
+
+  try {
+    const body = s3.getObject({ Bucket: config.spaces.bucket, Key: key }).createReadStream();
+    await pipeline(body, createWriteStream(filePath), { signal });
+
+    logger.info('Media downloaded from Spaces', { mediaId });
+  } catch (error) {
+    logger.error('Failed to download media from Spaces', {
+      mediaId,
+      error: error.message,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Check if a media file is stored in Spaces
+ */
+export async function mediaFileExists(mediaId) {
+  try {
+    await s3.headObject({ Bucket: config.spaces.bucket, Key: `media/${mediaId}/source` }).promise();
+    return true;
+  } catch (error) {
+    if (error.code === 'NotFound' || error.statusCode === 404) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * List the "sub-directories" directly under a Spaces prefix
+ */
+async function listFolders(prefix) {
+  const folders = [];
+  let continuationToken;
+
+  do {
+    const result = await s3.listObjectsV2({
+      Bucket: config.spaces.bucket,
+      Prefix: prefix,
+      Delimiter: '/',
+      ContinuationToken: continuationToken,
+    }).promise();
+
+    for (const commonPrefix of result.CommonPrefixes || []) {
+      folders.push(commonPrefix.Prefix.slice(prefix.length, -1));
+    }
+
+    continuationToken = result.IsTruncated ? result.NextContinuationToken : undefined;
+  } while (continuationToken);
+
+  return folders;
+}
+
+/**
+ * List the video IDs that have transcripts stored in Spaces
+ */
+export async function listTranscriptIds() {
+  return listFolders('transcripts/');
+}
+
+/**
+ * List the transcript variants (languages) stored for a video
+ * Each variant lives in transcripts/<videoId>/<variant>/
+ */
+export async function listTranscriptVariantFolders(videoId) {
+  return listFolders(`transcripts/${videoId}/`);
+}
+
 /**
  * Get public URL for transcript in Spaces
  */
@@ -147,5 +252,10 @@ export default {
   downloadTranscript,
   transcriptExists,
   deleteTranscript,
+  uploadMediaFile,
+  downloadMediaFile,
+  mediaFileExists,
+  listTranscriptIds,
+  listTranscriptVariantFolders,
   getTranscriptUrl,
 };
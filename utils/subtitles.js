@@ -0,0 +1,401 @@
+/**
+ * Subtitle rendering (SRT, WebVTT, TTML) from transcript segments, and
+ * parsing of SRT/WebVTT captions downloaded from other sites
+ * Segments use the standard transcript format: { text, start, duration },
+ * plus an optional speaker label from diarization
+ */
+
+export const SUBTITLE_FORMATS = {
+  srt: {
+    filename: 'transcript.srt',
+    contentType: 'application/x-subrip',
+  },
+  vtt: {
+    filename: 'transcript.vtt',
+    contentType: 'text/vtt',
+  },
+  ttml: {
+    filename: 'transcript.ttml',
+    contentType: 'application/ttml+xml',
+  },
+};
+
+// Broadcast-style defaults (BBC / Netflix guidelines)
+const DEFAULT_CUE_OPTIONS = {
+  maxLineLength: 42,
+  maxLines: 2,
+  maxCharsPerSecond: 17,
+  maxCueDuration: 7,
+  minCueDuration: 1,
+};
+
+/**
+ * Split transcript segments into display cues
+ * - Long segments are split at word boundaries so each cue fits in
+ *   maxLines lines of maxLineLength characters and lasts at most maxCueDuration
+ * - Cue time is shared out in proportion to the characters in each cue
+ * - Cues that read faster than maxCharsPerSecond are extended into any gap
+ *   before the next cue
+ */
+export function buildCues(segments, options = {}) {
+  const opts = { ...DEFAULT_CUE_OPTIONS, ...options };
+  const maxCueChars = opts.maxLineLength * opts.maxLines;
+  const cues = [];
+
+  const sorted = (segments || [])
+    .filter(s => s && typeof s.text === 'string' && s.text.trim())
+    .sort((a, b) => (a.start || 0) - (b.start || 0));
+
+  sorted.forEach((segment, index) => {
+    const text = segment.text.replace(/\s+/g, ' ').trim();
+    const start = segment.start || 0;
+    const next = sorted[index + 1];
+
+    // Some caption tracks report a zero duration - run until the next segment
+    let duration = segment.duration || 0;
+    if (duration <= 0) {
+      duration = next ? Math.max(next.start - start, opts.minCueDuration) : opts.minCueDuration;
+    }
+
+    const pieceCount = Math.max(
+      Math.ceil(text.length / maxCueChars),
+      Math.ceil(duration / opts.maxCueDuration),
+      1
+    );
+    const pieces = splitWords(text, pieceCount, maxCueChars);
+    const totalChars = pieces.reduce((sum, p) => sum + p.length, 0);
+
+    let cursor = start;
+    for (const piece of pieces) {
+      const pieceDuration = duration * (piece.length / totalChars);
+      cues.push({
+        start: cursor,
+        end: cursor + pieceDuration,
+        text: piece,
+        speaker: segment.speaker || null,
+      });
+      cursor += pieceDuration;
+    }
+  });
+
+  // Give fast cues more reading time where the next cue allows it
+  for (let i = 0; i < cues.length; i++) {
+    const cue = cues[i];
+    const wanted = cue.start + Math.max(cue.text.length / opts.maxCharsPerSecond, opts.minCueDuration);
+    if (cue.end < wanted) {
+      const limit = cues[i + 1] ? cues[i + 1].start : wanted;
+      cue.end = Math.max(cue.end, Math.min(wanted, limit));
+    }
+    cue.lines = wrapLines(cue.text, opts.maxLineLength, opts.maxLines);
+  }
+
+  return cues;
+}
+
+/**
+ * Split text into roughly equal word groups
+ * Never produces a group longer than maxChars unless a single word is longer
+ */
+function splitWords(text, pieceCount, maxChars) {
+  const words = text.split(' ');
+  if (pieceCount <= 1 && text.length <= maxChars) {
+    return [text];
+  }
+
+  const target = Math.ceil(text.length / pieceCount);
+  const pieces = [];
+  let current = '';
+
+  for (const word of words) {
+    const candidate = current ? `${current} ${word}` : word;
+    if (current && (candidate.length > maxChars || current.length >= target)) {
+      pieces.push(current);
+      current = word;
+    } else {
+      current = candidate;
+    }
+  }
+  if (current) {
+    pieces.push(current);
+  }
+
+  return pieces;
+}
+
+/**
+ * Wrap cue text onto at most maxLines lines, balancing line lengths
+ */
+function wrapLines(text, maxLineLength, maxLines) {
+  if (text.length <= maxLineLength || maxLines < 2) {
+    return [text];
+  }
+
+  // Two-line cues read best when the break is near the middle
+  const words = text.split(' ');
+  let best = null;
+  for (let i = 1; i < words.length; i++) {
+    const first = words.slice(0, i).join(' ');
+    const second = words.slice(i).join(' ');
+    const longest = Math.max(first.length, second.length);
+    if (!best || longest < best.longest) {
+      best = { lines: [first, second], longest };
+    }
+  }
+
+  return best ? best.lines : [text];
+}
+
+/**
+ * Format seconds as HH:MM:SS<sep>mmm
+ */
+function formatTimestamp(seconds, separator) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${ms.toString().padStart(3, '0')}`;
+}
+
+function pad(value) {
+  return value.toString().padStart(2, '0');
+}
+
+function escapeXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Escape WebVTT cue text (& and < start entities/tags, and --> ends a cue timing)
+ */
+function escapeVttText(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Render segments as plain text, one line per segment
+ * Diarized transcripts start each speaker turn with a blank line and the speaker label
+ */
+export function toPlainText(segments) {
+  let previousSpeaker = null;
+
+  return (segments || [])
+    .map((segment, index) => {
+      if (!segment.speaker || segment.speaker === previousSpeaker) {
+        return segment.text;
+      }
+      previousSpeaker = segment.speaker;
+      return `${index > 0 ? '\n' : ''}${segment.speaker}: ${segment.text}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Render cues as SubRip (.srt)
+ * SRT has no speaker markup, so a "[SPEAKER_1]" prefix marks each change of speaker
+ */
+export function toSrt(segments, options = {}) {
+  let previousSpeaker = null;
+
+  return buildCues(segments, options)
+    .map((cue, index) => {
+      const lines = [...cue.lines];
+      if (cue.speaker && cue.speaker !== previousSpeaker) {
+        lines[0] = `[${cue.speaker}] ${lines[0]}`;
+      }
+      previousSpeaker = cue.speaker;
+
+      return [
+        index + 1,
+        `${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}`,
+        ...lines,
+      ].join('\n');
+    })
+    .join('\n\n') + '\n';
+}
+
+/**
+ * Render cues as WebVTT (.vtt)
+ * Speakers become voice spans (<v SPEAKER_1>)
+ */
+export function toVtt(segments, options = {}) {
+  const body = buildCues(segments, options)
+    .map(cue => {
+      const lines = cue.lines.map(escapeVttText);
+      if (cue.speaker) {
+        lines[0] = `<v ${escapeVttText(cue.speaker)}>${lines[0]}`;
+      }
+
+      return [
+        `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}`,
+        ...lines,
+      ].join('\n');
+    })
+    .join('\n\n');
+
+  return `WEBVTT\n\n${body}\n`;
+}
+
+/**
+ * Render cues as TTML (.ttml)
+ * Speakers are declared as ttm:agent elements and referenced from each paragraph
+ */
+export function toTtml(segments, options = {}) {
+  const language = options.language || 'en';
+  const cues = buildCues(segments, options);
+  const speakers = [...new Set(cues.map(cue => cue.speaker).filter(Boolean))];
+
+  const paragraphs = cues
+    .map(cue => {
+      const text = cue.lines.map(escapeXml).join('<br/>');
+      const agent = cue.speaker ? ` ttm:agent="${escapeXml(cue.speaker)}"` : '';
+      return `      <p begin="${formatTimestamp(cue.start, '.')}" end="${formatTimestamp(cue.end, '.')}"${agent}>${text}</p>`;
+    })
+    .join('\n');
+
+  const head = speakers.length > 0
+    ? [
+      '  <head>',
+      '    <metadata>',
+      ...speakers.map(speaker => `      <ttm:agent xml:id="${escapeXml(speaker)}" type="person"/>`),
+      '    </metadata>',
+      '  </head>',
+    ]
+    : [];
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<tt xmlns="http://www.w3.org/ns/ttml" xmlns:ttm="http://www.w3.org/ns/ttml#metadata" xml:lang="${escapeXml(language)}">`,
+    ...head,
+    '  <body>',
+    '    <div>',
+    paragraphs,
+    '    </div>',
+    '  </body>',
+    '</tt>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Render segments in the requested subtitle format (srt, vtt or ttml)
+ */
+export function renderSubtitles(format, segments, options = {}) {
+  switch (format) {
+    case 'srt':
+      return toSrt(segments, options);
+    case 'vtt':
+      return toVtt(segments, options);
+    case 'ttml':
+      return toTtml(segments, options);
+    default:
+      throw new Error(`Unsupported subtitle format: ${format}`);
+  }
+}
+
+// Cue timing line: [HH:]MM:SS.mmm --> [HH:]MM:SS.mmm (a comma before the ms in SRT)
+const CUE_TIMING_PATTERN = /^((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s+-->\s+((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})/;
+
+const CUE_ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&nbsp;': ' ',
+  '&lrm;': '',
+  '&rlm;': '',
+};
+
+/**
+ * Parse SRT or WebVTT captions into transcript segments
+ * Cue numbers and settings, markup (<i>, <c.color>, <v Speaker>, karaoke
+ * timestamps) and WebVTT header, NOTE and STYLE blocks are dropped. Cues
+ * repeating the text before them (rolling captions) extend that segment.
+ *
+ * @param {string} format - srt or vtt
+ * @param {string} content
+ * @returns {{ text: string, start: number, duration: number }[]}
+ */
+export function parseSubtitles(format, content) {
+  if (format !== 'srt' && format !== 'vtt') {
+    throw new Error(`Unsupported subtitle format: ${format}`);
+  }
+
+  const segments = [];
+  const blocks = content.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n\s*\n/);
+
+  for (const block of blocks) {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => CUE_TIMING_PATTERN.test(line.trim()));
+    if (timingIndex === -1) {
+      continue;
+    }
+
+    const [, startTime, endTime] = lines[timingIndex].trim().match(CUE_TIMING_PATTERN);
+    const start = parseTimestamp(startTime);
+    const end = parseTimestamp(endTime);
+    const text = lines
+      .slice(timingIndex + 1)
+      .map(stripCueMarkup)
+      .join(' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    if (!text) {
+      continue;
+    }
+
+    const previous = segments[segments.length - 1];
+    if (previous && previous.text === text) {
+      previous.duration = roundSeconds(Math.max(end - previous.start, previous.duration));
+      continue;
+    }
+
+    segments.push({
+      text,
+      start: roundSeconds(start),
+      duration: roundSeconds(Math.max(end - start, 0)),
+    });
+  }
+
+  return segments;
+}
+
+/**
+ * Seconds from [HH:]MM:SS.mmm (or SS,mmm)
+ */
+function parseTimestamp(timestamp) {
+  return timestamp
+    .replace(',', '.')
+    .split(':')
+    .reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+function stripCueMarkup(line) {
+  return line
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(amp|lt|gt|nbsp|lrm|rlm);/g, entity => CUE_ENTITIES[entity]);
+}
+
+function roundSeconds(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+export default {
+  SUBTITLE_FORMATS,
+  buildCues,
+  toPlainText,
+  toSrt,
+  toVtt,
+  toTtml,
+  renderSubtitles,
+  parseSubtitles,
+};
@@ -0,0 +1,259 @@
+import logger from './logger.js';
+import { getRedisClient } from './redis.js';
+import {
+  downloadTranscript,
+  transcriptExists,
+  getTranscriptUrl,
+  listTranscriptVariantFolders,
+} from './spaces.js';
+import { SUBTITLE_FORMATS } from './subtitles.js';
+import { AUTO_LANGUAGE, TRANSLATED_SUFFIX, matchesLanguage } from './language.js';
+import { getClipLabel, isSameClip } from './clips.js';
+
+/**
+ * Durable videoId → transcription result index
+ *
+ * One Redis hash per video (transcripts:index:<videoId>), one field per
+ * transcript variant. A variant is the transcript language ("en", "es") or
+ * "en-translated" for Whisper translations, with "-clip-<start>-<end>" for
+ * transcripts of a time range (see clips.js). Written by the worker when a job
+ * completes, so lookups never depend on Bull job retention. Videos missing
+ * from Redis are rebuilt from the files stored in Spaces; a video with nothing
+ * stored there is remembered as missing for a few minutes
+ * (transcripts:index-miss:<videoId>), so unknown IDs don't each cost a Spaces listing.
+ *
+ * Spaces layout: transcripts/<videoId>/<variant>/<file>. Transcripts stored
+ * before variants existed live directly in transcripts/<videoId>/.
+ */
+
+const INDEX_KEY_PREFIX = 'transcripts:index:';
+const MISS_KEY_PREFIX = 'transcripts:index-miss:';
+
+// How long a video with no stored transcripts isn't looked up in Spaces again
+const MISS_TTL_SECONDS = 600;
+
+function getIndexKey(videoId) {
+  return `${INDEX_KEY_PREFIX}${videoId}`;
+}
+
+function getMissKey(videoId) {
+  return `${MISS_KEY_PREFIX}${videoId}`;
+}
+
+/**
+ * Variant name for a transcript in a language (of a clip, when given)
+ */
+export function buildTranscriptVariant(language, translated = false, clip = null) {
+  const variant = translated ? `${language}${TRANSLATED_SUFFIX}` : language;
+  return clip ? `${variant}-clip-${getClipLabel(clip)}` : variant;
+}
+
+/**
+ * Get the index field for a result
+ */
+export function getTranscriptVariant(result) {
+  return result.variant || result.metadata?.language || 'unknown';
+}
+
+/**
+ * Path of a transcript file relative to transcripts/<videoId>/
+ */
+export function getTranscriptFilePath(result, filename) {
+  return result.variant ? `${result.variant}/${filename}` : filename;
+}
+
+function isTranslated(result) {
+  return Boolean(result.metadata?.translatedFrom);
+}
+
+/**
+ * Store a completed transcription result in the index
+ */
+export async function saveTranscriptResult(result) {
+  const variant = getTranscriptVariant(result);
+
+  await getRedisClient().hSet(
+    getIndexKey(result.videoId),
+    variant,
+    JSON.stringify(result)
+  );
+
+  logger.debug('Transcript indexed', {
+    videoId: result.videoId,
+    variant,
+  });
+}
+
+/**
+ * Get every indexed result for a video
+ * Rebuilds the video's entries from Spaces when Redis has none, unless
+ * Spaces had none either a few minutes ago
+ */
+export async function getTranscriptResults(videoId) {
+  const redis = getRedisClient();
+  const entries = Object.values(await redis.hGetAll(getIndexKey(videoId)));
+
+  if (entries.length > 0) {
+    return entries.map(entry => JSON.parse(entry));
+  }
+
+  if (await redis.exists(getMissKey(videoId))) {
+    return [];
+  }
+
+  const results = await rebuildTranscriptIndex(videoId);
+  if (results.length === 0) {
+    await redis.set(getMissKey(videoId), '1', { EX: MISS_TTL_SECONDS });
+  }
+  return results;
+}
+
+/**
+ * Look up the transcription result for a video
+ *
+ * @param {string} videoId
+ * @param {object} [options]
+ * @param {string} [options.variant] - Exact variant name ("es", "en-translated")
+ * @param {string[]} [options.languages] - Ordered language preference, or ['auto']
+ * @param {boolean} [options.translated] - Only translations (true) or only
+ *   originals (false); omitted prefers originals
+ * @param {object} [options.clip] - Only transcripts of this range ({ start, end });
+ *   omitted only full transcripts
+ * @returns {Promise<object|null>}
+ */
+export async function getTranscriptResult(videoId, options = {}) {
+  const results = await getTranscriptResults(videoId);
+  return selectTranscriptResult(results, options);
+}
+
+/**
+ * Pick the result that best satisfies a lookup (see getTranscriptResult)
+ * Languages are tried in order; a translation matches on its source language
+ */
+export function selectTranscriptResult(results, options = {}) {
+  if (options.variant) {
+    return results.find(result => getTranscriptVariant(result) === options.variant) || null;
+  }
+
+  const ranges = results.filter(result => isSameClip(result.metadata?.clip, options.clip));
+
+  let candidates;
+  if (options.translated === undefined) {
+    const originals = ranges.filter(result => !isTranslated(result));
+    candidates = originals.length > 0 ? originals : ranges;
+  } else {
+    candidates = ranges.filter(result => isTranslated(result) === options.translated);
+  }
+
+  const { languages } = options;
+  if (!languages || languages[0] === AUTO_LANGUAGE) {
+    return candidates.length > 0 ? pickMostRecent(candidates) : null;
+  }
+
+  for (const language of languages) {
+    const matches = candidates.filter(result => {
+      const code = isTranslated(result) ? result.metadata.translatedFrom : result.metadata?.language;
+      return matchesLanguage(code, language);
+    });
+    if (matches.length > 0) {
+      return pickMostRecent(matches);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * List the variants indexed for a video
+ */
+export async function listTranscriptVariants(videoId) {
+  return getRedisClient().hKeys(getIndexKey(videoId));
+}
+
+/**
+ * Rebuild a video's index entries from the objects stored in Spaces
+ * Reads result.json from each variant folder, plus any transcript stored
+ * directly under the video's folder before variants existed
+ *
+ * @returns {Promise<object[]>} The results that were indexed
+ */
+export async function rebuildTranscriptIndex(videoId) {
+  const results = [];
+
+  const legacy = await loadStoredResult(videoId, '');
+  if (legacy) {
+    results.push(legacy);
+  }
+
+  for (const variant of await listTranscriptVariantFolders(videoId)) {
+    const result = await loadStoredResult(videoId, `${variant}/`);
+    if (result) {
+      results.push({ ...result, variant });
+    }
+  }
+
+  for (const result of results) {
+    await saveTranscriptResult(result);
+  }
+
+  if (results.length > 0) {
+    logger.info('Transcript index rebuilt from Spaces', {
+      videoId,
+      variants: results.map(getTranscriptVariant),
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Load the result stored in a folder, or build a minimal one for
+ * transcripts stored before result.json existed
+ */
+async function loadStoredResult(videoId, folder) {
+  if (await transcriptExists(videoId, `${folder}result.json`)) {
+    return JSON.parse(await downloadTranscript(videoId, `${folder}result.json`));
+  }
+
+  if (!(await transcriptExists(videoId, `${folder}transcript.json`))) {
+    return null;
+  }
+
+  const subtitleUrls = {};
+  for (const [format, { filename }] of Object.entries(SUBTITLE_FORMATS)) {
+    if (await transcriptExists(videoId, `${folder}${filename}`)) {
+      subtitleUrls[format] = getTranscriptUrl(videoId, `${folder}${filename}`);
+    }
+  }
+
+  return {
+    jobId: null,
+    videoId,
+    url: `https://www.youtube.com/watch?v=${videoId}`,
+    source: 'unknown',
+    transcriptUrl: getTranscriptUrl(videoId, `${folder}transcript.txt`),
+    transcriptJsonUrl: getTranscriptUrl(videoId, `${folder}transcript.json`),
+    subtitleUrls,
+    metadata: {},
+  };
+}
+
+function pickMostRecent(results) {
+  return results.reduce((latest, result) => {
+    const latestAt = Date.parse(latest.metadata?.downloadedAt) || 0;
+    const resultAt = Date.parse(result.metadata?.downloadedAt) || 0;
+    return resultAt > latestAt ? result : latest;
+  });
+}
+
+export default {
+  buildTranscriptVariant,
+  getTranscriptVariant,
+  getTranscriptFilePath,
+  saveTranscriptResult,
+  getTranscriptResults,
+  getTranscriptResult,
+  selectTranscriptResult,
+  listTranscriptVariants,
+  rebuildTranscriptIndex,
+};
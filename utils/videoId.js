@@ -1,46 +1,208 @@
+// Hosts that serve YouTube videos (anything else, e.g. youtube.com.evil.example, is refused)
+const YOUTUBE_HOSTS = [
+  'youtube.com',
+  'www.youtube.com',
+  'm.youtube.com',
+  'music.youtube.com',
+  'youtu.be',
+  'youtube-nocookie.com',
+  'www.youtube-nocookie.com',
+];
+
+// youtube.com/<prefix>/<id> paths
+const VIDEO_PATH_PREFIXES = ['embed', 'v', 'shorts', 'live', 'e'];
+
+const VIDEO_ID_PATTERN = /^[a-zA-Z0-9_-]{11}$/;
+
+/**
+ * Whether a hostname is one of YouTube's (youtube.com, youtu.be, m., music., nocookie)
+ */
+export function isYouTubeHost(hostname) {
+  return YOUTUBE_HOSTS.includes(String(hostname).toLowerCase());
+}
+
 /**
- * Extract YouTube video ID from various URL formats
- * Supports: youtube.com, youtu.be, short URLs, etc.
+ * Whether a URL (scheme optional) is on one of YouTube's hosts, video or not
+ */
+export function isYouTubeUrl(url) {
+  const parsed = toUrl(url);
+  return Boolean(parsed) && isYouTubeHost(parsed.hostname);
+}
+
+/**
+ * Parse a YouTube video URL
+ * Supports watch?v=, youtu.be/, /embed/, /v/, /shorts/ and /live/ on
+ * youtube.com, m.youtube.com, music.youtube.com and youtube-nocookie.com,
+ * with or without the scheme, plus bare 11-character video IDs. A start time
+ * (t=90, t=1m30s, start=90 or #t=90) is kept.
+ *
+ * @returns {{ videoId: string, url: string, startTime: number | null } | null}
+ *   url is the canonical https://www.youtube.com/watch?v=<id> (with &t=<seconds>);
+ *   null when the URL is not a YouTube video
+ */
+export function parseYouTubeUrl(url) {
+  if (!url || typeof url !== 'string') {
+    return null;
+  }
+
+  const trimmed = url.trim();
+  if (VIDEO_ID_PATTERN.test(trimmed)) {
+    return buildVideoUrl(trimmed, null);
+  }
+
+  const parsed = toUrl(trimmed);
+  if (!parsed || !isYouTubeHost(parsed.hostname)) {
+    return null;
+  }
+
+  const segments = parsed.pathname.split('/').filter(Boolean);
+  let videoId = null;
+
+  if (parsed.hostname.toLowerCase() === 'youtu.be') {
+    videoId = segments[0];
+  } else if (segments[0] === 'watch') {
+    videoId = parsed.searchParams.get('v');
+  } else if (VIDEO_PATH_PREFIXES.includes(segments[0])) {
+    videoId = segments[1];
+  }
+
+  if (!VIDEO_ID_PATTERN.test(videoId || '')) {
+    return null;
+  }
+
+  const hashParams = new URLSearchParams(parsed.hash.substring(1));
+  const startTime = parseStartTime(
+    parsed.searchParams.get('t') ?? parsed.searchParams.get('start') ?? hashParams.get('t')
+  );
+
+  return buildVideoUrl(videoId, startTime);
+}
+
+/**
+ * Extract YouTube video ID from various URL formats (see parseYouTubeUrl)
  */
 export function extractVideoId(url) {
   if (!url || typeof url !== 'string') {
     throw new Error('Invalid URL: must be a non-empty string');
   }
 
-  // Remove whitespace
-  url = url.trim();
+  const video = parseYouTubeUrl(url);
+  if (!video) {
+    throw new Error(`Could not extract video ID from URL: ${url.trim()}`);
+  }
+
+  return video.videoId;
+}
+
+/**
+ * Parse an http(s) URL, assuming https:// when the scheme is left out
+ * Returns null for anything else
+ */
+function toUrl(value) {
+  if (!value || typeof value !== 'string') {
+    return null;
+  }
 
-  // youtu.be format: https://youtu.be/dQw4w9WgXcQ
-  const shortMatch = url.match(/youtu\.be\/([a-zA-Z0-9_-]{11})/);
-  if (shortMatch) {
-    return shortMatch[1];
+  const trimmed = value.trim();
+  try {
+    const parsed = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`);
+    return parsed.protocol === 'https:' || parsed.protocol === 'http:' ? parsed : null;
+  } catch {
+    return null;
   }
+}
+
+function buildVideoUrl(videoId, startTime) {
+  return {
+    videoId,
+    url: `https://www.youtube.com/watch?v=${videoId}${startTime ? `&t=${startTime}` : ''}`,
+    startTime,
+  };
+}
 
-  // youtube.com with v parameter: https://www.youtube.com/watch?v=dQw4w9WgXcQ
-  const longMatch = url.match(/(?:youtube\.com\/watch\?.*v=|youtube\.com\/embed\/)([a-zA-Z0-9_-]{11})/);
-  if (longMatch) {
-    return longMatch[1];
+/**
+ * Seconds from a t= / start= value: 90, 90s, 1m30s, 1h2m3s
+ * Returns null for missing or unreadable values
+ */
+function parseStartTime(value) {
+  if (!value) {
+    return null;
   }
 
-  // youtube.com/v/ format: https://www.youtube.com/v/dQw4w9WgXcQ
-  const vMatch = url.match(/youtube\.com\/v\/([a-zA-Z0-9_-]{11})/);
-  if (vMatch) {
-    return vMatch[1];
+  if (/^\d+$/.test(value)) {
+    return Number(value) || null;
   }
 
-  // If already a video ID (11 alphanumeric characters)
-  if (url.match(/^[a-zA-Z0-9_-]{11}$/)) {
-    return url;
+  const match = value.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+  if (!match || !match[0]) {
+    return null;
   }
 
-  throw new Error(`Could not extract video ID from URL: ${url}`);
+  const [, hours = 0, minutes = 0, seconds = 0] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) || null;
 }
 
 /**
  * Validate that a string is a valid YouTube video ID
  */
 export function isValidVideoId(videoId) {
-  return typeof videoId === 'string' && /^[a-zA-Z0-9_-]{11}$/.test(videoId);
+  return typeof videoId === 'string' && VIDEO_ID_PATTERN.test(videoId);
+}
+
+// Channel tabs that list videos (anything else falls back to /videos)
+const CHANNEL_TABS = ['videos', 'streams', 'shorts'];
+
+/**
+ * Parse a playlist or channel URL for batch transcription
+ * Supports: playlist?list=..., watch?v=...&list=..., /@handle, /channel/UC...,
+ * /c/name and /user/name (optionally followed by a tab such as /videos)
+ *
+ * Channel URLs are normalised to a video tab (/videos unless /streams or
+ * /shorts was given) so expansion returns uploads, newest first.
+ *
+ * @returns {{ type: 'playlist'|'channel', id: string, url: string } | null}
+ *   null when the URL is not a playlist or channel
+ */
+export function parseCollectionUrl(url) {
+  if (!url || typeof url !== 'string') {
+    return null;
+  }
+
+  url = url.trim();
+
+  if (!/^(https?:\/\/)?((www|m|music)\.)?youtube\.com\//.test(url)) {
+    return null;
+  }
+
+  // Playlist: https://www.youtube.com/playlist?list=PLxxxx (also watch?v=...&list=...)
+  const listMatch = url.match(/[?&]list=([a-zA-Z0-9_-]+)/);
+  if (listMatch) {
+    return {
+      type: 'playlist',
+      id: listMatch[1],
+      url: `https://www.youtube.com/playlist?list=${listMatch[1]}`,
+    };
+  }
+
+  // Channel: https://www.youtube.com/@handle, /channel/UCxxxx, /c/name, /user/name
+  const channelMatch = url.match(/youtube\.com\/(@[\w.-]+|channel\/UC[a-zA-Z0-9_-]{22}|c\/[\w.-]+|user\/[\w.-]+)(?:\/(\w*))?\/?(?:[?#].*)?$/);
+  if (channelMatch) {
+    const tab = CHANNEL_TABS.includes(channelMatch[2]) ? channelMatch[2] : 'videos';
+    return {
+      type: 'channel',
+      id: channelMatch[1],
+      url: `https://www.youtube.com/${channelMatch[1]}/${tab}`,
+    };
+  }
+
+  return null;
 }
 
-export default { extractVideoId, isValidVideoId };
+export default {
+  extractVideoId,
+  parseYouTubeUrl,
+  isYouTubeHost,
+  isYouTubeUrl,
+  isValidVideoId,
+  parseCollectionUrl,
+};
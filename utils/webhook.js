@@ -0,0 +1,121 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import config from '../config/environment.js';
+import logger from './logger.js';
+import { getRedisClient } from './redis.js';
+import { isPrivateHost, publicRequestOptions } from './network.js';
+
+// Per-job callback secrets are kept here rather than in Bull job data, and
+// deleted once the job's callback has been delivered (or given up on)
+const SECRET_KEY_PREFIX = 'webhook:secret:';
+
+// Outlives any job still likely to call back
+const SECRET_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+function getSecretKey(jobId) {
+  return `${SECRET_KEY_PREFIX}${jobId}`;
+}
+
+/**
+ * Validate a client-supplied callback URL
+ * Only absolute http(s) URLs are accepted, not on localhost or a private IP
+ * (host names resolving to private addresses are refused when delivering)
+ */
+export function isValidCallbackUrl(callbackUrl) {
+  if (!callbackUrl || typeof callbackUrl !== 'string') {
+    return false;
+  }
+
+  try {
+    const parsed = new URL(callbackUrl);
+    return (parsed.protocol === 'https:' || parsed.protocol === 'http:') && !isPrivateHost(callbackUrl);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Store a transcription job's callbackSecret until its callback is delivered
+ */
+export async function saveCallbackSecret(jobId, secret) {
+  await getRedisClient().set(getSecretKey(jobId), secret, { EX: SECRET_TTL_SECONDS });
+}
+
+/**
+ * A transcription job's callbackSecret, or null if it has none
+ */
+export async function getCallbackSecret(jobId) {
+  return getRedisClient().get(getSecretKey(jobId));
+}
+
+export async function deleteCallbackSecret(jobId) {
+  await getRedisClient().del(getSecretKey(jobId));
+}
+
+/**
+ * Compute the HMAC-SHA256 signature for a webhook body
+ * The timestamp is part of the signed content so receivers can reject replays
+ */
+export function signPayload(body, secret, timestamp) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+}
+
+/**
+ * POST a JSON payload to a callback URL
+ * Signs the request when a secret is available (per-job secret, else WEBHOOK_SECRET)
+ * Throws on network errors and non-2xx responses so Bull can retry, and
+ * PRIVATE_ADDRESS for hosts resolving to private addresses
+ */
+export async function deliverWebhook(callbackUrl, payload, secret = config.webhooks.secret) {
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const startTime = Date.now();
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'youtube-transcription-service/webhook',
+    'X-Webhook-Event': payload.event,
+    'X-Webhook-Timestamp': timestamp,
+  };
+
+  if (secret) {
+    headers['X-Webhook-Signature'] = `sha256=${signPayload(body, secret, timestamp)}`;
+  }
+
+  const response = await axios.post(callbackUrl, body, {
+    ...publicRequestOptions,
+    headers,
+    timeout: config.webhooks.timeoutMs,
+    maxRedirects: 0,
+    // Treat anything other than 2xx as a failed delivery
+    validateStatus: status => status >= 200 && status < 300,
+  });
+
+  const durationMs = Date.now() - startTime;
+
+  logger.info('Webhook delivered', {
+    callbackUrl,
+    event: payload.event,
+    jobId: payload.jobId,
+    statusCode: response.status,
+    durationMs,
+    signed: Boolean(secret),
+  });
+
+  return {
+    statusCode: response.status,
+    durationMs,
+  };
+}
+
+export default {
+  isValidCallbackUrl,
+  saveCallbackSecret,
+  getCallbackSecret,
+  deleteCallbackSecret,
+  signPayload,
+  deliverWebhook,
+};
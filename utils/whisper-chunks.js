@@ -0,0 +1,480 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { rm } from 'fs/promises';
+import { dirname } from 'path';
+import os from 'os';
+import logger from './logger.js';
+import config from '../config/environment.js';
+import { getRedisClient } from './redis.js';
+import { transcribeWithWhisper, computeConfidence } from './whisper-faster.js';
+import { createCancelledError } from './cancellation.js';
+import { getMediaDuration } from './media.js';
+import { shiftSegment } from './clips.js';
+
+const execFilePromise = promisify(execFile);
+
+/**
+ * Chunked Whisper transcription for long audio
+ *
+ * The audio is cut into chunks of about WHISPER_CHUNK_SECONDS, each cut
+ * placed in the nearest silence (ffmpeg silencedetect) and padded with
+ * WHISPER_CHUNK_OVERLAP_SECONDS on both sides, and WHISPER_CHUNK_PARALLEL
+ * faster-whisper processes transcribe the chunks side by side. Segments are
+ * shifted by their chunk's offset and every stretch of the timeline is taken
+ * from exactly one chunk, so the overlap adds context without duplicating lines.
+ *
+ * Finished chunks are saved in Redis (transcription:chunks:<jobId>), so a
+ * retried job, or one recovered after its worker died, only transcribes the
+ * chunks that weren't done.
+ */
+
+const CHUNKS_KEY_PREFIX = 'transcription:chunks:';
+
+// Quieter than this for at least SILENCE_MIN_SECONDS counts as a pause
+const SILENCE_NOISE_DB = -35;
+const SILENCE_MIN_SECONDS = 0.4;
+
+// How far (share of the chunk length) a cut may move to land in a silence
+const CUT_SEARCH_FRACTION = 0.2;
+
+function getChunksKey(jobId) {
+  return `${CHUNKS_KEY_PREFIX}${jobId}`;
+}
+
+/**
+ * Whether audio this long is transcribed in chunks (WHISPER_CHUNKING)
+ */
+export function shouldTranscribeInChunks(durationSeconds) {
+  const { enabled, minSeconds } = config.whisper.chunking;
+  return enabled && durationSeconds >= minSeconds;
+}
+
+/**
+ * Split a timeline into chunks, cutting in silences where possible
+ * Each chunk is transcribed from `start` to `end` (cut ± overlap) and keeps
+ * the segments centred between `keepFrom` and `keepTo` (its cuts).
+ *
+ * @param {number} duration - Audio length in seconds
+ * @param {{ start: number, end: number }[]} silences
+ * @param {object} options
+ * @param {number} options.chunkSeconds - Target chunk length
+ * @param {number} options.overlapSeconds - Audio added on each side of a cut
+ * @returns {{ index: number, start: number, end: number, keepFrom: number, keepTo: number, final: boolean }[]}
+ */
+export function planChunks(duration, silences, { chunkSeconds, overlapSeconds }) {
+  const searchSeconds = chunkSeconds * CUT_SEARCH_FRACTION;
+  const pauses = silences.map(silence => (silence.start + silence.end) / 2);
+  const chunks = [];
+  let keepFrom = 0;
+
+  while (keepFrom < duration) {
+    const target = keepFrom + chunkSeconds;
+    let keepTo = duration;
+
+    // Leave the rest in this chunk rather than end on a sliver
+    if (target < duration - searchSeconds) {
+      const nearest = pauses
+        .filter(pause => Math.abs(pause - target) <= searchSeconds)
+        .sort((a, b) => Math.abs(a - target) - Math.abs(b - target))[0];
+      keepTo = nearest ?? target;
+    }
+
+    chunks.push({
+      index: chunks.length,
+      start: roundSeconds(Math.max(keepFrom - overlapSeconds, 0)),
+      end: roundSeconds(Math.min(keepTo + overlapSeconds, duration)),
+      keepFrom: roundSeconds(keepFrom),
+      keepTo: roundSeconds(keepTo),
+      final: keepTo >= duration,
+    });
+    keepFrom = keepTo;
+  }
+
+  return chunks;
+}
+
+/**
+ * Append a chunk's segments to the transcript
+ * Times are shifted to the full audio; segments centred outside the chunk's
+ * own stretch, and repeats of the line before, are dropped
+ *
+ * @returns {object[]} The segments added
+ */
+export function stitchChunk(transcript, chunk, segments) {
+  const added = [];
+
+  for (const segment of segments) {
+    const shifted = shiftSegment(segment, chunk.start);
+    const middle = shifted.start + shifted.duration / 2;
+
+    if (middle < chunk.keepFrom || (middle >= chunk.keepTo && !chunk.final)) {
+      continue;
+    }
+
+    const previous = transcript[transcript.length - 1];
+    if (previous && isRepeat(previous, shifted)) {
+      continue;
+    }
+
+    transcript.push(shifted);
+    added.push(shifted);
+  }
+
+  return added;
+}
+
+// The same words decoded by both chunks around a cut
+function isRepeat(previous, segment) {
+  return normalizeText(previous.text) === normalizeText(segment.text)
+    && segment.start <= previous.start + previous.duration + SILENCE_MIN_SECONDS;
+}
+
+function normalizeText(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+function roundSeconds(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Transcribe long audio in parallel chunks
+ * Takes the options of transcribeWithWhisper and returns the same result
+ * (plus `chunks` and `resumedChunks`). Segments reach onSegment in timeline
+ * order once every chunk before theirs is done; onProgress reports the audio
+ * decoded so far across all chunks.
+ *
+ * @param {string} audioFilePath
+ * @param {object} [options] - As transcribeWithWhisper, plus:
+ * @param {string} [options.jobId] - Saves finished chunks so a retry can resume
+ * @param {function} [options.onProgress] - Called with { audioSeconds, audioDuration }
+ */
+export async function transcribeInChunks(audioFilePath, options = {}) {
+  const startTime = Date.now();
+  const { chunkSeconds, overlapSeconds, parallel } = config.whisper.chunking;
+  const model = options.model || config.whisper.model;
+  const language = options.language === undefined ? config.whisper.language : options.language;
+  const task = options.task || 'transcribe';
+  const wordTimestamps = Boolean(options.wordTimestamps);
+  // Split the cores between the chunks running at once
+  const cpuThreads = Math.max(Math.floor(os.cpus().length / parallel), 1);
+
+  // Chunk runs stop together: when the job is cancelled, or when one fails
+  const controller = new AbortController();
+  const abortChunks = () => controller.abort();
+  options.signal?.addEventListener('abort', abortChunks, { once: true });
+
+  try {
+    const audioDuration = await getMediaDuration(audioFilePath, controller.signal);
+    const silences = await detectSilences(audioFilePath, controller.signal);
+    const chunks = planChunks(audioDuration, silences, { chunkSeconds, overlapSeconds });
+
+    const signature = JSON.stringify({
+      chunks: chunks.map(chunk => [chunk.start, chunk.end]),
+      model,
+      language,
+      task,
+      wordTimestamps,
+    });
+    const results = await loadChunkResults(options.jobId, signature);
+    const resumedChunks = Object.keys(results).length;
+
+    logger.info('Starting chunked faster-whisper transcription', {
+      audioFile: audioFilePath,
+      audioDuration,
+      chunks: chunks.length,
+      resumedChunks,
+      parallel,
+      model,
+      language: language || 'auto',
+      task,
+    });
+
+    if (options.onStart) {
+      await options.onStart({ language, audioDuration });
+    }
+
+    // Seconds of each chunk's own stretch decoded so far
+    const decoded = chunks.map(chunk => (results[chunk.index] ? chunk.keepTo - chunk.keepFrom : 0));
+    const reportProgress = () => options.onProgress?.({
+      audioSeconds: roundSeconds(decoded.reduce((total, seconds) => total + seconds, 0)),
+      audioDuration,
+    });
+
+    // Stitch finished chunks in order, passing new segments on
+    const transcript = [];
+    let nextToStitch = 0;
+    let callbacks = Promise.resolve();
+    const stitchReady = () => {
+      while (nextToStitch < chunks.length && results[nextToStitch]) {
+        const added = stitchChunk(transcript, chunks[nextToStitch], results[nextToStitch].transcript);
+        if (options.onSegment) {
+          for (const segment of added) {
+            callbacks = callbacks.then(() => options.onSegment(segment, { audioDuration }));
+          }
+        }
+        nextToStitch += 1;
+      }
+    };
+
+    const runChunk = async (chunk, chunkLanguage) => {
+      const chunkPath = await extractChunk(audioFilePath, chunk, controller.signal);
+      const keepSeconds = chunk.keepTo - chunk.keepFrom;
+
+      try {
+        const result = await transcribeWithWhisper(chunkPath, {
+          model,
+          device: options.device,
+          language: chunkLanguage,
+          task,
+          wordTimestamps,
+          cpuThreads,
+          onSegment: segment => {
+            const chunkSeconds = segment.start + segment.duration;
+            decoded[chunk.index] = Math.min(chunkSeconds / (chunk.end - chunk.start), 1) * keepSeconds;
+            return reportProgress();
+          },
+          signal: controller.signal,
+        });
+
+        results[chunk.index] = {
+          transcript: result.transcript,
+          spokenLanguage: result.spokenLanguage,
+          languageProbability: result.languageProbability,
+        };
+        decoded[chunk.index] = keepSeconds;
+        await saveChunkResult(options.jobId, chunk.index, results[chunk.index]);
+
+        logger.info('Chunk transcribed', {
+          chunk: chunk.index + 1,
+          of: chunks.length,
+          start: chunk.start,
+          end: chunk.end,
+          segments: result.transcript.length,
+        });
+
+        stitchReady();
+      } finally {
+        await rm(chunkPath, { force: true });
+      }
+    };
+
+    stitchReady();
+
+    // A detected language is detected once, on the first chunk, and held for
+    // the rest so the chunks can't disagree
+    let chunkLanguage = language;
+    if (!chunkLanguage) {
+      if (!results[0]) {
+        await runChunk(chunks[0], null);
+      }
+      chunkLanguage = results[0].spokenLanguage;
+    }
+
+    await runWithConcurrency(
+      chunks.filter(chunk => !results[chunk.index]),
+      parallel,
+      chunk => runChunk(chunk, chunkLanguage),
+      controller.signal
+    );
+
+    stitchReady();
+    await callbacks;
+
+    const processTime = Date.now() - startTime;
+    const spokenLanguage = results[0].spokenLanguage || language;
+    const outputLanguage = task === 'translate' ? 'en' : spokenLanguage;
+    const confidence = computeConfidence(transcript);
+
+    logger.info('Chunked faster-whisper transcription completed successfully', {
+      segments: transcript.length,
+      chunks: chunks.length,
+      resumedChunks,
+      processTime: `${(processTime / 1000).toFixed(1)}s`,
+      audioDuration,
+      language: outputLanguage,
+      confidence,
+    });
+
+    return {
+      transcript,
+      language: outputLanguage,
+      spokenLanguage,
+      languageProbability: results[0].languageProbability,
+      audioDuration,
+      task,
+      source: `faster-whisper-${model}`,
+      confidence,
+      wordTimestamps,
+      chunks: chunks.length,
+      resumedChunks,
+      processTime: `${(processTime / 60000).toFixed(1)} min`,
+      downloadedAt: new Date().toISOString(),
+    };
+  } catch (error) {
+    controller.abort();
+
+    if (options.signal?.aborted) {
+      throw createCancelledError();
+    }
+
+    logger.error('Chunked faster-whisper transcription failed', {
+      audioFile: audioFilePath,
+      error: error.message,
+    });
+
+    throw error;
+  } finally {
+    options.signal?.removeEventListener('abort', abortChunks);
+  }
+}
+
+/**
+ * Run `task` for every item, at most `limit` at a time
+ * Rejects with the first failure; nothing new starts once `signal` is aborted
+ */
+async function runWithConcurrency(items, limit, task, signal) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, async () => {
+    while (next < items.length && !signal.aborted) {
+      const item = items[next];
+      next += 1;
+      await task(item);
+    }
+  });
+
+  await Promise.all(runners);
+}
+
+/**
+ * Pauses in the audio (ffmpeg silencedetect)
+ */
+async function detectSilences(audioFilePath, signal) {
+  const { stderr } = await execFilePromise(
+    'ffmpeg',
+    [
+      '-hide_banner', '-nostats',
+      '-i', audioFilePath,
+      '-af', `silencedetect=noise=${SILENCE_NOISE_DB}dB:d=${SILENCE_MIN_SECONDS}`,
+      '-f', 'null', '-',
+    ],
+    { timeout: 600000, maxBuffer: 20 * 1024 * 1024, signal }
+  );
+
+  // [silencedetect @ 0x...] silence_start: 12.3
+  // [silencedetect @ 0x...] silence_end: 14.1 | silence_duration: 1.8
+  const silences = [];
+  let start = null;
+  for (const line of stderr.split('\n')) {
+    const startMatch = line.match(/silence_start: (-?[\d.]+)/);
+    const endMatch = line.match(/silence_end: ([\d.]+)/);
+    if (startMatch) {
+      start = Math.max(Number(startMatch[1]), 0);
+    } else if (endMatch && start !== null) {
+      silences.push({ start, end: Number(endMatch[1]) });
+      start = null;
+    }
+  }
+
+  return silences;
+}
+
+/**
+ * Cut a chunk out of the audio as 16kHz mono WAV, next to the audio file
+ * (so removeDownloadedAudio cleans it up with the rest)
+ */
+async function extractChunk(audioFilePath, chunk, signal) {
+  const chunkPath = `${dirname(audioFilePath)}/chunk_${chunk.index}.wav`;
+
+  await execFilePromise(
+    'ffmpeg',
+    [
+      '-y', '-loglevel', 'error',
+      '-ss', String(chunk.start),
+      '-t', String(roundSeconds(chunk.end - chunk.start)),
+      '-i', audioFilePath,
+      '-ac', '1', '-ar', '16000',
+      chunkPath,
+    ],
+    { timeout: 300000, signal }
+  );
+
+  return chunkPath;
+}
+
+/**
+ * Chunks a previous attempt finished, if it planned the same chunks
+ * Saved chunks are best-effort - without them every chunk is transcribed
+ */
+async function loadChunkResults(jobId, signature) {
+  if (!jobId) {
+    return {};
+  }
+
+  try {
+    const redis = getRedisClient();
+    const key = getChunksKey(jobId);
+    const { plan, ...stored } = await redis.hGetAll(key);
+
+    if (plan !== signature) {
+      await redis
+        .multi()
+        .del(key)
+        .hSet(key, 'plan', signature)
+        .pExpire(key, getChunksTtlMs())
+        .exec();
+      return {};
+    }
+
+    return Object.fromEntries(
+      Object.entries(stored).map(([index, result]) => [Number(index), JSON.parse(result)])
+    );
+  } catch (error) {
+    logger.warn('Failed to load saved Whisper chunks', {
+      jobId,
+      error: error.message,
+    });
+    return {};
+  }
+}
+
+async function saveChunkResult(jobId, index, result) {
+  if (!jobId) {
+    return;
+  }
+
+  try {
+    const key = getChunksKey(jobId);
+    await getRedisClient()
+      .multi()
+      .hSet(key, String(index), JSON.stringify(result))
+      .pExpire(key, getChunksTtlMs())
+      .exec();
+  } catch (error) {
+    logger.warn('Failed to save Whisper chunk', {
+      jobId,
+      chunk: index,
+      error: error.message,
+    });
+  }
+}
+
+// Long enough to outlive every attempt of the job
+function getChunksTtlMs() {
+  return config.worker.timeoutMs * config.worker.maxAttempts;
+}
+
+/**
+ * Drop a job's saved chunks once its transcript is stored
+ */
+export async function clearChunkResults(jobId) {
+  await getRedisClient().del(getChunksKey(jobId));
+}
+
+export default {
+  shouldTranscribeInChunks,
+  planChunks,
+  stitchChunk,
+  transcribeInChunks,
+  clearChunkResults,
+};
@@ -1,101 +1,180 @@
-import { exec } from 'child_process';
+import { exec, spawn } from 'child_process';
+import { createInterface } from 'readline';
 import { promisify } from 'util';
 import { existsSync, readdirSync, statSync } from 'fs';
+import { rm } from 'fs/promises';
+import { dirname } from 'path';
 import { v4 as uuidv4 } from 'uuid';
 import logger from './logger.js';
 import config from '../config/environment.js';
 import { executeYtdlp } from '../lib/youtube-downloader.js';
+import { killOnAbort, createCancelledError } from './cancellation.js';
 
 const execPromise = promisify(exec);
 
+// faster-whisper runner: arguments come in via argv and one JSON object is
+// printed per line as segments are decoded, so callers can stream them
+const WHISPER_SCRIPT = `
+import json
+import sys
+from faster_whisper import WhisperModel
+
+audio_path, model_name, device, language, task, word_timestamps, cpu_threads = sys.argv[1:8]
+
+def emit(message):
+    print(json.dumps(message), flush=True)
+
+model = WhisperModel(model_name, device=device, compute_type='int8', cpu_threads=int(cpu_threads))
+segments, info = model.transcribe(
+    audio_path,
+    language=language or None,
+    task=task,
+    word_timestamps=word_timestamps == 'true',
+)
+
+emit({
+    'type': 'info',
+    'language': info.language,
+    'language_probability': info.language_probability,
+    'duration': info.duration,
+})
+
+for segment in segments:
+    item = {
+        'type': 'segment',
+        'start': segment.start,
+        'end': segment.end,
+        'text': segment.text.strip(),
+        'avg_logprob': segment.avg_logprob,
+        'no_speech_prob': segment.no_speech_prob,
+    }
+    if segment.words:
+        item['words'] = [
+            {'word': w.word.strip(), 'start': w.start, 'end': w.end, 'probability': w.probability}
+            for w in segment.words
+        ]
+    emit(item)
+`;
+
+// Keep the tail of stderr for error messages (model loading can be chatty)
+const MAX_STDERR_LENGTH = 4000;
+
+// yt-dlp --progress-template output, one line per progress tick
+const DOWNLOAD_PROGRESS_PREFIX = 'download-progress:';
+const DOWNLOAD_PROGRESS_TEMPLATE = `download:${DOWNLOAD_PROGRESS_PREFIX}%(progress.downloaded_bytes)s %(progress.total_bytes)s %(progress.total_bytes_estimate)s`;
+
 /**
  * Transcribe audio file using faster-whisper
  * Uses CTranslate2 backend - 4x faster than OpenAI whisper, same accuracy
  * Tier 2 - Returns transcript in ~3-5 minutes for 35-min video (vs 10-15 min)
- * Confidence: 96%
+ * Confidence: computed from segment log-probabilities (see computeConfidence)
  * Cost: $0 (runs locally)
+ *
+ * Each segment carries avgLogprob/noSpeechProb/confidence, plus
+ * words: [{ word, start, end, probability }] when wordTimestamps is enabled.
+ * Segments are handed to onSegment as soon as faster-whisper decodes them.
+ *
+ * @param {string} audioFilePath
+ * @param {object} [options]
+ * @param {string|null} [options.language] - Spoken language, or null to detect it
+ * @param {string} [options.task] - 'transcribe' (default) or 'translate' (to English)
+ * @param {boolean} [options.wordTimestamps] - Include per-word timings (slower)
+ * @param {number} [options.cpuThreads] - CPU threads for this run (0 = faster-whisper's default)
+ * @param {function} [options.onStart] - Called with { language, audioDuration } once decoding starts
+ * @param {function} [options.onSegment] - Called with (segment, { audioDuration }) for each segment;
+ *   may return a promise, which is awaited before the result is returned
+ * @param {AbortSignal} [options.signal] - Kills faster-whisper when aborted (rejects with JOB_CANCELLED)
  */
 export async function transcribeWithWhisper(audioFilePath, options = {}) {
   const startTime = Date.now();
   const model = options.model || config.whisper.model;
   const device = options.device || config.whisper.device;
-  const language = options.language || config.whisper.language;
-
-  let outputDir;
+  // null = let Whisper detect the spoken language
+  const language = options.language === undefined ? config.whisper.language : options.language;
+  // 'translate' = transcribe straight into English
+  const task = options.task || 'transcribe';
+  const wordTimestamps = Boolean(options.wordTimestamps);
+  const cpuThreads = options.cpuThreads || 0;
 
   try {
     if (!existsSync(audioFilePath)) {
       throw new Error(`Audio file not found: ${audioFilePath}`);
     }
 
-    // Create output directory for faster-whisper
-    outputDir = `/tmp/whisper_out_${uuidv4()}`;
-    const fsPromises = await import('fs').then(m => m.promises);
-    await fsPromises.mkdir(outputDir, { recursive: true });
-
-    // Build faster-whisper command
-    // faster-whisper CLI: faster-whisper <audio> --model <model> --output_format json
-    const command = `python3 -c "
-from faster_whisper import WhisperModel
-import json
-import sys
-
-model = WhisperModel('${model}', device='${device}', compute_type='int8')
-segments, info = model.transcribe('${audioFilePath}', language='${language}')
-
-result = {
-    'language': info.language,
-    'segments': []
-}
-
-for segment in segments:
-    result['segments'].append({
-        'start': segment.start,
-        'end': segment.end,
-        'text': segment.text.strip()
-    })
-
-print(json.dumps(result))
-"`;
-
     logger.info('Starting faster-whisper transcription', {
       audioFile: audioFilePath,
       model,
       device,
-      language,
+      language: language || 'auto',
+      task,
+      wordTimestamps,
     });
 
-    const { stdout, stderr } = await execPromise(command, {
-      timeout: config.worker.timeoutMs,
-      maxBuffer: 100 * 1024 * 1024, // 100MB buffer
-    });
+    const transcript = [];
+    let info = {};
+    // Callbacks run in order without holding up the output stream
+    let callbacks = Promise.resolve();
+
+    await runWhisperProcess(
+      ['-c', WHISPER_SCRIPT, audioFilePath, model, device, language || '', task, String(wordTimestamps), String(cpuThreads)],
+      message => {
+        if (message.type === 'info') {
+          info = message;
+          if (options.onStart) {
+            callbacks = callbacks.then(() => options.onStart({
+              language: info.language,
+              audioDuration: info.duration,
+            }));
+          }
+        } else if (message.type === 'segment') {
+          const segment = toTranscriptSegment(message);
+          transcript.push(segment);
+          if (options.onSegment) {
+            callbacks = callbacks.then(() => options.onSegment(segment, { audioDuration: info.duration }));
+          }
+        }
+      },
+      options.signal
+    );
+
+    await callbacks;
 
-    // Parse JSON output
-    const outputJson = JSON.parse(stdout.trim());
     const processTime = Date.now() - startTime;
+    const confidence = computeConfidence(transcript);
 
-    // Convert segments to standard transcript format
-    const transcript = outputJson.segments.map(segment => ({
-      text: segment.text,
-      start: segment.start,
-      duration: segment.end - segment.start,
-    }));
+    // info.language is the spoken language; a translation is always English
+    const spokenLanguage = info.language || language;
+    const outputLanguage = task === 'translate' ? 'en' : spokenLanguage;
 
     logger.info('faster-whisper transcription completed successfully', {
       segments: transcript.length,
       processTime: `${(processTime / 1000).toFixed(1)}s`,
-      language: outputJson.language || language,
+      audioDuration: info.duration,
+      language: outputLanguage,
+      spokenLanguage,
+      languageProbability: info.language_probability,
+      task,
+      confidence,
     });
 
     return {
       transcript,
-      language: outputJson.language || language,
+      language: outputLanguage,
+      spokenLanguage,
+      languageProbability: info.language_probability,
+      audioDuration: info.duration,
+      task,
       source: `faster-whisper-${model}`,
-      confidence: 0.96, // Consistent confidence for Whisper
+      confidence,
+      wordTimestamps,
       processTime: `${(processTime / 60000).toFixed(1)} min`,
       downloadedAt: new Date().toISOString(),
     };
   } catch (error) {
+    if (error.code === 'JOB_CANCELLED') {
+      throw error;
+    }
+
     logger.error('faster-whisper transcription failed', {
       audioFile: audioFilePath,
       error: error.message,
@@ -105,11 +184,149 @@ print(json.dumps(result))
   }
 }
 
+/**
+ * Run the faster-whisper script, passing each JSON line it prints to onMessage
+ * Rejects if the process exits non-zero, runs past WORKER_TIMEOUT_MS or is aborted
+ */
+function runWhisperProcess(args, onMessage, signal) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('python3', args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    let stderr = '';
+    let timedOut = false;
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill('SIGKILL');
+    }, config.worker.timeoutMs);
+
+    createInterface({ input: child.stdout }).on('line', line => {
+      if (!line.startsWith('{')) {
+        return;
+      }
+      try {
+        onMessage(JSON.parse(line));
+      } catch (error) {
+        logger.debug('Ignoring unparseable faster-whisper output', {
+          line: line.substring(0, 200),
+          error: error.message,
+        });
+      }
+    });
+
+    child.stderr.on('data', chunk => {
+      stderr = (stderr + chunk).slice(-MAX_STDERR_LENGTH);
+    });
+
+    child.on('error', error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+
+    const removeAbortListener = killOnAbort(child, signal);
+
+    child.on('close', (code, exitSignal) => {
+      clearTimeout(timer);
+      removeAbortListener();
+
+      if (signal?.aborted) {
+        reject(createCancelledError());
+      } else if (timedOut) {
+        reject(new Error(`faster-whisper timed out after ${config.worker.timeoutMs}ms`));
+      } else if (code !== 0) {
+        reject(new Error(`faster-whisper exited with ${exitSignal || `code ${code}`}: ${stderr.trim()}`));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Convert a faster-whisper segment to the standard transcript format
+ */
+function toTranscriptSegment(segment) {
+  const entry = {
+    text: segment.text,
+    start: segment.start,
+    duration: segment.end - segment.start,
+    avgLogprob: roundScore(segment.avg_logprob),
+    noSpeechProb: roundScore(segment.no_speech_prob),
+  };
+
+  if (segment.words) {
+    entry.words = segment.words.map(word => ({
+      word: word.word,
+      start: word.start,
+      end: word.end,
+      probability: roundScore(word.probability),
+    }));
+  }
+
+  entry.confidence = getSegmentConfidence(entry);
+  return entry;
+}
+
+/**
+ * Confidence (0-1) of one Whisper segment
+ * Mean word probability when word timings are available, otherwise the
+ * per-token probability implied by avg_logprob; either way discounted by the
+ * chance the segment is not speech at all
+ */
+function getSegmentConfidence(segment) {
+  let speechConfidence;
+  if (segment.words && segment.words.length > 0) {
+    speechConfidence = segment.words.reduce((sum, word) => sum + word.probability, 0) / segment.words.length;
+  } else {
+    speechConfidence = Math.exp(segment.avgLogprob ?? 0);
+  }
+
+  return roundScore(Math.min(1, speechConfidence) * (1 - (segment.noSpeechProb ?? 0)));
+}
+
+/**
+ * Aggregate transcript confidence: segment confidences weighted by duration
+ * so a long, clear passage isn't outweighed by short interjections
+ *
+ * @param {object[]} transcript - Segments with confidence and duration
+ * @returns {number|null} 0-1, or null for an empty transcript
+ */
+export function computeConfidence(transcript) {
+  let weighted = 0;
+  let totalDuration = 0;
+
+  for (const segment of transcript) {
+    if (typeof segment.confidence !== 'number') {
+      continue;
+    }
+    // Zero-length segments still count a little
+    const weight = Math.max(segment.duration || 0, 0.1);
+    weighted += segment.confidence * weight;
+    totalDuration += weight;
+  }
+
+  return totalDuration > 0 ? roundScore(weighted / totalDuration) : null;
+}
+
+function roundScore(value) {
+  return typeof value === 'number' ? Math.round(value * 1000) / 1000 : value;
+}
+
 /**
  * Download audio from YouTube video using cookies for bot detection bypass
  * Uses yt-dlp to extract audio with authenticated session
+ *
+ * @param {string} videoUrl
+ * @param {object} [options]
+ * @param {function} [options.onProgress] - Called with { bytesDownloaded, totalBytes }
+ *   as yt-dlp reports download progress (totalBytes may be an estimate or null)
+ * @param {AbortSignal} [options.signal] - Kills the download when aborted
+ * @param {object} [options.section] - { start, end } seconds: only download
+ *   this part of the video (end null for the rest of it)
+ *
+ * The audio is written to its own /tmp/whisper_* directory; callers remove it
+ * when done. On failure it is removed here.
  */
-export async function downloadAudioFromYouTube(videoUrl) {
+export async function downloadAudioFromYouTube(videoUrl, options = {}) {
   const tempDir = `/tmp/whisper_${uuidv4()}`;
   const outputTemplate = `${tempDir}/audio.%(ext)s`;
 
@@ -122,22 +339,32 @@ export async function downloadAudioFromYouTube(videoUrl) {
     // Format selector: ba[ext=m4a] (best audio m4a) -> ba (best audio) -> b (best overall)
     // This fallback chain handles YouTube API changes that block specific format requests
     const args = [
-      '-f', "'ba[ext=m4a]/ba/b'",
+      '-f', 'ba[ext=m4a]/ba/b',
       '--extract-audio',
       '--audio-format', 'mp3',
       '--audio-quality', '192K',
-      '-o', `'${outputTemplate}'`,
-      `"${videoUrl}"`,
+      '-o', outputTemplate,
+      '--newline',
+      '--progress-template', DOWNLOAD_PROGRESS_TEMPLATE,
+      ...(options.section
+        ? ['--download-sections', `*${options.section.start}-${options.section.end ?? 'inf'}`]
+        : []),
+      videoUrl,
     ];
 
     logger.info('Starting audio download from YouTube', {
       videoUrl,
       outputDir: tempDir,
+      section: options.section,
     });
 
     await executeYtdlp(args, {
       timeout: 300000, // 5 minutes timeout
       maxBuffer: 100 * 1024 * 1024,
+      onOutputLine: options.onProgress
+        ? line => reportDownloadProgress(line, options.onProgress)
+        : undefined,
+      signal: options.signal,
     });
 
     // Find the downloaded audio file
@@ -158,6 +385,12 @@ export async function downloadAudioFromYouTube(videoUrl) {
 
     return audioPath;
   } catch (error) {
+    await rm(tempDir, { recursive: true, force: true }).catch(() => {});
+
+    if (error.code === 'JOB_CANCELLED') {
+      throw error;
+    }
+
     // If bot detection, provide better error message
     if (error.code === 'BOT_DETECTION' || error.code === 'COOKIES_EXPIRED') {
       logger.error('Bot detection during audio download', {
@@ -176,6 +409,50 @@ export async function downloadAudioFromYouTube(videoUrl) {
   }
 }
 
+/**
+ * Remove a downloaded audio file and the temp directory it was written to
+ */
+export async function removeDownloadedAudio(audioPath) {
+  const tempDir = dirname(audioPath);
+  if (!tempDir.startsWith('/tmp/whisper_')) {
+    return;
+  }
+
+  try {
+    await rm(tempDir, { recursive: true, force: true });
+  } catch (error) {
+    logger.warn('Failed to remove audio temp directory', {
+      tempDir,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Parse a DOWNLOAD_PROGRESS_TEMPLATE line and pass it on
+ * yt-dlp prints "NA" for fields it doesn't know yet
+ */
+function reportDownloadProgress(line, onProgress) {
+  if (!line.startsWith(DOWNLOAD_PROGRESS_PREFIX)) {
+    return;
+  }
+
+  const [downloaded, total, estimate] = line
+    .slice(DOWNLOAD_PROGRESS_PREFIX.length)
+    .trim()
+    .split(/\s+/)
+    .map(value => (/^\d+(\.\d+)?$/.test(value) ? Math.round(Number(value)) : null));
+
+  if (downloaded === null || downloaded === undefined) {
+    return;
+  }
+
+  onProgress({
+    bytesDownloaded: downloaded,
+    totalBytes: total || estimate || null,
+  });
+}
+
 /**
  * Check if faster-whisper is installed and available
  */
@@ -211,7 +488,9 @@ export async function getWhisperInfo() {
 
 export default {
   transcribeWithWhisper,
+  computeConfidence,
   downloadAudioFromYouTube,
+  removeDownloadedAudio,
   isWhisperAvailable,
   getWhisperInfo,
 };
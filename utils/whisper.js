@@ -1,4 +1,4 @@
-import { exec } from 'child_process';
+import { exec, execFile } from 'child_process';
 import { promisify } from 'util';
 import { writeFileSync, unlinkSync, existsSync } from 'fs';
 import { v4 as uuidv4 } from 'uuid';
@@ -6,6 +6,7 @@ import logger from './logger.js';
 import config from '../config/environment.js';
 
 const execPromise = promisify(exec);
+const execFilePromise = promisify(execFile);
 
 /**
  * Transcribe audio file using OpenAI Whisper
@@ -117,7 +118,6 @@ export async function transcribeWithWhisper(audioFilePath, options = {}) {
  */
 export async function downloadAudioFromYouTube(videoUrl) {
   const tempDir = `/tmp/whisper_${uuidv4()}`;
-  // Note: %(ext)s must be quoted to prevent shell interpretation of parentheses
   const outputTemplate = `${tempDir}/audio.%(ext)s`;
 
   try {
@@ -128,14 +128,22 @@ export async function downloadAudioFromYouTube(videoUrl) {
     // Download audio using yt-dlp
     // Format selector: ba[ext=m4a] (best audio m4a) -> ba (best audio) -> b (best overall)
     // This fallback chain handles YouTube API changes that block specific format requests
-    const command = `yt-dlp -f 'ba[ext=m4a]/ba/b' --extract-audio --audio-format mp3 --audio-quality 192K -o '${outputTemplate}' "${videoUrl}"`;
+    // No shell: the URL and output template are passed to yt-dlp as they are
+    const args = [
+      '-f', 'ba[ext=m4a]/ba/b',
+      '--extract-audio',
+      '--audio-format', 'mp3',
+      '--audio-quality', '192K',
+      '-o', outputTemplate,
+      videoUrl,
+    ];
 
     logger.info('Starting audio download from YouTube', {
       videoUrl,
       outputDir: tempDir,
     });
 
-    await execPromise(command, {
+    await execFilePromise('yt-dlp', args, {
       timeout: 300000, // 5 minutes timeout
       maxBuffer: 100 * 1024 * 1024,
     });
@@ -0,0 +1,136 @@
+import os from 'os';
+import config from '../config/environment.js';
+import logger from './logger.js';
+import { getRedisClient } from './redis.js';
+
+/**
+ * Worker registry
+ *
+ * Every process that runs transcription jobs (worker.js, or server.js unless
+ * RUN_WORKER=false) keeps a heartbeat record in Redis (worker:<workerId>)
+ * that expires when it stops refreshing it, and is listed in the workers set.
+ * /health counts the records that are still alive, so it reports the workers
+ * actually running instead of this process's configuration.
+ */
+
+const WORKER_KEY_PREFIX = 'worker:';
+const WORKERS_SET = 'workers';
+
+// A worker that missed this many heartbeats in a row is considered gone
+const MISSED_HEARTBEATS = 3;
+
+function getWorkerKey(workerId) {
+  return `${WORKER_KEY_PREFIX}${workerId}`;
+}
+
+/**
+ * Register this process as a worker and keep its heartbeat fresh
+ *
+ * @param {function(): object} describe - Current details to publish with each
+ *   heartbeat ({ lanes: { captions, whisper }, activeJobs })
+ * @returns {{ workerId: string, stop: function(): Promise<void> }}
+ */
+export function startWorkerHeartbeat(describe) {
+  const workerId = `${os.hostname()}:${process.pid}`;
+  const startedAt = new Date().toISOString();
+  const intervalMs = config.worker.heartbeatIntervalMs;
+
+  const beat = async () => {
+    const record = {
+      id: workerId,
+      hostname: os.hostname(),
+      pid: process.pid,
+      startedAt,
+      lastHeartbeatAt: new Date().toISOString(),
+      ...describe(),
+    };
+
+    try {
+      await getRedisClient()
+        .multi()
+        .set(getWorkerKey(workerId), JSON.stringify(record), { PX: intervalMs * MISSED_HEARTBEATS })
+        .sAdd(WORKERS_SET, workerId)
+        .exec();
+    } catch (error) {
+      logger.warn('Failed to send worker heartbeat', {
+        workerId,
+        error: error.message,
+      });
+    }
+  };
+
+  beat();
+  const timer = setInterval(beat, intervalMs);
+  timer.unref();
+
+  logger.info('Worker registered', { workerId, heartbeatIntervalMs: intervalMs });
+
+  return {
+    workerId,
+    // Deregister right away instead of waiting for the record to expire
+    stop: async () => {
+      clearInterval(timer);
+      await getRedisClient()
+        .multi()
+        .del(getWorkerKey(workerId))
+        .sRem(WORKERS_SET, workerId)
+        .exec();
+    },
+  };
+}
+
+/**
+ * Workers with a live heartbeat
+ * Workers whose record has expired are dropped from the set on the way.
+ *
+ * @returns {Promise<object[]>} Heartbeat records, oldest worker first
+ */
+export async function listWorkers() {
+  const redis = getRedisClient();
+  const workerIds = await redis.sMembers(WORKERS_SET);
+  if (workerIds.length === 0) {
+    return [];
+  }
+
+  const stored = await redis.mGet(workerIds.map(getWorkerKey));
+  const expired = workerIds.filter((workerId, index) => !stored[index]);
+  if (expired.length > 0) {
+    await redis.sRem(WORKERS_SET, expired);
+  }
+
+  return stored
+    .filter(Boolean)
+    .map(record => JSON.parse(record))
+    .sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+}
+
+/**
+ * Live workers and the job slots they give each lane
+ *
+ * @returns {Promise<{ count: number, lanes: { captions: { workers: number, concurrency: number },
+ *   whisper: { workers: number, concurrency: number } }, activeJobs: number }>}
+ */
+export async function getWorkerSummary() {
+  const workers = await listWorkers();
+  const lanes = {
+    captions: { workers: 0, concurrency: 0 },
+    whisper: { workers: 0, concurrency: 0 },
+  };
+
+  for (const worker of workers) {
+    for (const [lane, concurrency] of Object.entries(worker.lanes || {})) {
+      if (lanes[lane] && concurrency > 0) {
+        lanes[lane].workers += 1;
+        lanes[lane].concurrency += concurrency;
+      }
+    }
+  }
+
+  return {
+    count: workers.length,
+    lanes,
+    activeJobs: workers.reduce((total, worker) => total + (worker.activeJobs || 0), 0),
+  };
+}
+
+export default { startWorkerHeartbeat, listWorkers, getWorkerSummary };
@@ -1,39 +1,124 @@
 import { exec } from 'child_process';
 import { promisify } from 'util';
 import { existsSync, readFileSync, unlinkSync, readdirSync } from 'fs';
+import { v4 as uuidv4 } from 'uuid';
 import logger from './logger.js';
-import { extractVideoId } from './videoId.js';
+import { extractVideoId, isValidVideoId } from './videoId.js';
 import { executeYtdlp, getCookieArgs, parseBotDetectionError } from '../lib/youtube-downloader.js';
+import config from '../config/environment.js';
+import { AUTO_LANGUAGE, matchesLanguage, normalizeLanguageCode } from './language.js';
+import { toSourceId, getSourceProvider } from './sources.js';
+import { parseSubtitles } from './subtitles.js';
+import { trimSegments } from './clips.js';
 
 const execPromise = promisify(exec);
 
+/**
+ * Pick the caption track to download for a language preference
+ * Uses the track lists from getVideoMetadata():
+ * - Uploaded (manual) subtitles in a preferred language win
+ * - Automatic captions are only used for the video's spoken language; YouTube's
+ *   automatic captions in other languages are machine translations
+ *
+ * @param {string[]} languages - Ordered preference, or ['auto'] for the spoken language
+ * @param {object} metadata - Result of getVideoMetadata()
+ * @returns {{ trackId: string, language: string, automatic: boolean } | null}
+ */
+export function selectCaptionTrack(languages, metadata) {
+  const manualTracks = metadata?.subtitleLanguages || [];
+  const automaticTracks = metadata?.automaticCaptionLanguages || [];
+  const spokenLanguage = metadata?.language || null;
+
+  const wanted = languages[0] === AUTO_LANGUAGE
+    ? [spokenLanguage || config.whisper.language]
+    : languages;
+
+  for (const language of wanted) {
+    const manualTrack = findTrack(manualTracks, language);
+    if (manualTrack) {
+      return { trackId: manualTrack, language: manualTrack, automatic: false };
+    }
+
+    const originalTrack = automaticTracks.find(track => track === `${language}-orig`)
+      || (!spokenLanguage || matchesLanguage(spokenLanguage, language)
+        ? findTrack(automaticTracks, language)
+        : null);
+    if (originalTrack) {
+      return {
+        trackId: originalTrack,
+        language: normalizeLanguageCode(originalTrack),
+        automatic: true,
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find a track for a language, preferring an exact code over a regional variant
+ */
+function findTrack(tracks, language) {
+  return tracks.find(track => track.toLowerCase() === language.toLowerCase())
+    || tracks.find(track => !track.endsWith('-orig') && matchesLanguage(track, language))
+    || null;
+}
+
 /**
  * Extract YouTube native transcript using yt-dlp with cookie support
  * Returns transcript data or null if not available
  * Tier 1 - Returns data in <1 second
+ * Works for any site yt-dlp downloads subtitles from (json3, WebVTT or SRT);
+ * the source is reported as <provider>-native (youtube-native, vimeo-native)
  * 
  * FIXED: v1.2 - Proper quote handling for cookies + file paths
+ *
+ * @param {string} videoUrl
+ * @param {object} [options]
+ * @param {string[]} [options.languages] - Ordered language preference, or ['auto']
+ * @param {object} [options.metadata] - getVideoMetadata() result, used to pick the track
+ * @param {object} [options.clip] - { start, end } seconds: only keep the captions
+ *   in this range (timings stay those of the full video)
  */
 export async function extractYouTubeTranscript(videoUrl, options = {}) {
   const startTime = Date.now();
-  const workDir = `/tmp/yt_subs_${Date.now()}`;
+  // Unique per call: concurrent extractions must never share (or clean up) a directory
+  const workDir = `/tmp/yt_subs_${uuidv4()}`;
+  const languages = options.languages || [config.whisper.language];
 
   try {
-    const videoId = extractVideoId(videoUrl);
-    logger.info('Starting YouTube transcript extraction', { videoId, workDir });
+    const videoId = options.metadata?.videoId || extractVideoId(videoUrl);
+    const source = `${getSourceProvider(videoId)}-native`;
+    logger.info('Starting YouTube transcript extraction', { videoId, workDir, languages });
+
+    // Pick the track up front when the metadata lists what's available
+    const hasTrackLists = Boolean(
+      options.metadata?.subtitleLanguages?.length || options.metadata?.automaticCaptionLanguages?.length
+    );
+    const track = hasTrackLists ? selectCaptionTrack(languages, options.metadata) : null;
+
+    if (hasTrackLists && !track) {
+      logger.info('No caption track in the requested languages', {
+        videoId,
+        languages,
+        subtitleLanguages: options.metadata.subtitleLanguages,
+        spokenLanguage: options.metadata.language,
+      });
+      return null;
+    }
 
     // Create temp directory for subtitle files
     const fsPromises = await import('fs').then(m => m.promises);
     await fsPromises.mkdir(workDir, { recursive: true });
 
     // Build yt-dlp command to extract subtitles
-    // FIX: Don't quote arguments - let executeYtdlp() handle shell escaping
+    // Don't quote arguments - executeYtdlp() runs yt-dlp without a shell
     const args = [
-      '--write-subs',
-      '--write-auto-subs', // Also try auto-generated captions
+      ...(track
+        ? [track.automatic ? '--write-auto-subs' : '--write-subs', '--sub-langs', track.trackId]
+        : ['--write-subs', '--write-auto-subs', '--sub-langs', buildSubLangsPattern(languages)]),
       '--skip-download',
-      '--sub-format', 'json3',
-      '--sub-langs', 'en,en-US,en-GB,en.*', // Try various English variants
+      '--sub-format', 'json3/vtt/srt',
       '-o', `${workDir}/%(id)s.%(ext)s`,  // ✅ FIXED: Removed quotes
       videoUrl,  // ✅ FIXED: Removed quotes
     ];
@@ -55,9 +140,9 @@ export async function extractYouTubeTranscript(videoUrl, options = {}) {
         stderrLength: stderr?.length || 0,
       });
 
-      // Find the subtitle file
+      // Find the subtitle file (<id>.<lang>.<json3|vtt|srt>), in preference order
       const files = readdirSync(workDir);
-      const subFile = files.find(f => f.endsWith('.json3') || f.endsWith('.en.json3'));
+      const subFile = pickSubtitleFile(files.filter(f => SUBTITLE_EXTENSIONS.includes(getSubtitleExtension(f))), languages);
       
       if (!subFile) {
         logger.warn('No subtitle file found in output', { 
@@ -74,7 +159,8 @@ export async function extractYouTubeTranscript(videoUrl, options = {}) {
       // Read and parse the subtitle file
       const subPath = `${workDir}/${subFile}`;
       const subContent = readFileSync(subPath, 'utf-8');
-      const transcript = parseYouTubeSubtitles(subContent);
+      const parsed = parseSubtitleFile(subFile, subContent);
+      const transcript = options.clip ? trimSegments(parsed, options.clip) : parsed;
 
       // Cleanup
       await fsPromises.rm(workDir, { recursive: true, force: true }).catch(() => {});
@@ -84,25 +170,30 @@ export async function extractYouTubeTranscript(videoUrl, options = {}) {
           videoId, 
           subFile,
           contentLength: subContent.length,
+          clip: options.clip,
         });
         return null;
       }
 
       const processTime = Date.now() - startTime;
+      const language = normalizeLanguageCode(getSubtitleLanguage(subFile));
 
       logger.info('✅ YouTube transcript extracted successfully (Tier 1)', {
         videoId,
         lines: transcript.length,
+        language,
+        automaticCaptions: track ? track.automatic : null,
         processTime: `${processTime}ms`,
-        source: 'youtube-native',
+        source,
         confidence: 0.98,
       });
 
       return {
         videoId,
         transcript,
-        language: 'en',
-        source: 'youtube-native',
+        language,
+        automaticCaptions: track ? track.automatic : null,
+        source,
         confidence: 0.98, // High confidence for official captions
         processTime: processTime < 1000 ? '<1 sec' : `${(processTime / 1000).toFixed(1)} sec`,
         downloadedAt: new Date().toISOString(),
@@ -161,6 +252,63 @@ export async function extractYouTubeTranscript(videoUrl, options = {}) {
   }
 }
 
+/**
+ * Build a --sub-langs pattern for a preference when the track list is unknown
+ * e.g. ['es', 'en'] → "es,es-.*,en,en-.*"
+ */
+function buildSubLangsPattern(languages) {
+  const wanted = languages[0] === AUTO_LANGUAGE ? [config.whisper.language] : languages;
+  return wanted.flatMap(language => [language, `${language}-.*`]).join(',');
+}
+
+// Subtitle formats requested with --sub-format, in preference order
+const SUBTITLE_EXTENSIONS = ['json3', 'vtt', 'srt'];
+
+function getSubtitleExtension(filename) {
+  return filename.split('.').pop();
+}
+
+/**
+ * Language code from a yt-dlp subtitle filename (<id>.<lang>.<ext>)
+ */
+function getSubtitleLanguage(filename) {
+  const parts = filename.split('.');
+  return parts.length >= 3 ? parts[parts.length - 2] : 'unknown';
+}
+
+/**
+ * Pick the downloaded subtitle file that best matches the preference order
+ */
+function pickSubtitleFile(files, languages) {
+  for (const language of languages) {
+    const match = files.find(f => matchesLanguage(getSubtitleLanguage(f), language));
+    if (match) {
+      return match;
+    }
+  }
+  return files[0];
+}
+
+/**
+ * Transcript segments from a downloaded subtitle file, by its extension
+ */
+function parseSubtitleFile(filename, content) {
+  const extension = getSubtitleExtension(filename);
+  if (extension === 'json3') {
+    return parseYouTubeSubtitles(content);
+  }
+
+  try {
+    return parseSubtitles(extension, content);
+  } catch (error) {
+    logger.error('Failed to parse subtitle file', {
+      filename,
+      error: error.message,
+    });
+    return [];
+  }
+}
+
 /**
  * Parse YouTube subtitle JSON format
  * Extracts plain text from YouTube's subtitle JSON (JSON3 format)
@@ -206,10 +354,9 @@ function parseYouTubeSubtitles(jsonStr) {
  */
 export async function getVideoMetadata(videoUrl) {
   try {
-    const videoId = extractVideoId(videoUrl);
-    logger.info('Fetching video metadata', { videoId });
+    logger.info('Fetching video metadata', { videoUrl: videoUrl.substring(0, 100) });
 
-    // FIX: Don't quote the URL - let executeYtdlp() handle it
+    // Don't quote the URL - executeYtdlp() runs yt-dlp without a shell
     const args = [
       '--dump-json',
       '--no-warnings',
@@ -222,13 +369,20 @@ export async function getVideoMetadata(videoUrl) {
     });
 
     const metadata = JSON.parse(stdout);
+    const videoId = toSourceId(metadata.extractor_key || 'Youtube', metadata.id, videoUrl);
 
     const result = {
       videoId,
+      provider: getSourceProvider(videoId),
       title: metadata.title || 'Unknown',
       channel: metadata.uploader || 'Unknown',
       duration: metadata.duration ? formatDuration(metadata.duration) : 'Unknown',
+      durationSeconds: metadata.duration || null,
       url: metadata.webpage_url || videoUrl,
+      // Spoken language and caption tracks, used to pick the Tier 1 track
+      language: metadata.language || null,
+      subtitleLanguages: Object.keys(metadata.subtitles || {}).filter(lang => lang !== 'live_chat'),
+      automaticCaptionLanguages: Object.keys(metadata.automatic_captions || {}),
     };
 
     logger.info('✅ Video metadata retrieved successfully', {
@@ -256,10 +410,95 @@ export async function getVideoMetadata(videoUrl) {
   }
 }
 
+// Placeholder titles yt-dlp reports for entries that can't be transcribed
+const UNAVAILABLE_TITLES = ['[Private video]', '[Deleted video]'];
+
+/**
+ * Expand a playlist or channel URL into its videos
+ * Always uses flat extraction (YTTDLP_EXTRACT_FLAT doesn't apply), so only the
+ * listing is fetched and a long playlist or channel doesn't hold up the
+ * request; unavailable videos are dropped by title and the rest fail as jobs
+ *
+ * @param {string} collectionUrl - Playlist or channel URL (see parseCollectionUrl)
+ * @param {object} [options]
+ * @param {number} [options.limit] - Maximum number of videos (first N entries)
+ * @returns {Promise<{ id: string, title: string, channel: string, videos: object[] }>}
+ *   videos: [{ videoId, url, title, durationSeconds }]
+ */
+export async function expandPlaylist(collectionUrl, options = {}) {
+  const { limit } = options;
+  logger.info('Expanding playlist', {
+    url: collectionUrl,
+    limit,
+  });
+
+  const args = [
+    '--flat-playlist',
+    '--dump-single-json',
+    '--no-warnings',
+  ];
+
+  if (limit) {
+    args.push('--playlist-end', String(limit));
+  }
+
+  args.push(collectionUrl);
+
+  let stdout;
+  try {
+    ({ stdout } = await executeYtdlp(args, {
+      timeout: 120000,
+      maxBuffer: 100 * 1024 * 1024,
+    }));
+  } catch (error) {
+    logger.error('Failed to expand playlist', {
+      url: collectionUrl,
+      code: error.code,
+      error: error.message,
+    });
+    throw error;
+  }
+
+  const playlist = JSON.parse(stdout);
+  const videos = [];
+  const seen = new Set();
+
+  for (const entry of playlist.entries || []) {
+    if (!entry || !isValidVideoId(entry.id) || seen.has(entry.id)) {
+      continue;
+    }
+    if (UNAVAILABLE_TITLES.includes(entry.title)) {
+      continue;
+    }
+
+    seen.add(entry.id);
+    videos.push({
+      videoId: entry.id,
+      url: `https://www.youtube.com/watch?v=${entry.id}`,
+      title: entry.title || 'Unknown',
+      durationSeconds: entry.duration || null,
+    });
+  }
+
+  logger.info('✅ Playlist expanded', {
+    url: collectionUrl,
+    title: playlist.title,
+    entries: (playlist.entries || []).length,
+    videos: videos.length,
+  });
+
+  return {
+    id: playlist.id,
+    title: playlist.title || 'Unknown',
+    channel: playlist.channel || playlist.uploader || 'Unknown',
+    videos,
+  };
+}
+
 /**
  * Format seconds into HH:MM:SS format
  */
-function formatDuration(seconds) {
+export function formatDuration(seconds) {
   const hours = Math.floor(seconds / 3600);
   const minutes = Math.floor((seconds % 3600) / 60);
   const secs = Math.floor(seconds % 60);
@@ -283,7 +522,10 @@ export async function isYtdlpAvailable() {
 }
 
 export default {
+  selectCaptionTrack,
   extractYouTubeTranscript,
   getVideoMetadata,
+  expandPlaylist,
+  formatDuration,
   isYtdlpAvailable,
 };
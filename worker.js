@@ -0,0 +1,61 @@
+import config from './config/environment.js';
+import logger from './utils/logger.js';
+import createTranscriptionQueue from './workers/transcription-worker.js';
+import createWebhookQueue from './workers/webhook-worker.js';
+import { validateCookies } from './lib/youtube-downloader.js';
+import { closeRedisClient } from './utils/redis.js';
+
+/**
+ * Standalone worker
+ * Processes transcription jobs and webhook deliveries without serving HTTP,
+ * so transcription capacity scales separately from the API. Run server.js
+ * with RUN_WORKER=false to keep the API instances from processing jobs too.
+ */
+
+const cookieValidation = validateCookies();
+if (cookieValidation.valid) {
+  logger.info('✅ YouTube cookies loaded successfully', {
+    path: cookieValidation.path,
+    cookieCount: cookieValidation.cookieCount,
+    ageHours: cookieValidation.ageHours,
+    status: cookieValidation.status,
+  });
+} else {
+  logger.warn('⚠️ YouTube cookies NOT available - running without auth', {
+    status: cookieValidation.status,
+    warning: cookieValidation.warning,
+  });
+}
+
+const webhookQueue = createWebhookQueue();
+const transcriptionQueue = createTranscriptionQueue({ webhookQueue });
+
+logger.info('YouTube Transcription Worker Starting', {
+  nodeEnv: config.nodeEnv,
+  redisUrl: config.redis.url,
+  whisperModel: config.whisper.model,
+  captionsConcurrency: config.worker.captionsConcurrency,
+  whisperConcurrency: config.worker.concurrency,
+  cookieStatus: cookieValidation.status,
+});
+
+// Graceful shutdown - running jobs finish before the queues close
+async function shutdown(signal) {
+  logger.info(`${signal} received, shutting down worker gracefully`);
+
+  try {
+    await transcriptionQueue.closeLanes();
+    await webhookQueue.close();
+    await closeRedisClient();
+    logger.info('Queues closed');
+  } catch (error) {
+    logger.error('Error closing queue', {
+      error: error.message,
+    });
+  }
+
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -1,50 +1,311 @@
+import crypto from 'crypto';
 import Queue from 'bull';
 import config from '../config/environment.js';
 import logger from '../utils/logger.js';
-import { extractYouTubeTranscript, getVideoMetadata } from '../utils/ytdlp.js';
+import { extractYouTubeTranscript, getVideoMetadata, formatDuration } from '../utils/ytdlp.js';
 // Using faster-whisper (CTranslate2) for 4x speed + 10x smaller Docker image
-import { transcribeWithWhisper, downloadAudioFromYouTube } from '../utils/whisper-faster.js';
-import { uploadTranscript, getTranscriptUrl } from '../utils/spaces.js';
+import {
+  transcribeWithWhisper,
+  downloadAudioFromYouTube,
+  removeDownloadedAudio,
+} from '../utils/whisper-faster.js';
+import { shouldTranscribeInChunks, transcribeInChunks, clearChunkResults } from '../utils/whisper-chunks.js';
+import { fetchStoredMedia, downloadMediaUrl, getMediaDuration, getMediaTitle } from '../utils/media.js';
+import { uploadTranscript } from '../utils/spaces.js';
+import {
+  saveTranscriptResult,
+  getTranscriptResult,
+  buildTranscriptVariant,
+  getTranscriptFilePath,
+} from '../utils/transcript-index.js';
+import { getWhisperLanguage } from '../utils/language.js';
+import { getClipLabel, getClipDuration, shiftSegment } from '../utils/clips.js';
+import { indexTranscript } from '../utils/search-index.js';
 import { extractVideoId } from '../utils/videoId.js';
+import { SUBTITLE_FORMATS, renderSubtitles, toPlainText } from '../utils/subtitles.js';
+import { diarizeAudio, assignSpeakers } from '../utils/diarization.js';
+import { appendPartialSegment, clearPartialSegments } from '../utils/partial-transcripts.js';
+import { createProgressReporter } from '../utils/job-progress.js';
+import {
+  recordStageThroughput,
+  recordJobDuration,
+  recordFallback,
+  getJobDurationEstimates,
+} from '../utils/job-metrics.js';
+import { PRIORITIES, isWhisperOnly } from '../utils/job-options.js';
+import {
+  markJobCancelled,
+  getCancellation,
+  publishCancellation,
+  subscribeToCancellations,
+  createCancelledError,
+  throwIfCancelled,
+} from '../utils/cancellation.js';
+import { recordJob, updateJobHistory, setJobVideo } from '../utils/job-history.js';
+import { getWhisperQuota, recordWhisperUsage } from '../utils/api-keys.js';
+import { startWorkerHeartbeat, getWorkerSummary } from '../utils/worker-registry.js';
+import { buildRedisConfig, getRedisClient } from '../utils/redis.js';
+import { saveCallbackSecret, deleteCallbackSecret } from '../utils/webhook.js';
+import { chargeWhisperMinutes } from '../middleware/rateLimit.js';
+
+// Redis key prefix for "this video/options combination is being transcribed" claims
+const IN_FLIGHT_KEY_PREFIX = 'transcription:inflight:';
+
+// Delete a claim only while it still names the given job
+const RELEASE_CLAIM_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+// How long a submission that lost a claim waits for the winner's job to be queued
+const CLAIMED_JOB_WAIT_MS = 1000;
+const CLAIMED_JOB_POLL_MS = 100;
+
+// Failures a retry can't fix - the job fails on its first attempt
+const NON_RETRYABLE_ERRORS = [
+  'WHISPER_QUOTA_EXCEEDED',
+  'INVALID_MEDIA',
+  'MEDIA_TOO_LARGE',
+  'INVALID_CLIP',
+  'PRIVATE_ADDRESS',
+  'WHISPER_RATE_LIMIT_EXCEEDED',
+];
+
+/**
+ * Upload a transcript to Spaces in every output format
+ * (plain text, JSON segments, and SRT/WebVTT/TTML subtitles)
+ * Files go to transcripts/<videoId>/<variant>/ so each language is kept
+ */
+async function uploadTranscriptOutputs(videoId, variant, transcript, language) {
+  const plainTextTranscript = toPlainText(transcript);
+
+  const transcriptUrl = await uploadTranscript(
+    videoId,
+    `${variant}/transcript.txt`,
+    plainTextTranscript,
+    'text/plain'
+  );
+
+  const transcriptJsonUrl = await uploadTranscript(
+    videoId,
+    `${variant}/transcript.json`,
+    JSON.stringify(transcript, null, 2),
+    'application/json'
+  );
+
+  const subtitleUrls = {};
+  for (const [format, { filename, contentType }] of Object.entries(SUBTITLE_FORMATS)) {
+    subtitleUrls[format] = await uploadTranscript(
+      videoId,
+      `${variant}/${filename}`,
+      renderSubtitles(format, transcript, { language }),
+      contentType
+    );
+  }
+
+  return { transcriptUrl, transcriptJsonUrl, subtitleUrls };
+}
 
 /**
- * Build Redis configuration for Bull queue
- * Handles both plain redis:// and TLS rediss:// URLs
+ * Persist the job result: result.json next to the transcript files in Spaces
+ * plus the Redis transcript index, so the transcript stays reachable after the
+ * Bull job is removed, and the search index
  */
-function buildRedisConfig(redisUrl) {
-  // For TLS connections (rediss://), we need explicit config
-  // Bull's internal ioredis doesn't auto-configure TLS for all connections
-  if (redisUrl.startsWith('rediss://')) {
-    const url = new URL(redisUrl);
-    logger.info('Configuring Bull with TLS Redis connection', {
-      host: url.hostname,
-      port: url.port || 25061,
+async function saveResult(result, transcript) {
+  await uploadTranscript(
+    result.videoId,
+    getTranscriptFilePath(result, 'result.json'),
+    JSON.stringify(result, null, 2),
+    'application/json'
+  );
+
+  await saveTranscriptResult(result);
+
+  // Search is best-effort - the backfill script catches up on anything missed
+  try {
+    await indexTranscript(result, transcript);
+  } catch (error) {
+    logger.warn('Failed to add transcript to search index', {
+      jobId: result.jobId,
+      videoId: result.videoId,
+      error: error.message,
     });
-    return {
-      port: parseInt(url.port, 10) || 25061,
-      host: url.hostname,
-      password: url.password || undefined,
-      username: url.username || 'default',
-      tls: {
-        rejectUnauthorized: false, // Required for DO managed databases (self-signed certs)
-      },
-      maxRetriesPerRequest: null, // Required for Bull v4+ with blocking connections
-      enableReadyCheck: false, // Faster connection, skip CLUSTER check
-    };
   }
-  
-  // Plain redis:// URL - use as-is
-  return redisUrl;
 }
 
 /**
- * Create Bull queue for transcription jobs
+ * Build the onSegment handler for a Whisper run
+ * Publishes each segment to the job's partial transcript and reports the
+ * segment's position in the audio as transcribing progress
+ * (`reportProgress: false` when progress is reported separately)
+ */
+function createSegmentPublisher(job, progress, { reportProgress = true, offset = 0 } = {}) {
+  return async (segment, { audioDuration }) => {
+    const audioSeconds = Math.min(segment.start + segment.duration, audioDuration || Infinity);
+
+    if (reportProgress && audioDuration > 0) {
+      await progress.update(audioSeconds / audioDuration, {
+        audioSeconds: Math.round(audioSeconds * 10) / 10,
+        audioDuration,
+      });
+    }
+
+    try {
+      await appendPartialSegment(job.id, offset ? shiftSegment(segment, offset) : segment);
+    } catch (error) {
+      // Partial output is best-effort - never fail the transcription over it
+      logger.warn('Failed to publish partial segment', {
+        jobId: job.id,
+        error: error.message,
+      });
+    }
+  };
+}
+
+/**
+ * Refuse to start Whisper when the video would exceed the submitting API
+ * key's remaining daily Whisper minutes (anonymous jobs have no quota)
+ */
+async function assertWhisperQuota(keyId, durationSeconds) {
+  if (!keyId) {
+    return;
+  }
+
+  const quota = await getWhisperQuota(keyId);
+  const minutes = (durationSeconds || 0) / 60;
+  if (quota.remaining === null || (quota.remaining > 0 && minutes <= quota.remaining)) {
+    return;
+  }
+
+  const error = new Error(
+    `Daily Whisper quota exceeded: video needs ${Math.ceil(minutes)} minutes, ` +
+    `${quota.remaining} of ${quota.limit} left until ${quota.resetsAt}`
+  );
+  error.code = 'WHISPER_QUOTA_EXCEEDED';
+  throw error;
+}
+
+/**
+ * Charge a job's minutes against its submitter's Whisper rate limit when the
+ * API couldn't: media URLs (length unknown until downloaded), jobs handed over
+ * by the captions lane, and videos whose length couldn't be looked up
+ * Charged once: a retried attempt finds the charge already cleared
+ */
+async function chargeDeferredMinutes(job, durationSeconds) {
+  const client = job.data.deferredCharge;
+  if (!client) {
+    return;
+  }
+
+  const charge = await chargeWhisperMinutes(client, durationSeconds);
+  if (!charge.allowed) {
+    const error = new Error(
+      `Too much Whisper audio submitted: ${charge.used} of ${charge.limit} minutes used, ` +
+      `try again in ${charge.retryAfter} seconds`
+    );
+    error.code = 'WHISPER_RATE_LIMIT_EXCEEDED';
+    throw error;
+  }
+
+  await job.update({ ...job.data, deferredCharge: null });
+}
+
+/**
+ * Refuse a clip that starts after the video ends (a retry can't fix it)
+ */
+function assertClipInVideo(clip, durationSeconds) {
+  if (!clip || !durationSeconds || clip.start < durationSeconds) {
+    return;
+  }
+
+  const error = new Error(`Clip starts at ${clip.start}s, but the video is only ${durationSeconds}s long`);
+  error.code = 'INVALID_CLIP';
+  throw error;
+}
+
+/**
+ * The video a job transcribes: its source ID (YouTube video ID or
+ * <provider>:<id>, see sources.js), or the media ID of uploaded media (null
+ * for a media URL until the worker has downloaded it)
+ */
+function getJobVideoId(data) {
+  if (data.media) {
+    return data.media.mediaId || null;
+  }
+  return data.sourceId || extractVideoId(data.url);
+}
+
+/**
+ * What a submission's fingerprint is keyed on: the source or media ID, or a
+ * hash of a media URL (whose content isn't known until it is downloaded)
+ */
+function getSourceKey(data) {
+  if (data.media?.type === 'url') {
+    return `url_${crypto.createHash('sha256').update(data.media.url).digest('hex').substring(0, 32)}`;
+  }
+  return getJobVideoId(data);
+}
+
+/**
+ * Identify a video + the options that change its transcript
+ * Two submissions with the same fingerprint produce the same output
+ */
+export function getJobFingerprint(videoId, options = {}) {
+  return [
+    videoId,
+    options.forceWhisper ? 'whisper' : 'auto',
+    (options.languages || [config.whisper.language]).join('+'),
+    options.translate ? 'translate' : 'transcribe',
+    options.wordTimestamps ? 'words' : 'segments',
+    options.diarize ? 'speakers' : 'nospeakers',
+    // Clips only - fingerprints of full-video jobs are unchanged
+    ...(options.clip ? [`clip-${getClipLabel(options.clip)}`] : []),
+  ].join(':');
+}
+
+/**
+ * Bull job options for a transcription job (the same in both lanes)
+ */
+function buildJobOptions(jobId, priority = 'normal') {
+  return {
+    jobId,
+    priority: PRIORITIES[priority] || PRIORITIES.normal,
+    attempts: config.worker.maxAttempts,
+    backoff: {
+      type: 'exponential',
+      delay: 2000,
+    },
+    removeOnComplete: {
+      age: Math.floor(config.worker.jobRemovalDelayMs / 1000), // Convert to seconds
+    },
+    removeOnFail: false,
+  };
+}
+
+/**
+ * Create Bull queues for transcription jobs
  * Persisted to Redis with automatic recovery
+ *
+ * Jobs run in two lanes with their own concurrency, so a caption fetch that
+ * takes a second never waits behind a Whisper run that takes minutes:
+ * - captions (queue "transcription", CAPTIONS_CONCURRENCY): metadata and
+ *   YouTube captions (Tier 1). Jobs without usable captions are handed to
+ *   the Whisper lane under the same job ID.
+ * - whisper (queue "transcription-whisper", WORKER_CONCURRENCY): audio
+ *   download and Whisper (Tier 2). Whisper-only jobs are queued here directly.
+ *
+ * The returned queue is the captions lane; its helper methods cover both.
+ *
+ * @param {object} options
+ * @param {Queue} [options.webhookQueue] - Queue used to deliver job callbacks
+ * @param {boolean} [options.processJobs] - Run jobs in this process and register
+ *   it as a worker (default true); false only queues and inspects jobs
  */
-export function createTranscriptionQueue() {
+export function createTranscriptionQueue({ webhookQueue, processJobs = true } = {}) {
   const redisConfig = buildRedisConfig(config.redis.url);
-  
-  const transcriptionQueue = new Queue('transcription', {
+  const queueOptions = {
     redis: redisConfig,
     settings: {
       maxStalledCount: 2,
@@ -53,33 +314,79 @@ export function createTranscriptionQueue() {
       maxRetriesPerJob: config.worker.maxAttempts,
       retryProcessDelay: 5000, // 5s between retries
     },
-  });
+  };
+
+  const transcriptionQueue = new Queue('transcription', queueOptions);
+  const whisperQueue = new Queue('transcription-whisper', queueOptions);
+
+  const lanes = {
+    captions: { queue: transcriptionQueue, concurrency: config.worker.captionsConcurrency },
+    whisper: { queue: whisperQueue, concurrency: config.worker.concurrency },
+  };
+
+  // Job ID → AbortController of jobs this process is running
+  const runningJobs = new Map();
 
   /**
-   * Process transcription jobs
-   * Implements 3-tier architecture:
-   * 1. Try YouTube native transcript
-   * 2. Fall back to Whisper if Tier 1 fails
-   * 3. Allow user override with forceWhisper flag
-   * 
-   * V1.1 - Cookie injection for bot detection bypass
+   * Wrap a lane processor so its jobs can be cancelled
+   * Aborted by DELETE /api/jobs/:jobId (possibly from another process);
+   * cancelled jobs are not retried
    */
-  transcriptionQueue.process(config.worker.concurrency, async job => {
-    const { url, forceWhisper = false } = job.data;
-    const jobId = job.id;
+  function runCancellable(lane, processor) {
+    return async job => {
+      const jobId = job.id;
+      const controller = new AbortController();
+      const { signal } = controller;
+      runningJobs.set(String(jobId), controller);
 
-    try {
-      const videoId = extractVideoId(url);
-      logger.info('Processing transcription job', {
-        jobId,
-        videoId,
-        forceWhisper,
-      });
+      try {
+        // Cancelled while it was being picked up
+        if (await getCancellation(jobId)) {
+          throw createCancelledError();
+        }
+
+        return await processor(job, signal);
+      } catch (error) {
+        if (signal.aborted || error.code === 'JOB_CANCELLED') {
+          // Cancelled jobs are not retried
+          job.discard();
+          logger.info('Transcription job cancelled while running', { jobId, lane });
+          throw createCancelledError();
+        }
+
+        if (NON_RETRYABLE_ERRORS.includes(error.code)) {
+          // Retrying won't help before the quota resets, or with the same file
+          job.discard();
+        }
+
+        logger.error('Job processing failed', {
+          jobId,
+          lane,
+          error: error.message,
+          stack: error.stack,
+        });
+
+        throw error; // Rethrow to trigger Bull retry logic
+      } finally {
+        // A handed-off job may already be running in the Whisper lane
+        if (runningJobs.get(String(jobId)) === controller) {
+          runningJobs.delete(String(jobId));
+        }
+      }
+    };
+  }
+
+  /**
+   * Video metadata for a job - handed over by the captions lane, or fetched
+   */
+  async function loadMetadata(job, progress) {
+    let { metadata } = job.data;
+
+    if (!metadata) {
+      await progress.stage('metadata');
 
-      // Get video metadata first
-      let metadata;
       try {
-        metadata = await getVideoMetadata(url);
+        metadata = await getVideoMetadata(job.data.url);
         if (!metadata) {
           throw new Error('Could not fetch video metadata');
         }
@@ -87,8 +394,8 @@ export function createTranscriptionQueue() {
         // Handle bot detection during metadata fetch
         if (error.code === 'BOT_DETECTION' || error.code === 'COOKIES_EXPIRED') {
           logger.error('Bot detection during metadata fetch', {
-            jobId,
-            videoId,
+            jobId: job.id,
+            url: job.data.url,
             code: error.code,
             message: error.message,
           });
@@ -97,197 +404,566 @@ export function createTranscriptionQueue() {
         throw error;
       }
 
-      // Update job progress
-      job.progress(5);
+      await updateJobHistory(job.id, {
+        title: metadata.title,
+        channel: metadata.channel,
+        duration: metadata.duration,
+        durationSeconds: metadata.durationSeconds,
+      });
+    }
 
-      let result;
+    progress.set({ videoDuration: metadata.durationSeconds });
+    return metadata;
+  }
 
-      // Tier 1: Try YouTube native transcript (unless forceWhisper)
-      if (config.features.enableYoutubeTier && !forceWhisper) {
-        logger.info('Attempting Tier 1: YouTube native transcript', { jobId, videoId });
+  /**
+   * Fetch the file of a media job (an upload or a media URL)
+   * Its metadata comes from the file itself; a media URL's media ID (its
+   * content hash) is only known once it is downloaded
+   *
+   * @returns {Promise<{ audioPath: string, mediaId: string, metadata: object }>}
+   */
+  async function loadMedia(job, progress, signal) {
+    const { media } = job.data;
 
-        try {
-          const youtubeTranscript = await extractYouTubeTranscript(url);
-
-          if (youtubeTranscript && youtubeTranscript.transcript.length > 0) {
-            logger.info('Tier 1 success: YouTube transcript found', {
-              jobId,
-              videoId,
-              lines: youtubeTranscript.transcript.length,
-            });
-
-            job.progress(50);
-
-            // Upload to Spaces
-            const plainTextTranscript = youtubeTranscript.transcript
-              .map(s => s.text)
-              .join('\n');
-
-            const transcriptUrl = await uploadTranscript(
-              videoId,
-              'transcript.txt',
-              plainTextTranscript,
-              'text/plain'
-            );
-
-            const transcriptJsonUrl = await uploadTranscript(
-              videoId,
-              'transcript.json',
-              JSON.stringify(youtubeTranscript.transcript, null, 2),
-              'application/json'
-            );
-
-            result = {
-              jobId,
-              videoId,
-              title: metadata.title,
-              channel: metadata.channel,
-              url: metadata.url,
-              source: 'youtube-native',
-              confidence: youtubeTranscript.confidence,
-              processTime: youtubeTranscript.processTime,
-              transcriptUrl,
-              transcriptJsonUrl,
-              metadata: {
-                duration: metadata.duration,
-                language: youtubeTranscript.language,
-                downloadedAt: youtubeTranscript.downloadedAt,
-                tier: 1,
-              },
-            };
-
-            job.progress(100);
-            return result;
-          } else {
-            logger.info('Tier 1 failed: No YouTube transcript found', {
-              jobId,
-              videoId,
-            });
-          }
-        } catch (error) {
-          // Handle bot detection during transcript extraction
-          if (error.code === 'BOT_DETECTION' || error.code === 'COOKIES_EXPIRED') {
-            logger.error('Bot detection during Tier 1 transcript extraction', {
-              jobId,
-              videoId,
-              code: error.code,
-            });
-            // Don't throw yet - fall through to Tier 2 which might work
-            logger.info('Attempting Tier 2 fallback after bot detection', { jobId, videoId });
-          } else {
-            logger.warn('Tier 1 extraction error (non-fatal)', {
-              jobId,
-              videoId,
-              error: error.message,
-            });
-          }
+    logger.info('Fetching media', {
+      jobId: job.id,
+      type: media.type,
+      mediaId: media.mediaId,
+    });
+    await progress.stage('downloading');
+
+    let audioPath;
+    let { mediaId } = media;
+    if (media.type === 'upload') {
+      audioPath = await fetchStoredMedia(mediaId, { signal });
+    } else {
+      ({ path: audioPath, mediaId } = await downloadMediaUrl(media.url, {
+        onProgress: ({ bytesDownloaded, totalBytes }) => progress.update(
+          totalBytes ? bytesDownloaded / totalBytes : 0,
+          { bytesDownloaded, totalBytes }
+        ),
+        signal,
+      }));
+      await setJobVideo(job.id, mediaId);
+    }
+
+    try {
+      const durationSeconds = await getMediaDuration(audioPath, signal);
+      const metadata = {
+        title: getMediaTitle(media),
+        channel: null,
+        duration: formatDuration(durationSeconds),
+        durationSeconds,
+        url: media.url || null,
+      };
+
+      await updateJobHistory(job.id, {
+        title: metadata.title,
+        duration: metadata.duration,
+        durationSeconds,
+      });
+
+      progress.set({ videoDuration: durationSeconds });
+      return { audioPath, mediaId, metadata };
+    } catch (error) {
+      await removeDownloadedAudio(audioPath);
+      throw error;
+    }
+  }
+
+  /**
+   * Captions lane
+   * 1. Try native captions (YouTube, or the site's own subtitles)
+   * 2. Hand the job to the Whisper lane if Tier 1 fails
+   *
+   * V1.1 - Cookie injection for bot detection bypass
+   *
+   * `languages` drives caption track selection. Whisper-only jobs
+   * (forceWhisper, translate, diarize) don't come through here.
+   */
+  async function processCaptionsJob(job, signal) {
+    const { url, clip, languages = [config.whisper.language] } = job.data;
+    const jobId = job.id;
+
+    const videoId = getJobVideoId(job.data);
+    await updateJobHistory(jobId, {
+      status: 'processing',
+      startedAt: new Date().toISOString(),
+      attempts: job.attemptsMade + 1,
+    });
+
+    logger.info('Processing transcription job', {
+      jobId,
+      videoId,
+      lane: 'captions',
+      languages,
+      clip,
+      priority: job.data.priority,
+    });
+
+    const progress = createProgressReporter(job, { model: config.whisper.model });
+    const metadata = await loadMetadata(job, progress);
+    assertClipInVideo(clip, metadata.durationSeconds);
+    throwIfCancelled(signal);
+
+    // Tier 1: Try native captions
+    if (config.features.enableYoutubeTier && !isWhisperOnly(job.data)) {
+      logger.info('Attempting Tier 1: YouTube native transcript', { jobId, videoId, languages });
+      await progress.stage('captions');
+
+      try {
+        const youtubeTranscript = await extractYouTubeTranscript(url, {
+          languages,
+          metadata,
+          clip,
+        });
+
+        if (youtubeTranscript && youtubeTranscript.transcript.length > 0) {
+          logger.info('Tier 1 success: YouTube transcript found', {
+            jobId,
+            videoId,
+            lines: youtubeTranscript.transcript.length,
+          });
+
+          await progress.stage('uploading');
+
+          // Upload to Spaces
+          const variant = buildTranscriptVariant(youtubeTranscript.language, false, clip);
+          const { transcriptUrl, transcriptJsonUrl, subtitleUrls } = await uploadTranscriptOutputs(
+            videoId,
+            variant,
+            youtubeTranscript.transcript,
+            youtubeTranscript.language
+          );
+
+          const result = {
+            jobId,
+            videoId,
+            variant,
+            title: metadata.title,
+            channel: metadata.channel,
+            url: metadata.url,
+            source: youtubeTranscript.source,
+            confidence: youtubeTranscript.confidence,
+            processTime: youtubeTranscript.processTime,
+            transcriptUrl,
+            transcriptJsonUrl,
+            subtitleUrls,
+            metadata: {
+              duration: metadata.duration,
+              language: youtubeTranscript.language,
+              requestedLanguages: languages,
+              automaticCaptions: youtubeTranscript.automaticCaptions,
+              clip: clip || undefined,
+              downloadedAt: youtubeTranscript.downloadedAt,
+              tier: 1,
+            },
+          };
+
+          await saveResult(result, youtubeTranscript.transcript);
+
+          await progress.update(1);
+          return result;
+        } else {
+          logger.info('Tier 1 failed: No YouTube transcript found', {
+            jobId,
+            videoId,
+          });
+        }
+      } catch (error) {
+        // Handle bot detection during transcript extraction
+        if (error.code === 'BOT_DETECTION' || error.code === 'COOKIES_EXPIRED') {
+          logger.error('Bot detection during Tier 1 transcript extraction', {
+            jobId,
+            videoId,
+            code: error.code,
+          });
+          // Don't throw yet - fall through to Tier 2 which might work
+          logger.info('Attempting Tier 2 fallback after bot detection', { jobId, videoId });
+        } else {
+          logger.warn('Tier 1 extraction error (non-fatal)', {
+            jobId,
+            videoId,
+            error: error.message,
+          });
         }
       }
+    }
 
-      // Tier 2: Fall back to Whisper
-      if (!config.features.enableWhisperTier) {
-        throw new Error('Whisper Tier is disabled and YouTube transcript not available');
-      }
+    // Tier 2: hand the job to the Whisper lane
+    if (!config.features.enableWhisperTier) {
+      throw new Error('Whisper Tier is disabled and YouTube transcript not available');
+    }
 
-      logger.info('Falling back to Tier 2: Whisper transcription', { jobId, videoId });
-      job.progress(10);
+    throwIfCancelled(signal);
+    await whisperQueue.add({ ...job.data, metadata }, buildJobOptions(jobId, job.data.priority));
+    await updateJobHistory(jobId, { status: 'queued', lane: 'whisper' });
 
-      // Download audio
-      try {
-        logger.info('Downloading audio from YouTube', { jobId, videoId });
-        const audioPath = await downloadAudioFromYouTube(url);
-        job.progress(40);
+    logger.info('Falling back to Tier 2: job handed to the Whisper lane', { jobId, videoId });
+    return { handedOff: true, lane: 'whisper', videoId };
+  }
 
-        // Transcribe with Whisper
-        logger.info('Running Whisper transcription', { jobId, videoId });
-        const whisperResult = await transcribeWithWhisper(audioPath);
-        job.progress(90);
+  /**
+   * Whisper lane
+   * Transcribes the audio (Tier 2); `languages` picks the Whisper language,
+   * `translate` runs Whisper's translate task and `diarize` labels speakers
+   */
+  async function processWhisperJob(job, signal) {
+    const {
+      url,
+      media,
+      clip,
+      languages = [config.whisper.language],
+      translate = false,
+      wordTimestamps = false,
+      diarize = false,
+      submittedBy,
+    } = job.data;
+    const jobId = job.id;
 
-        // Upload to Spaces
-        const plainTextTranscript = whisperResult.transcript
-          .map(s => s.text)
-          .join('\n');
+    if (!config.features.enableWhisperTier) {
+      throw new Error('Whisper Tier is disabled');
+    }
 
-        const transcriptUrl = await uploadTranscript(
-          videoId,
-          'transcript.txt',
-          plainTextTranscript,
-          'text/plain'
-        );
+    let videoId = getJobVideoId(job.data);
+    await updateJobHistory(jobId, {
+      status: 'processing',
+      lane: 'whisper',
+      // Handed-off jobs started in the captions lane
+      ...(job.data.metadata ? {} : { startedAt: new Date().toISOString() }),
+      attempts: job.attemptsMade + 1,
+    });
 
-        const transcriptJsonUrl = await uploadTranscript(
-          videoId,
-          'transcript.json',
-          JSON.stringify(whisperResult.transcript, null, 2),
-          'application/json'
-        );
+    logger.info('Processing transcription job', {
+      jobId,
+      videoId,
+      lane: 'whisper',
+      media: media?.type,
+      forceWhisper: job.data.forceWhisper,
+      languages,
+      translate,
+      wordTimestamps,
+      diarize,
+      clip,
+      priority: job.data.priority,
+    });
 
-        result = {
-          jobId,
-          videoId,
-          title: metadata.title,
-          channel: metadata.channel,
-          url: metadata.url,
-          source: 'whisper-small',
-          confidence: whisperResult.confidence,
-          processTime: whisperResult.processTime,
-          transcriptUrl,
-          transcriptJsonUrl,
-          metadata: {
-            duration: metadata.duration,
-            language: whisperResult.language,
-            downloadedAt: whisperResult.downloadedAt,
-            tier: 2,
-          },
-        };
-
-        logger.info('Tier 2 transcription completed successfully', {
+    const progress = createProgressReporter(job, { model: config.whisper.model });
+
+    let audioPath;
+    try {
+      // Media is fetched first - its length is only known from the file
+      let metadata;
+      if (media) {
+        ({ audioPath, mediaId: videoId, metadata } = await loadMedia(job, progress, signal));
+      } else {
+        metadata = await loadMetadata(job, progress);
+      }
+
+      // A clip only downloads and transcribes its own section
+      assertClipInVideo(clip, metadata.durationSeconds);
+      const audioSeconds = clip ? getClipDuration(clip, metadata.durationSeconds) : metadata.durationSeconds;
+      if (clip) {
+        progress.set({ videoDuration: audioSeconds });
+      }
+
+      // Long videos are split into chunks transcribed in parallel; their
+      // throughput is tracked apart from single-pass runs
+      const chunked = shouldTranscribeInChunks(audioSeconds);
+      const model = chunked ? `${config.whisper.model}-chunked` : config.whisper.model;
+      if (chunked) {
+        progress.set({ model });
+      }
+
+      logger.info('Running Tier 2: Whisper transcription', { jobId, videoId, chunked });
+      const throughputContext = {
+        model,
+        videoDuration: audioSeconds,
+      };
+
+      throwIfCancelled(signal);
+      await assertWhisperQuota(submittedBy, audioSeconds);
+      await chargeDeferredMinutes(job, audioSeconds);
+
+      // Download audio
+      let stageStartedAt;
+      if (!audioPath) {
+        logger.info('Downloading audio from YouTube', { jobId, videoId });
+        await progress.stage('downloading');
+        stageStartedAt = Date.now();
+        audioPath = await downloadAudioFromYouTube(url, {
+          onProgress: ({ bytesDownloaded, totalBytes }) => progress.update(
+            totalBytes ? bytesDownloaded / totalBytes : 0,
+            { bytesDownloaded, totalBytes }
+          ),
+          section: clip,
+          signal,
+        });
+        await recordStageThroughput('downloading', throughputContext, Date.now() - stageStartedAt);
+      }
+
+      // Transcribe with Whisper, publishing segments as they are decoded
+      // (a retried attempt starts its partial transcript over)
+      await clearPartialSegments(jobId);
+      logger.info('Running Whisper transcription', { jobId, videoId, languages, translate });
+      await progress.stage('transcribing', { audioSeconds: 0 });
+      stageStartedAt = Date.now();
+      const whisperOptions = {
+        language: getWhisperLanguage(languages),
+        task: translate ? 'translate' : 'transcribe',
+        wordTimestamps,
+        onStart: ({ audioDuration }) => progress.update(0, { audioDuration }),
+        signal,
+      };
+      const whisperResult = chunked
+        ? await transcribeInChunks(audioPath, {
+          ...whisperOptions,
           jobId,
-          videoId,
-          confidence: result.confidence,
-          processTime: result.processTime,
+          onSegment: createSegmentPublisher(job, progress, { reportProgress: false, offset: clip?.start }),
+          onProgress: ({ audioSeconds, audioDuration }) => progress.update(audioSeconds / audioDuration, {
+            audioSeconds: Math.round(audioSeconds * 10) / 10,
+            audioDuration,
+          }),
+        })
+        : await transcribeWithWhisper(audioPath, {
+          ...whisperOptions,
+          onSegment: createSegmentPublisher(job, progress, { offset: clip?.start }),
         });
+      throughputContext.videoDuration = whisperResult.audioDuration || audioSeconds;
+      await recordStageThroughput('transcribing', throughputContext, Date.now() - stageStartedAt);
 
-        job.progress(100);
-        return result;
+      // Charge the submitting API key's daily Whisper quota
+      try {
+        await recordWhisperUsage(submittedBy, throughputContext.videoDuration);
       } catch (error) {
-        // Handle bot detection during audio download
-        if (error.code === 'BOT_DETECTION' || error.code === 'COOKIES_EXPIRED') {
-          logger.error('Bot detection during Tier 2 audio download', {
+        logger.warn('Failed to record Whisper usage', {
+          jobId,
+          submittedBy,
+          error: error.message,
+        });
+      }
+
+      // Label segments by speaker - a diarization failure still ships the transcript
+      let transcript = whisperResult.transcript;
+      let speakers;
+      let diarizationError;
+      if (diarize) {
+        try {
+          await progress.stage('diarizing');
+          stageStartedAt = Date.now();
+          const { turns } = await diarizeAudio(audioPath, { signal });
+          await recordStageThroughput('diarizing', throughputContext, Date.now() - stageStartedAt);
+          ({ transcript, speakers } = assignSpeakers(transcript, turns));
+        } catch (error) {
+          if (error.code === 'JOB_CANCELLED') {
+            throw error;
+          }
+          diarizationError = error.message;
+          logger.warn('Diarization failed, continuing without speaker labels', {
             jobId,
             videoId,
-            code: error.code,
-            message: error.message,
+            error: error.message,
           });
-          throw new Error(`${error.code}: ${error.message}`);
         }
-        throw error;
       }
-    } catch (error) {
-      logger.error('Job processing failed', {
+      throwIfCancelled(signal);
+      await progress.stage('uploading');
+
+      // Clip timings are relative to the section - report them on the video's timeline
+      if (clip) {
+        transcript = transcript.map(segment => shiftSegment(segment, clip.start));
+      }
+
+      // Upload to Spaces
+      const variant = buildTranscriptVariant(whisperResult.language, translate, clip);
+      const { transcriptUrl, transcriptJsonUrl, subtitleUrls } = await uploadTranscriptOutputs(
+        videoId,
+        variant,
+        transcript,
+        whisperResult.language
+      );
+
+      const result = {
         jobId,
-        error: error.message,
-        stack: error.stack,
+        videoId,
+        variant,
+        title: metadata.title,
+        channel: metadata.channel,
+        url: metadata.url,
+        source: 'whisper-small',
+        confidence: whisperResult.confidence,
+        processTime: whisperResult.processTime,
+        transcriptUrl,
+        transcriptJsonUrl,
+        subtitleUrls,
+        metadata: {
+          duration: metadata.duration,
+          language: whisperResult.language,
+          requestedLanguages: languages,
+          languageProbability: whisperResult.languageProbability,
+          translatedFrom: translate ? whisperResult.spokenLanguage : undefined,
+          wordTimestamps: whisperResult.wordTimestamps,
+          chunks: whisperResult.chunks,
+          media: media ? { type: media.type, filename: media.filename } : undefined,
+          clip: clip || undefined,
+          diarized: Boolean(speakers),
+          speakers,
+          diarizationError,
+          downloadedAt: whisperResult.downloadedAt,
+          tier: 2,
+        },
+      };
+
+      logger.info('Tier 2 transcription completed successfully', {
+        jobId,
+        videoId,
+        confidence: result.confidence,
+        processTime: result.processTime,
       });
 
-      throw error; // Rethrow to trigger Bull retry logic
+      await saveResult(result, transcript);
+
+      if (chunked) {
+        try {
+          await clearChunkResults(jobId);
+        } catch (error) {
+          logger.warn('Failed to clear saved Whisper chunks', {
+            jobId,
+            error: error.message,
+          });
+        }
+      }
+
+      await progress.update(1);
+      return result;
+    } catch (error) {
+      // Handle bot detection during audio download
+      if (error.code === 'BOT_DETECTION' || error.code === 'COOKIES_EXPIRED') {
+        logger.error('Bot detection during Tier 2 audio download', {
+          jobId,
+          videoId,
+          code: error.code,
+          message: error.message,
+        });
+        throw new Error(`${error.code}: ${error.message}`);
+      }
+      throw error;
+    } finally {
+      if (audioPath) {
+        await removeDownloadedAudio(audioPath);
+      }
     }
-  });
+  }
+
+  // Producer-only processes (server.js with RUN_WORKER=false) just queue jobs
+  let heartbeat = null;
+  if (processJobs) {
+    // A lane with concurrency 0 is left to other workers
+    if (lanes.captions.concurrency > 0) {
+      transcriptionQueue.process(lanes.captions.concurrency, runCancellable('captions', processCaptionsJob));
+    }
+    if (lanes.whisper.concurrency > 0) {
+      whisperQueue.process(lanes.whisper.concurrency, runCancellable('whisper', processWhisperJob));
+    }
+
+    // Abort running jobs when any process cancels them
+    subscribeToCancellations(jobId => {
+      const controller = runningJobs.get(jobId);
+      if (controller) {
+        logger.info('Stopping cancelled job', { jobId });
+        controller.abort();
+      }
+    }).catch(error => {
+      logger.error('Failed to subscribe to job cancellations', {
+        error: error.message,
+      });
+    });
+
+    heartbeat = startWorkerHeartbeat(() => ({
+      lanes: {
+        captions: lanes.captions.concurrency,
+        whisper: lanes.whisper.concurrency,
+      },
+      activeJobs: runningJobs.size,
+    }));
+  }
 
   /**
-   * Job completion handler
+   * Job completion handler (either lane)
    */
-  transcriptionQueue.on('completed', job => {
+  function handleCompleted(job) {
     logger.info('Transcription job completed', {
       jobId: job.id,
       result: job.returnvalue,
     });
+
+    releaseInFlight(job);
+
+    updateJobHistory(job.id, {
+      status: 'complete',
+      tier: job.returnvalue.metadata?.tier || null,
+      source: job.returnvalue.source,
+      variant: job.returnvalue.variant,
+      processTime: job.returnvalue.processTime,
+      finishedAt: new Date(job.finishedOn || Date.now()).toISOString(),
+      error: null,
+    });
+
+    notifyCallback(job, {
+      event: 'transcription.completed',
+      jobId: job.id,
+      batchId: job.data.batchId || undefined,
+      status: 'complete',
+      videoId: job.returnvalue.videoId,
+      resultsUrl: `/api/transcript/${job.returnvalue.videoId}?lang=${job.returnvalue.variant}`,
+      result: job.returnvalue,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  // Lane durations feed the wait estimate of queued jobs
+  transcriptionQueue.on('completed', job => {
+    const elapsedMs = (job.finishedOn || Date.now()) - (job.processedOn || job.timestamp);
+
+    if (job.returnvalue?.handedOff) {
+      logger.info('Transcription job handed to the Whisper lane', { jobId: job.id });
+      recordFallback(true);
+      return;
+    }
+
+    recordJobDuration(1, elapsedMs);
+    recordFallback(false);
+    handleCompleted(job);
+  });
+
+  whisperQueue.on('completed', job => {
+    recordJobDuration(2, (job.finishedOn || Date.now()) - (job.processedOn || job.timestamp));
+    handleCompleted(job);
   });
 
   /**
-   * Job failure handler
+   * Job failure handler (either lane)
    */
-  transcriptionQueue.on('failed', (job, error) => {
+  function handleFailed(job, error) {
+    if (error.code === 'JOB_CANCELLED') {
+      releaseInFlight(job);
+      updateJobHistory(job.id, {
+        status: 'cancelled',
+        finishedAt: new Date().toISOString(),
+      });
+
+      notifyCallback(job, {
+        event: 'transcription.cancelled',
+        jobId: job.id,
+        batchId: job.data.batchId || undefined,
+        status: 'cancelled',
+        url: job.data.url,
+        timestamp: new Date().toISOString(),
+      });
+      return;
+    }
+
     // Check if it was a bot detection failure
     const isBotDetection = error.message && (
       error.message.includes('BOT_DETECTION') || 
@@ -304,82 +980,628 @@ export function createTranscriptionQueue() {
         ? 'Refresh YouTube cookies from Chrome browser' 
         : 'Check video availability or server logs',
     });
-  });
+
+    // 'failed' fires for every attempt - only call back once retries are exhausted
+    // (quota and bad media failures are discarded, so they have no retries)
+    const finalAttempt = job.attemptsMade >= job.opts.attempts
+      || NON_RETRYABLE_ERRORS.includes(error.code);
+    updateJobHistory(job.id, {
+      status: finalAttempt ? 'failed' : 'queued',
+      error: error.message,
+      finishedAt: finalAttempt ? new Date(job.finishedOn || Date.now()).toISOString() : undefined,
+    });
+
+    if (finalAttempt) {
+      releaseInFlight(job);
+
+      notifyCallback(job, {
+        event: 'transcription.failed',
+        jobId: job.id,
+        batchId: job.data.batchId || undefined,
+        status: 'failed',
+        url: job.data.url,
+        error: error.message,
+        attempts: job.attemptsMade,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  transcriptionQueue.on('failed', handleFailed);
+  whisperQueue.on('failed', handleFailed);
 
   /**
-   * Job stalled handler
+   * Queue a webhook delivery if the job was submitted with a callbackUrl
+   * Delivery errors are logged and never affect the transcription job
    */
-  transcriptionQueue.on('stalled', job => {
-    logger.warn('Transcription job stalled', {
-      jobId: job.id,
+  function notifyCallback(job, payload) {
+    if (!job.data.callbackUrl || !webhookQueue) {
+      return;
+    }
+
+    webhookQueue.enqueueDelivery(job, payload).catch(error => {
+      logger.error('Failed to queue webhook delivery', {
+        jobId: job.id,
+        callbackUrl: job.data.callbackUrl,
+        error: error.message,
+      });
+    });
+  }
+
+  for (const [lane, { queue, concurrency }] of Object.entries(lanes)) {
+    /**
+     * Job stalled handler
+     */
+    queue.on('stalled', job => {
+      logger.warn('Transcription job stalled', {
+        jobId: job.id,
+        lane,
+      });
     });
-  });
+
+    /**
+     * Redis connection error handler
+     * Critical for debugging TLS/connection issues in production
+     */
+    queue.on('error', error => {
+      logger.error('Bull queue error (likely Redis connection issue)', {
+        lane,
+        error: error.message,
+        stack: error.stack,
+        code: error.code,
+      });
+    });
+
+    /**
+     * Queue ready handler - confirms worker is listening
+     */
+    queue.on('ready', () => {
+      logger.info(processJobs && concurrency > 0
+        ? 'Bull queue ready - worker is now processing jobs'
+        : 'Bull queue ready - jobs are processed by other workers', {
+        lane,
+        concurrency: processJobs ? concurrency : 0,
+      });
+    });
+  }
+
+  // Job ID → listeners registered through subscribeToJob()
+  const jobSubscribers = new Map();
+  let globalEventsAttached = false;
 
   /**
-   * Redis connection error handler
-   * Critical for debugging TLS/connection issues in production
+   * Forward Bull's global job events to subscribeToJob() listeners
+   * Global events go through Redis pub/sub, so they arrive whichever process
+   * runs the job. Attached once, on the first subscription.
    */
-  transcriptionQueue.on('error', error => {
-    logger.error('Bull queue error (likely Redis connection issue)', {
-      error: error.message,
-      stack: error.stack,
-      code: error.code,
-    });
-  });
+  function attachGlobalEvents() {
+    if (globalEventsAttached) {
+      return;
+    }
+    globalEventsAttached = true;
+
+    const events = ['waiting', 'active', 'progress', 'stalled', 'completed', 'failed'];
+    for (const { queue } of Object.values(lanes)) {
+      for (const event of events) {
+        queue.on(`global:${event}`, jobId => notifySubscribers(jobId, event));
+      }
+    }
+  }
+
+  function notifySubscribers(jobId, event) {
+    const listeners = jobSubscribers.get(String(jobId));
+    if (listeners) {
+      listeners.forEach(listener => listener(event));
+    }
+  }
+
+  /**
+   * Subscribe to state and progress events for one job
+   * The listener receives the event name (waiting, active, progress, stalled,
+   * completed, failed, cancelled). Returns an unsubscribe function.
+   * `cancelled` is only delivered in the process that cancelled the job; a
+   * running job also fails once it has stopped.
+   */
+  transcriptionQueue.subscribeToJob = (jobId, listener) => {
+    attachGlobalEvents();
+
+    if (!jobSubscribers.has(jobId)) {
+      jobSubscribers.set(jobId, new Set());
+    }
+    jobSubscribers.get(jobId).add(listener);
+
+    return () => {
+      const listeners = jobSubscribers.get(jobId);
+      if (!listeners) {
+        return;
+      }
+      listeners.delete(listener);
+      if (listeners.size === 0) {
+        jobSubscribers.delete(jobId);
+      }
+    };
+  };
+
+  /**
+   * Get a transcription job from whichever lane holds it
+   * A job handed to the Whisper lane is the Whisper job from then on.
+   *
+   * @returns {Promise<Job|null>}
+   */
+  transcriptionQueue.getTranscriptionJob = async jobId => {
+    const [captionsJob, whisperJob] = await Promise.all([
+      transcriptionQueue.getJob(jobId),
+      whisperQueue.getJob(jobId),
+    ]);
+
+    if (whisperJob) {
+      return whisperJob;
+    }
+
+    // The Whisper job of a handoff is gone (removed after completing, or cancelled)
+    if (captionsJob?.returnvalue?.handedOff) {
+      return null;
+    }
+
+    return captionsJob;
+  };
+
+  /**
+   * The lane a job is in: 'captions' or 'whisper'
+   */
+  transcriptionQueue.getJobLane = job => (job.queue === whisperQueue ? 'whisper' : 'captions');
+
+  /**
+   * Close both lanes (graceful shutdown)
+   * Waits for running jobs to finish and takes this worker out of the registry
+   */
+  transcriptionQueue.closeLanes = async () => {
+    await Promise.all([transcriptionQueue.close(), whisperQueue.close()]);
+    if (heartbeat) {
+      await heartbeat.stop();
+    }
+  };
 
   /**
-   * Queue ready handler - confirms worker is listening
+   * Cancel a job
+   * Waiting jobs are removed from the queue; running jobs are aborted by the
+   * process running them (their child processes killed, temp files removed)
+   * and end up failed with JOB_CANCELLED, without retries.
+   *
+   * @returns {Promise<{ cancelled: boolean, state: string, cancellation?: object }|null>}
+   *   null if the job doesn't exist; cancelled=false if it already finished
    */
-  transcriptionQueue.on('ready', () => {
-    logger.info('Bull queue ready - worker is now processing jobs', {
-      concurrency: config.worker.concurrency,
+  transcriptionQueue.cancelJob = async jobId => {
+    const job = await transcriptionQueue.getTranscriptionJob(jobId);
+    const existing = await getCancellation(jobId);
+
+    if (existing) {
+      return { cancelled: true, state: 'cancelled', cancellation: existing };
+    }
+
+    if (!job) {
+      return null;
+    }
+
+    const state = await job.getState();
+    if (state === 'completed' || state === 'failed') {
+      return { cancelled: false, state };
+    }
+
+    const cancellation = await markJobCancelled(jobId, {
+      previousState: state,
+      videoId: getJobVideoId(job.data),
     });
-  });
+
+    if (state !== 'active') {
+      try {
+        await job.remove();
+        releaseInFlight(job);
+        await updateJobHistory(jobId, {
+          status: 'cancelled',
+          finishedAt: cancellation.cancelledAt,
+        });
+
+        logger.info('Queued transcription job cancelled', { jobId, state });
+        notifySubscribers(jobId, 'cancelled');
+        return { cancelled: true, state, cancellation };
+      } catch (error) {
+        // Picked up by a worker in the meantime (the lock blocks removal)
+        logger.debug('Could not remove job, cancelling it as running', {
+          jobId,
+          error: error.message,
+        });
+      }
+    }
+
+    await publishCancellation(jobId);
+    notifySubscribers(jobId, 'cancelled');
+
+    logger.info('Running transcription job cancelled', { jobId });
+    return { cancelled: true, state: 'active', cancellation };
+  };
+
+  /**
+   * Where a waiting job stands in its lane
+   * Jobs ahead are listed in the order Bull will start them (by priority, then
+   * submission); a job that is not in the wait list (e.g. delayed for a retry)
+   * has every waiting job of its lane ahead
+   *
+   * `jobsAhead` splits them by the tier they will end up in: all of the
+   * Whisper lane's are Tier 2, and the captions lane's are split by the recent
+   * rate of caption attempts that fell back to Whisper
+   *
+   * @param {Job} job
+   * @returns {Promise<{ lane: string, position: number, ahead: object[], active: object[],
+   *   jobsAhead: { total: number, tier1: number, tier2: number } }>}
+   *   active jobs are { progress, data, processedOn }
+   */
+  transcriptionQueue.getQueuePosition = async job => {
+    const lane = transcriptionQueue.getJobLane(job);
+    const { queue } = lanes[lane];
+
+    const waitingIds = await queue.getRanges(['wait', 'paused'], 0, -1, true);
+    const index = waitingIds.indexOf(String(job.id));
+    const aheadIds = index === -1 ? waitingIds : waitingIds.slice(0, index);
+
+    const [aheadJobs, active] = await Promise.all([
+      Promise.all(aheadIds.map(id => queue.getJob(id))),
+      queue.getActive(),
+    ]);
+
+    // Jobs can finish or be removed between the two reads
+    const ahead = aheadJobs.filter(Boolean).map(aheadJob => aheadJob.data);
+
+    let tier2 = ahead.length;
+    if (lane === 'captions') {
+      const { fallbackRate } = await getJobDurationEstimates();
+      tier2 = Math.round(ahead.length * fallbackRate);
+    }
+
+    return {
+      lane,
+      position: ahead.length + 1,
+      ahead,
+      active: active.filter(Boolean).map(activeJob => ({
+        progress: activeJob.progress(),
+        data: activeJob.data,
+        processedOn: activeJob.processedOn,
+      })),
+      jobsAhead: {
+        total: ahead.length,
+        tier1: ahead.length - tier2,
+        tier2,
+      },
+    };
+  };
+
+  /**
+   * Jobs a lane can process at once across all live workers
+   */
+  transcriptionQueue.getLaneConcurrency = async lane => {
+    const summary = await getWorkerSummary();
+    return summary.lanes[lane].concurrency;
+  };
 
   /**
    * Get queue health info
+   * Counts are summed over both lanes; `lanes` has each lane's own. Workers
+   * come from the heartbeat registry, so they include every worker process.
    */
   transcriptionQueue.getQueueHealth = async () => {
-    const counts = await transcriptionQueue.getJobCounts();
+    const workerSummary = await getWorkerSummary();
+    const laneHealth = {};
+    const totals = {};
+
+    for (const [lane, { queue }] of Object.entries(lanes)) {
+      const counts = await queue.getJobCounts();
+      laneHealth[lane] = { queue: queue.name, ...counts, ...workerSummary.lanes[lane] };
+      for (const [state, count] of Object.entries(counts)) {
+        totals[state] = (totals[state] || 0) + count;
+      }
+    }
+
     return {
       queue: 'transcription',
-      ...counts,
-      workers: config.worker.concurrency,
+      ...totals,
+      workers: workerSummary.count,
+      lanes: laneHealth,
     };
   };
 
+  /**
+   * Drop the in-flight claim for a finished job
+   * Only deletes the claim if it still points at this job (a refresh may have replaced it)
+   */
+  function releaseInFlight(job) {
+    if (!job.data.fingerprint) {
+      return;
+    }
+
+    releaseClaim(job.data.fingerprint, job.id).catch(error => {
+      logger.warn('Failed to release in-flight claim', {
+        jobId: job.id,
+        error: error.message,
+      });
+    });
+  }
+
+  function releaseClaim(fingerprint, jobId) {
+    return getRedisClient().eval(RELEASE_CLAIM_SCRIPT, {
+      keys: [`${IN_FLIGHT_KEY_PREFIX}${fingerprint}`],
+      arguments: [jobId],
+    });
+  }
+
+  /**
+   * The job with this ID if it is still waiting or running, else null
+   */
+  async function getUnfinishedJob(jobId) {
+    const job = await transcriptionQueue.getTranscriptionJob(jobId);
+    const state = job ? await job.getState() : null;
+    return state === 'waiting' || state === 'active' || state === 'delayed' || state === 'paused'
+      ? job
+      : null;
+  }
+
+  /**
+   * Find a job still running for this fingerprint
+   * A claim whose job has finished is left for the next claimFingerprint() to take over
+   */
+  async function findInFlightJob(fingerprint) {
+    const claimedBy = await getRedisClient().get(`${IN_FLIGHT_KEY_PREFIX}${fingerprint}`);
+    return claimedBy ? getUnfinishedJob(claimedBy) : null;
+  }
+
+  /**
+   * Claim a fingerprint for a new job, so identical submissions reuse it
+   *
+   * The claim is taken with SET NX before the job is queued: of two identical
+   * submissions made at once, only one gets it. The other gets the job that
+   * holds the claim (waiting briefly for it to be queued). A claim whose job
+   * has finished, or was never queued, is taken over. A refresh replaces any
+   * existing claim.
+   *
+   * @returns {Promise<Job|null>} The job already holding the claim, or null
+   *   once the claim is this job's
+   */
+  async function claimFingerprint(fingerprint, jobId, { replace = false } = {}) {
+    const redis = getRedisClient();
+    const key = `${IN_FLIGHT_KEY_PREFIX}${fingerprint}`;
+    const expiry = { PX: config.worker.timeoutMs * config.worker.maxAttempts };
+
+    if (replace) {
+      await redis.set(key, jobId, expiry);
+      return null;
+    }
+
+    while (!(await redis.set(key, jobId, { ...expiry, NX: true }))) {
+      const claimedBy = await redis.get(key);
+      if (!claimedBy) {
+        continue;
+      }
+
+      let job = null;
+      for (let waited = 0; waited <= CLAIMED_JOB_WAIT_MS; waited += CLAIMED_JOB_POLL_MS) {
+        if (await transcriptionQueue.getTranscriptionJob(claimedBy)) {
+          job = await getUnfinishedJob(claimedBy);
+          break;
+        }
+        await new Promise(resolve => setTimeout(resolve, CLAIMED_JOB_POLL_MS));
+      }
+
+      if (job) {
+        return job;
+      }
+      await releaseClaim(fingerprint, claimedBy);
+    }
+
+    return null;
+  }
+
+  /**
+   * Find a completed transcript that satisfies these options
+   * The transcript must be in a requested language (a translation for
+   * translate requests), forceWhisper submissions only reuse Whisper
+   * (Tier 2) transcripts, wordTimestamps submissions don't reuse Whisper
+   * transcripts made without word timings, diarize submissions only reuse
+   * transcripts with speaker labels, and clips only reuse the same range
+   */
+  async function findCompletedTranscript(videoId, options) {
+    const result = await getTranscriptResult(videoId, {
+      languages: options.languages,
+      translated: Boolean(options.translate),
+      clip: options.clip,
+    });
+
+    if (!result) {
+      return null;
+    }
+
+    if (options.forceWhisper && result.metadata?.tier !== 2) {
+      return null;
+    }
+
+    if (options.wordTimestamps && result.metadata?.tier === 2 && !result.metadata.wordTimestamps) {
+      return null;
+    }
+
+    if (options.diarize && !result.metadata?.diarized) {
+      return null;
+    }
+
+    return result;
+  }
+
+  /**
+   * Look for existing work that a new submission can reuse
+   * Returns { type: 'in-flight', job } or { type: 'completed', result }, or null
+   *
+   * An in-flight job is only reused when it will call back the same callbackUrl,
+   * otherwise the new submitter would never be notified. Media is passed as
+   * `options.media` (see addTranscriptionJob); a media URL can only match
+   * in-flight jobs, as its content isn't known yet.
+   */
+  transcriptionQueue.findExistingTranscription = async (url, options = {}) => {
+    const source = { url, media: options.media, sourceId: options.sourceId };
+    const videoId = getJobVideoId(source);
+    const fingerprint = getJobFingerprint(getSourceKey(source), options);
+
+    const inFlightJob = await findInFlightJob(fingerprint);
+    if (inFlightJob && (inFlightJob.data.callbackUrl || null) === (options.callbackUrl || null)) {
+      logger.info('Reusing in-flight transcription job', {
+        videoId,
+        fingerprint,
+        jobId: inFlightJob.id,
+      });
+      return { type: 'in-flight', job: inFlightJob };
+    }
+
+    const result = videoId ? await findCompletedTranscript(videoId, options) : null;
+    if (result) {
+      logger.info('Reusing completed transcript', {
+        videoId,
+        fingerprint,
+        originalJobId: result.jobId,
+        tier: result.metadata?.tier,
+      });
+      return { type: 'completed', result };
+    }
+
+    return null;
+  };
+
+  /**
+   * Get webhook delivery history for a job (null if no callback was requested)
+   */
+  transcriptionQueue.getWebhookDeliveries = async jobId => {
+    if (!webhookQueue) {
+      return null;
+    }
+    return webhookQueue.getDeliveryStatus(jobId);
+  };
+
   /**
    * Add transcription job to queue
+   * Jobs start in the captions lane unless they can only be answered by
+   * Whisper. `options.priority` (high, normal, low) orders them within a lane.
+   *
+   * Media jobs pass `options.media` - { type: 'upload', mediaId, filename,
+   * contentType } or { type: 'url', url } - with `url` null for uploads and
+   * the media URL otherwise. They always run in the Whisper lane.
+   *
+   * `options.deferredCharge` is the getRateLimitClient() of a submission the
+   * API didn't charge to the Whisper rate limit (media URLs, jobs that may fall
+   * back to Whisper): the Whisper lane charges it once the length is known.
+   *
+   * URLs other than YouTube videos pass the `options.sourceId` resolveSource()
+   * found for them (see sources.js). `options.clip` ({ start, end } seconds)
+   * transcribes only that range of the video (see clips.js).
+   *
+   * An identical submission (same fingerprint and callback) that is still
+   * running is returned instead of queueing a second job, even when both
+   * arrive at once; `options.refresh` always queues a new one.
+   *
+   * `options.callbackSecret` is stored apart from the job data (see
+   * saveCallbackSecret), so it never sits in either lane's queue.
+   *
+   * @returns {Promise<{ job: Job, deduplicated: boolean }>}
    */
   transcriptionQueue.addTranscriptionJob = async (url, options = {}) => {
     const jobId = `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const source = { url, media: options.media, sourceId: options.sourceId };
+    const videoId = getJobVideoId(source);
+    const fingerprint = getJobFingerprint(getSourceKey(source), options);
+    const priority = options.priority || 'normal';
+    const lane = isWhisperOnly(options) || !config.features.enableYoutubeTier ? 'whisper' : 'captions';
 
-    const job = await transcriptionQueue.add(
-      {
-        url,
-        forceWhisper: options.forceWhisper || false,
-      },
-      {
+    // Claimed before anything is queued, so identical submissions reuse this job
+    const claimedJob = await claimFingerprint(fingerprint, jobId, { replace: options.refresh });
+    if (claimedJob && (claimedJob.data.callbackUrl || null) === (options.callbackUrl || null)) {
+      logger.info('Reusing in-flight transcription job', {
+        videoId,
+        fingerprint,
+        jobId: claimedJob.id,
+      });
+      return { job: claimedJob, deduplicated: true };
+    }
+
+    // Recorded first so the worker's updates always find the entry
+    try {
+      await recordJob({
         jobId,
-        attempts: config.worker.maxAttempts,
-        backoff: {
-          type: 'exponential',
-          delay: 2000,
+        videoId,
+        url,
+        submittedBy: options.submittedBy || null,
+        batchId: options.batchId || null,
+        lane,
+        options: {
+          forceWhisper: options.forceWhisper || false,
+          languages: options.languages || [config.whisper.language],
+          translate: options.translate || false,
+          wordTimestamps: options.wordTimestamps || false,
+          diarize: options.diarize || false,
+          clip: options.clip || null,
+          callback: Boolean(options.callbackUrl),
+          priority,
         },
-        removeOnComplete: {
-          age: Math.floor(config.worker.jobRemovalDelayMs / 1000), // Convert to seconds
+      });
+    } catch (error) {
+      logger.warn('Failed to record job history', {
+        jobId,
+        error: error.message,
+      });
+    }
+
+    const callbackSecret = options.callbackUrl ? options.callbackSecret : null;
+
+    let job;
+    try {
+      if (callbackSecret) {
+        await saveCallbackSecret(jobId, callbackSecret);
+      }
+
+      job = await lanes[lane].queue.add(
+        {
+          url,
+          sourceId: options.sourceId || null,
+          media: options.media || null,
+          clip: options.clip || null,
+          fingerprint,
+          forceWhisper: options.forceWhisper || false,
+          languages: options.languages || [config.whisper.language],
+          translate: options.translate || false,
+          wordTimestamps: options.wordTimestamps || false,
+          diarize: options.diarize || false,
+          callbackUrl: options.callbackUrl || null,
+          batchId: options.batchId || null,
+          submittedBy: options.submittedBy || null,
+          // Whisper rate limit client, charged if the job reaches the Whisper lane
+          deferredCharge: options.deferredCharge || null,
+          priority,
         },
-        removeOnFail: false,
+        buildJobOptions(jobId, priority)
+      );
+    } catch (error) {
+      if (!claimedJob) {
+        await releaseClaim(fingerprint, jobId).catch(() => {});
       }
-    );
+      if (callbackSecret) {
+        await deleteCallbackSecret(jobId).catch(() => {});
+      }
+      throw error;
+    }
 
     logger.info('Transcription job queued', {
       jobId,
       url,
-      estimatedWait: config.worker.concurrency === 1 ? '10-15 minutes' : 'variable',
+      fingerprint,
+      lane,
+      priority,
+      batchId: options.batchId,
     });
 
-    return job;
+    return { job, deduplicated: false };
   };
 
   return transcriptionQueue;
@@ -0,0 +1,215 @@
+import Queue from 'bull';
+import config from '../config/environment.js';
+import logger from '../utils/logger.js';
+import { buildRedisConfig } from '../utils/redis.js';
+import { deliverWebhook, getCallbackSecret, deleteCallbackSecret } from '../utils/webhook.js';
+import { isPrivateAddressError } from '../utils/network.js';
+
+/**
+ * Create Bull queue for webhook deliveries
+ * Each delivery is its own job so Bull handles retries with exponential backoff
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.processJobs] - Deliver webhooks from this process
+ *   (default true); false only queues deliveries and reads their status
+ */
+export function createWebhookQueue({ processJobs = true } = {}) {
+  const webhookQueue = new Queue('webhooks', {
+    redis: buildRedisConfig(config.redis.url),
+  });
+
+  /**
+   * Deliver a single webhook
+   * Every attempt is written to the job log so it can be shown from /api/status
+   * A job's own callbackSecret is kept only until the delivery is finished
+   */
+  async function processDelivery(job) {
+    const { jobId, callbackUrl, payload } = job.data;
+    const attempt = job.attemptsMade + 1;
+    const attemptedAt = new Date().toISOString();
+
+    try {
+      const secret = await getCallbackSecret(jobId);
+      const { statusCode, durationMs } = await deliverWebhook(callbackUrl, payload, secret || undefined);
+      await forgetSecret(job);
+
+      await job.log(JSON.stringify({
+        attempt,
+        attemptedAt,
+        success: true,
+        statusCode,
+        durationMs,
+      }));
+
+      return {
+        statusCode,
+        deliveredAt: new Date().toISOString(),
+      };
+    } catch (error) {
+      const statusCode = error.response?.status || null;
+
+      await job.log(JSON.stringify({
+        attempt,
+        attemptedAt,
+        success: false,
+        statusCode,
+        error: error.message,
+      }));
+
+      logger.warn('Webhook delivery attempt failed', {
+        webhookJobId: job.id,
+        callbackUrl,
+        attempt,
+        maxAttempts: job.opts.attempts,
+        statusCode,
+        error: error.message,
+      });
+
+      // A private address won't become deliverable on retry
+      if (isPrivateAddressError(error)) {
+        job.discard();
+      }
+      if (isPrivateAddressError(error) || attempt >= job.opts.attempts) {
+        await forgetSecret(job);
+      }
+
+      throw error; // Rethrow to trigger Bull retry logic
+    }
+  }
+
+  /**
+   * Drop the transcription job's callbackSecret once its delivery is finished
+   */
+  async function forgetSecret(job) {
+    try {
+      await deleteCallbackSecret(job.data.jobId);
+    } catch (error) {
+      logger.warn('Failed to clear webhook secret', {
+        webhookJobId: job.id,
+        error: error.message,
+      });
+    }
+  }
+
+  if (processJobs) {
+    webhookQueue.process(processDelivery);
+  }
+
+  /**
+   * Delivery failure handler (fires on every failed attempt)
+   */
+  webhookQueue.on('failed', (job, error) => {
+    if (job.attemptsMade >= job.opts.attempts) {
+      logger.error('Webhook delivery gave up after retries', {
+        webhookJobId: job.id,
+        callbackUrl: job.data.callbackUrl,
+        attempts: job.attemptsMade,
+        error: error.message,
+      });
+    }
+  });
+
+  webhookQueue.on('error', error => {
+    logger.error('Webhook queue error (likely Redis connection issue)', {
+      error: error.message,
+      code: error.code,
+    });
+  });
+
+  /**
+   * Queue a webhook delivery for a finished transcription job
+   * The delivery job id is derived from the transcription job id, so a job
+   * only ever gets one callback even if its completion is observed twice.
+   * Finished deliveries are removed after WEBHOOK_RETENTION_SECONDS.
+   */
+  webhookQueue.enqueueDelivery = async (transcriptionJob, payload) => {
+    const { callbackUrl } = transcriptionJob.data;
+
+    // Signed with the job's callbackSecret (saveCallbackSecret), else WEBHOOK_SECRET
+    const job = await webhookQueue.add(
+      {
+        jobId: transcriptionJob.id,
+        callbackUrl,
+        payload,
+      },
+      {
+        jobId: getDeliveryJobId(transcriptionJob.id),
+        attempts: config.webhooks.maxAttempts,
+        backoff: {
+          type: 'exponential',
+          delay: config.webhooks.backoffDelayMs,
+        },
+        removeOnComplete: { age: config.webhooks.retentionSeconds },
+        removeOnFail: { age: config.webhooks.retentionSeconds },
+      }
+    );
+
+    logger.info('Webhook delivery queued', {
+      jobId: transcriptionJob.id,
+      webhookJobId: job.id,
+      event: payload.event,
+      callbackUrl,
+    });
+
+    return job;
+  };
+
+  /**
+   * Get delivery state and per-attempt history for a transcription job
+   * Returns null when the job has no webhook delivery
+   */
+  webhookQueue.getDeliveryStatus = async transcriptionJobId => {
+    const deliveryJobId = getDeliveryJobId(transcriptionJobId);
+    const job = await webhookQueue.getJob(deliveryJobId);
+
+    if (!job) {
+      return null;
+    }
+
+    const state = await job.getState();
+    const { logs } = await webhookQueue.getJobLogs(deliveryJobId);
+
+    return {
+      callbackUrl: job.data.callbackUrl,
+      event: job.data.payload.event,
+      status: getDeliveryStatus(state, job),
+      attempts: job.attemptsMade,
+      maxAttempts: job.opts.attempts,
+      deliveredAt: job.returnvalue?.deliveredAt || null,
+      lastError: job.failedReason || null,
+      deliveries: logs.map(parseAttemptLog),
+    };
+  };
+
+  return webhookQueue;
+}
+
+function getDeliveryJobId(transcriptionJobId) {
+  return `webhook_${transcriptionJobId}`;
+}
+
+/**
+ * Map Bull state onto delivery status names
+ */
+function getDeliveryStatus(state, job) {
+  if (state === 'completed') {
+    return 'delivered';
+  }
+  if (state === 'failed') {
+    return 'failed';
+  }
+  if (state === 'delayed' || job.attemptsMade > 0) {
+    return 'retrying';
+  }
+  return 'pending';
+}
+
+function parseAttemptLog(row) {
+  try {
+    return JSON.parse(row);
+  } catch {
+    return { message: row };
+  }
+}
+
+export default createWebhookQueue;